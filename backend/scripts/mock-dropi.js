@@ -0,0 +1,113 @@
+// ============================================
+// MOCK DROPI - API de Dropi falsa para desarrollo
+// ============================================
+//
+// Implementa la parte de la API que usa src/dropi.js: login, catálogo paginado
+// (search, category_id), detalle con variantes y bodegas, categorías e importación.
+// El catálogo se genera al iniciar (MOCK_DROPI_PRODUCTS productos, 240 por defecto)
+// y acepta cualquier token o usuario.
+//
+//   npm run mock:dropi                (puerto 8090, MOCK_DROPI_PORT para cambiarlo)
+//   DROPI_API_URL=http://localhost:8090 DROPI_API_KEY=dev npm start
+import express from 'express'
+
+const PORT = parseInt(process.env.MOCK_DROPI_PORT) || 8090
+const COUNT = parseInt(process.env.MOCK_DROPI_PRODUCTS) || 240
+
+const categories = [
+  { id: 1, name: 'Hogar' },
+  { id: 2, name: 'Tecnología' },
+  { id: 3, name: 'Belleza' },
+  { id: 4, name: 'Mascotas' },
+  { id: 5, name: 'Deportes' }
+]
+
+const ITEMS = {
+  1: ['Organizador de cocina', 'Lámpara LED recargable', 'Set de cuchillos', 'Cortina blackout', 'Humidificador difusor'],
+  2: ['Audífonos bluetooth', 'Cargador inalámbrico', 'Smartwatch deportivo', 'Parlante portátil', 'Soporte para celular'],
+  3: ['Secador de pelo iónico', 'Set de brochas', 'Masajeador facial', 'Plancha de cabello', 'Espejo con luz LED'],
+  4: ['Cama para perro', 'Fuente de agua para gatos', 'Arnés reflectante', 'Juguete mordedor', 'Cepillo quitapelos'],
+  5: ['Banda elástica de resistencia', 'Botella térmica', 'Mat de yoga', 'Cuerda para saltar', 'Guantes de gimnasio']
+}
+const VARIANTS = ['Negro', 'Blanco', 'Azul']
+const WAREHOUSES = [{ id: 1, name: 'Bodega Santiago', city: 'Santiago' }, { id: 2, name: 'Bodega Concepción', city: 'Concepción' }]
+
+// Catálogo determinista: mismo índice, mismo producto
+const products = Array.from({ length: COUNT }, (_, i) => {
+  const category = categories[i % categories.length]
+  const items = ITEMS[category.id]
+  const base = items[Math.floor(i / categories.length) % items.length]
+  const cost = 3990 + ((i * 7919) % 20) * 1000
+  return {
+    id: 1000 + i,
+    name: i < categories.length * items.length ? base : `${base} modelo ${Math.floor(i / 25) + 1}`,
+    sku: `MCK-${String(i + 1).padStart(4, '0')}`,
+    description: `${base} de prueba del catálogo falso`,
+    sale_price: cost,
+    suggested_price: Math.round(cost * 2.2 / 1000) * 1000 - 10,
+    category,
+    gallery: [{ url: `https://picsum.photos/seed/dropi${i}/400` }, { url: `https://picsum.photos/seed/dropi${i}b/400` }],
+    variations: i % 3 === 0 ? VARIANTS.map((color, v) => ({ id: (1000 + i) * 10 + v, name: color, sku: `MCK-${i + 1}-${v}`, sale_price: cost, stock: (i + v * 5) % 30 })) : [],
+    warehouses: WAREHOUSES.map((w, n) => ({ ...w, stock: (i * (n + 3)) % 60 }))
+  }
+})
+
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+
+// Como la API real, el listado no trae variantes ni bodegas
+const summary = ({ variations, warehouses, ...product }) => ({ ...product, stock: warehouses.reduce((sum, w) => sum + w.stock, 0) })
+
+const app = express()
+app.use(express.json())
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`)
+  next()
+})
+
+app.post('/login', (req, res) => {
+  if (!req.body.email || !req.body.password) return res.status(422).json({ message: 'email y password son obligatorios' })
+  res.json({ token: `mock-${Date.now()}` })
+})
+
+app.use((req, res, next) => {
+  if (!req.get('Authorization')) return res.status(401).json({ message: 'Unauthenticated.' })
+  next()
+})
+
+app.get('/categories', (req, res) => res.json({ data: categories }))
+
+app.get('/products', (req, res) => {
+  const search = normalize(req.query.search)
+  const categoryId = Number(req.query.category_id) || null
+  const perPage = Math.min(parseInt(req.query.per_page) || 20, 100)
+  const page = parseInt(req.query.page) || 1
+
+  const list = products
+    .filter(p => !search || normalize(p.name).includes(search))
+    .filter(p => !categoryId || p.category.id === categoryId)
+
+  res.json({
+    data: list.slice((page - 1) * perPage, page * perPage).map(summary),
+    meta: { current_page: page, last_page: Math.max(1, Math.ceil(list.length / perPage)), total: list.length }
+  })
+})
+
+app.get('/products/:id', (req, res) => {
+  const product = products.find(p => p.id === Number(req.params.id))
+  if (!product) return res.status(404).json({ message: 'Producto no encontrado' })
+  res.json({ data: product })
+})
+
+app.post('/products/:id/import', (req, res) => {
+  const product = products.find(p => p.id === Number(req.params.id))
+  if (!product) return res.status(404).json({ message: 'Producto no encontrado' })
+  if (!(Number(req.body.price) > 0)) return res.status(422).json({ message: 'price debe ser mayor que 0' })
+  res.json({ product_id: `mock-store-${product.id}` })
+})
+
+app.use((req, res) => res.status(404).json({ message: 'Ruta no encontrada' }))
+
+app.listen(PORT, () => {
+  console.log(`Mock Dropi running on http://localhost:${PORT} (${products.length} products)`)
+})
@@ -0,0 +1,165 @@
+// ============================================
+// MOCK WOOCOMMERCE - Tienda falsa para desarrollo
+// ============================================
+//
+// Implementa la parte de la API REST wc/v3 que usa el backend: productos
+// (crear, leer, listar con include/status/search/sku, actualizar, borrar),
+// categorías y etiquetas. Todo queda en memoria y no se validan credenciales.
+//
+//   npm run mock:woo                  (puerto 8089, MOCK_WOO_PORT para cambiarlo)
+//   WOO_URL=http://localhost:8089 WOO_CONSUMER_KEY=ck_dev WOO_CONSUMER_SECRET=cs_dev npm start
+//
+// Para simular cambios hechos en la tienda se usa la misma API, p. ej.:
+//   curl -X PUT localhost:8089/wp-json/wc/v3/products/1 -H 'Content-Type: application/json' -d '{"regular_price":"19990"}'
+//   curl -X DELETE localhost:8089/wp-json/wc/v3/products/1?force=true
+import express from 'express'
+
+const PORT = parseInt(process.env.MOCK_WOO_PORT) || 8089
+const BASE_URL = `http://localhost:${PORT}`
+
+const products = new Map()
+const terms = { categories: [], tags: [] }
+let nextId = 1
+
+const now = () => new Date().toISOString().slice(0, 19)
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+
+// Con http el cliente firma con OAuth y repite los parámetros en la URL; WordPress usa el último
+const param = (value) => (Array.isArray(value) ? value[value.length - 1] : value)
+
+const wooError = (res, status, code, message) => res.status(status).json({ code, message, data: { status } })
+
+// Término (categoría o etiqueta) a partir de { id } o { name }
+function resolveTerms(taxonomy, list = []) {
+  return list
+    .map(item => terms[taxonomy].find(term => term.id === Number(item.id)) || (item.name && createTerm(taxonomy, item.name)))
+    .filter(Boolean)
+    .map(({ id, name, slug }) => ({ id, name, slug }))
+}
+
+function createTerm(taxonomy, name) {
+  const term = { id: nextId++, name, slug: slugify(name), count: 0 }
+  terms[taxonomy].push(term)
+  return term
+}
+
+// Aplica los campos del body como lo hace WooCommerce (precio como texto, price derivado)
+function applyFields(product, body) {
+  const fields = ['name', 'type', 'status', 'regular_price', 'sale_price', 'sku', 'description',
+    'short_description', 'stock_status', 'stock_quantity', 'manage_stock', 'meta_data']
+  for (const field of fields) {
+    if (body[field] !== undefined) product[field] = body[field]
+  }
+  if (body.images) product.images = body.images.map((image, i) => ({ id: nextId++, src: image.src, position: i }))
+  if (body.categories) product.categories = resolveTerms('categories', body.categories)
+  if (body.tags) product.tags = resolveTerms('tags', body.tags)
+
+  product.regular_price = String(product.regular_price ?? '')
+  product.sale_price = String(product.sale_price ?? '')
+  product.price = product.sale_price || product.regular_price
+  product.slug = slugify(product.name) || String(product.id)
+  product.permalink = `${BASE_URL}/producto/${product.slug}/`
+  product.date_modified_gmt = now()
+  return product
+}
+
+const skuTaken = (sku, exceptId) => sku && [...products.values()].some(p => p.sku === sku && p.id !== exceptId)
+
+const app = express()
+app.use(express.json({ limit: '5mb' }))
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`)
+  next()
+})
+
+const api = express.Router()
+
+api.get('/products/:taxonomy(categories|tags)', (req, res) => {
+  const search = String(param(req.query.search) || '').toLowerCase()
+  res.json(terms[req.params.taxonomy].filter(term => term.name.toLowerCase().includes(search)))
+})
+
+api.post('/products/:taxonomy(categories|tags)', (req, res) => {
+  if (!req.body.name) return wooError(res, 400, 'rest_missing_callback_param', 'Parámetro(s) que falta(n): name')
+  const existing = terms[req.params.taxonomy].find(term => term.name.toLowerCase() === req.body.name.toLowerCase())
+  if (existing) return wooError(res, 400, 'term_exists', 'Ya existe un elemento con el nombre y el padre proporcionados.')
+  res.status(201).json(createTerm(req.params.taxonomy, req.body.name))
+})
+
+api.get('/products', (req, res) => {
+  const include = String(param(req.query.include) || '').split(',').filter(Boolean).map(Number)
+  const status = param(req.query.status) || 'any'
+  const search = String(param(req.query.search) || '').toLowerCase()
+  const sku = param(req.query.sku)
+  const perPage = Math.min(parseInt(param(req.query.per_page)) || 10, 100)
+  const page = parseInt(param(req.query.page)) || 1
+
+  // Como en WooCommerce, "any" no incluye la papelera
+  const list = [...products.values()]
+    .filter(p => include.length === 0 || include.includes(p.id))
+    .filter(p => (status === 'any' ? p.status !== 'trash' : p.status === status))
+    .filter(p => !search || p.name.toLowerCase().includes(search))
+    .filter(p => !sku || p.sku === sku)
+
+  res.set('X-WP-Total', String(list.length))
+  res.set('X-WP-TotalPages', String(Math.ceil(list.length / perPage)))
+  res.json(list.slice((page - 1) * perPage, page * perPage))
+})
+
+api.post('/products', (req, res) => {
+  if (skuTaken(req.body.sku)) return wooError(res, 400, 'product_invalid_sku', 'SKU inválido o duplicado.')
+  const product = {
+    id: nextId++,
+    type: 'simple',
+    status: 'publish',
+    stock_status: 'instock',
+    stock_quantity: null,
+    images: [],
+    categories: [],
+    tags: [],
+    meta_data: [],
+    date_created_gmt: now()
+  }
+  products.set(product.id, applyFields(product, req.body))
+  res.status(201).json(product)
+})
+
+api.get('/products/:id', (req, res) => {
+  const product = products.get(Number(req.params.id))
+  if (!product) return wooError(res, 404, 'woocommerce_rest_product_invalid_id', 'ID no válido.')
+  res.json(product)
+})
+
+api.put('/products/:id', (req, res) => {
+  const product = products.get(Number(req.params.id))
+  if (!product) return wooError(res, 404, 'woocommerce_rest_product_invalid_id', 'ID no válido.')
+  if (skuTaken(req.body.sku, product.id)) return wooError(res, 400, 'product_invalid_sku', 'SKU inválido o duplicado.')
+  res.json(applyFields(product, req.body))
+})
+
+// Sin force=true el producto va a la papelera
+api.delete('/products/:id', (req, res) => {
+  const product = products.get(Number(req.params.id))
+  if (!product) return wooError(res, 404, 'woocommerce_rest_product_invalid_id', 'ID no válido.')
+  if (param(req.query.force) === 'true') {
+    products.delete(product.id)
+  } else {
+    product.status = 'trash'
+  }
+  res.json(product)
+})
+
+app.use('/wp-json/wc/v3', api)
+
+app.use((req, res) => wooError(res, 404, 'rest_no_route', 'No se encontró ninguna ruta que coincida con la URL y el método de la solicitud.'))
+
+app.listen(PORT, () => {
+  console.log(`Mock WooCommerce running on ${BASE_URL} (wc/v3, in memory)`)
+})
@@ -0,0 +1,160 @@
+// ============================================
+// ANUNCIOS - Variantes de copy por plataforma
+// ============================================
+//
+// A partir de los puntos de dolor, insights y hooks de un análisis se pide al
+// modelo el copy de cada plataforma con sus límites de caracteres. Lo que se
+// pase del límite se devuelve una vez al modelo para acortarlo; si sigue largo
+// queda marcado en issues (no se corta a mitad de palabra).
+//
+// Variantes guardadas: { fields: { campo: [texto] }, issues: [texto], generatedAt, generatedBy, model }
+import { analysisPromptVars } from './prompts.js'
+
+// Límites de cada plataforma: count es cuántas variantes pedir de cada campo
+const AD_PLATFORMS = {
+  meta: {
+    name: 'Meta Ads',
+    fields: [
+      { id: 'primaryText', label: 'Texto principal', max: 125, count: 3 },
+      { id: 'headline', label: 'Título', max: 40, count: 3 },
+      { id: 'description', label: 'Descripción', max: 30, count: 3 }
+    ]
+  },
+  tiktok: {
+    name: 'TikTok',
+    fields: [
+      { id: 'caption', label: 'Texto del anuncio', max: 100, count: 5 }
+    ]
+  },
+  google: {
+    name: 'Google Ads (RSA)',
+    fields: [
+      { id: 'headlines', label: 'Títulos', max: 30, count: 15 },
+      { id: 'descriptions', label: 'Descripciones', max: 90, count: 4 }
+    ]
+  },
+  whatsapp: {
+    name: 'WhatsApp',
+    fields: [
+      { id: 'title', label: 'Nombre en el catálogo', max: 65, count: 2 },
+      { id: 'description', label: 'Descripción del catálogo', max: 500, count: 2 }
+    ]
+  }
+}
+
+export const isAdPlatform = (id) => Object.hasOwn(AD_PLATFORMS, id)
+
+// Metadatos para el frontend
+export function listAdPlatforms() {
+  return Object.entries(AD_PLATFORMS).map(([id, platform]) => ({ id, ...platform }))
+}
+
+// Caracteres como los cuentan las plataformas (un emoji es uno)
+const length = (text) => [...text].length
+
+// Variables de la plantilla "ads" (prompts.js)
+export function adPromptVars(analysis, platform) {
+  const { name, fields } = AD_PLATFORMS[platform]
+  return {
+    ...analysisPromptVars(analysis),
+    platform: name,
+    fields: fields.map(f => `${f.id}: ${f.count} variantes de "${f.label}", cada una de ${f.max} caracteres como máximo`),
+    shape: Object.fromEntries(fields.map(f => [f.id, [`máx. ${f.max} caracteres`]]))
+  }
+}
+
+// Primer objeto JSON de la respuesta (los modelos locales a veces agregan texto o ```json)
+function extractJson(text) {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end <= start) return null
+  try {
+    return JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return null
+  }
+}
+
+const cleanText = (value) => String(value).replace(/\s+/g, ' ').replace(/^["“']+|["”']+$/g, '').trim()
+
+function parseVariants(text, platform) {
+  const json = extractJson(text)
+  if (!json) throw new Error('El modelo no respondió con JSON válido')
+
+  return Object.fromEntries(AD_PLATFORMS[platform].fields.map(field => {
+    const raw = Array.isArray(json[field.id]) ? json[field.id] : json[field.id] ? [json[field.id]] : []
+    const texts = raw.map(item => cleanText(typeof item === 'string' ? item : item?.text || '')).filter(Boolean)
+    return [field.id, [...new Set(texts)]]
+  }))
+}
+
+// Problemas de límites y cantidad; una lista vacía significa que todo cumple
+export function validateAdVariants(platform, fields) {
+  const issues = []
+  for (const field of AD_PLATFORMS[platform].fields) {
+    const texts = fields[field.id] || []
+    const tooLong = texts.filter(text => length(text) > field.max)
+    if (tooLong.length > 0) {
+      issues.push(`${field.label}: ${tooLong.length} variante(s) superan los ${field.max} caracteres`)
+    }
+    if (texts.length < field.count) {
+      issues.push(`${field.label}: se generaron ${texts.length} de ${field.count} variantes`)
+    }
+  }
+  return issues
+}
+
+// Segunda vuelta solo para los textos que se pasaron del límite. Si falla se quedan
+// los textos originales (validateAdVariants los marca como largos).
+async function shortenVariants(llm, platform, fields) {
+  const long = AD_PLATFORMS[platform].fields
+    .map(field => ({ field, texts: fields[field.id].filter(text => length(text) > field.max) }))
+    .filter(({ texts }) => texts.length > 0)
+  if (long.length === 0) return fields
+
+  let shortened
+  try {
+    const { text } = await llm.run('ads-shorten', {
+      texts: long.map(({ field, texts }) => `${field.id} (máx. ${field.max} caracteres): ${JSON.stringify(texts)}`),
+      shape: Object.fromEntries(long.map(({ field }) => [field.id, []]))
+    }, { temperature: 0.3, json: true })
+    shortened = parseVariants(text, platform)
+  } catch (error) {
+    console.error(`Could not shorten ${platform} ads:`, error.message)
+    return fields
+  }
+
+  const next = { ...fields }
+  for (const { field, texts } of long) {
+    const replacements = shortened[field.id]
+    next[field.id] = fields[field.id].map(original => {
+      const index = texts.indexOf(original)
+      return index !== -1 && replacements[index] ? replacements[index] : original
+    })
+  }
+  return next
+}
+
+// Genera el copy de una plataforma para un análisis estructurado (withStructuredAnalysis).
+// fresh evita el caché del modelo para obtener variantes nuevas al regenerar.
+export async function generateAdVariants(llm, analysis, platform, { user = '', fresh = false } = {}) {
+  const { text } = await llm.run('ads', adPromptVars(analysis, platform), { json: true, cache: !fresh })
+
+  let fields = parseVariants(text, platform)
+  if (validateAdVariants(platform, fields).length > 0) {
+    fields = await shortenVariants(llm, platform, fields)
+  }
+
+  // Sobrantes fuera (Google no acepta más de 15 títulos ni 4 descripciones)
+  for (const field of AD_PLATFORMS[platform].fields) {
+    fields[field.id] = fields[field.id].slice(0, field.count)
+  }
+
+  return {
+    fields,
+    issues: validateAdVariants(platform, fields),
+    generatedAt: new Date().toISOString(),
+    generatedBy: user,
+    model: llm.model
+  }
+}
@@ -0,0 +1,240 @@
+// ============================================
+// ANÁLISIS - Esquema estructurado de Marketing_Analisis
+// ============================================
+//
+// Las celdas Puntos de Dolor, Insights y Gancho (Hook) pueden traer:
+//   - un arreglo JSON con la forma nueva (lo que escribe n8n actualizado)
+//   - texto libre de filas antiguas: una entrada por línea, viñeta o "1)"
+//
+// Forma resultante:
+//   painPoints: [{ text, severity: high|medium|low, quotes: [texto de reseñas] }]
+//   insights:   [{ text, category: price|quality|shipping|usage|other }]
+//   hooks:      [texto]
+import { detectTopics } from './sentiment.js'
+
+export const SEVERITIES = ['high', 'medium', 'low']
+export const INSIGHT_CATEGORIES = ['price', 'quality', 'shipping', 'usage', 'other']
+
+const SEVERITY_ALIASES = {
+  high: ['high', 'alta', 'alto', 'critica', 'critico', 'grave'],
+  medium: ['medium', 'media', 'medio', 'moderada', 'moderado'],
+  low: ['low', 'baja', 'bajo', 'leve']
+}
+
+const CATEGORY_ALIASES = {
+  price: ['price', 'precio', 'precios', 'costo'],
+  quality: ['quality', 'calidad'],
+  shipping: ['shipping', 'envio', 'envios', 'despacho', 'entrega'],
+  usage: ['usage', 'uso', 'usos', 'funcionamiento'],
+  other: ['other', 'otro', 'otros']
+}
+
+// Tema detectado en el texto -> categoría del insight
+const TOPIC_CATEGORIES = {
+  price: 'price',
+  quality: 'quality',
+  durability: 'quality',
+  description: 'quality',
+  shipping: 'shipping',
+  packaging: 'shipping',
+  functionality: 'usage',
+  size: 'usage',
+  battery: 'usage'
+}
+
+const plain = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+
+const resolveAlias = (value, aliases) => {
+  const key = plain(value)
+  return Object.keys(aliases).find(id => aliases[id].includes(key)) || null
+}
+
+// Entradas válidas de una lista JSON: textos u objetos (null, números o listas se descartan)
+const isListItem = (item) => typeof item === 'string' || (item !== null && typeof item === 'object' && !Array.isArray(item))
+
+// Arreglo JSON de la celda, solo con entradas válidas, o null si es texto libre
+function parseJsonCell(value) {
+  if (Array.isArray(value)) return value.filter(isListItem)
+  const text = String(value || '').trim()
+  if (!text.startsWith('[')) return null
+  try {
+    const parsed = JSON.parse(text)
+    return Array.isArray(parsed) ? parsed.filter(isListItem) : null
+  } catch {
+    return null
+  }
+}
+
+// Texto libre -> entradas: líneas, viñetas, "1)"/"1." o ";" en una sola línea
+export function splitLegacyList(value) {
+  const text = String(value || '').trim()
+  if (!text) return []
+
+  let items = text.split(/\n+/)
+  if (items.length === 1) items = text.split(/\s+(?=\d+[.)]\s)|;\s*/)
+
+  return items
+    .map(item => item.replace(/^\s*(?:[-•*·]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean)
+}
+
+const unquote = (text) => text.replace(/^["“”'«]+|["“”'»]+$/g, '').trim()
+
+// "Se rompe rápido (alta) "se rompió al segundo día"" -> texto, severidad y citas
+function parseLegacyPainPoint(item) {
+  const quotes = []
+  let text = item.replace(/["“]([^"”]{3,})["”]/g, (match, quote) => {
+    quotes.push(quote.trim())
+    return ''
+  })
+
+  let severity = null
+  text = text.replace(/[([]\s*(?:severidad:\s*|severity:\s*)?([a-záéíóú]+)\s*[)\]]|(?:severidad|severity):\s*([a-záéíóú]+)/gi, (match, a, b) => {
+    const found = resolveAlias(a || b, SEVERITY_ALIASES)
+    if (!found) return match
+    severity = found
+    return ''
+  })
+
+  return {
+    text: text.replace(/\s+/g, ' ').replace(/\s+([.,:;])/g, '$1').replace(/[\s:\-–]+$/, '').trim(),
+    severity: severity || 'medium',
+    quotes
+  }
+}
+
+function guessCategory(text) {
+  for (const topic of detectTopics(text)) {
+    if (TOPIC_CATEGORIES[topic]) return TOPIC_CATEGORIES[topic]
+  }
+  return 'other'
+}
+
+export function parsePainPoints(value) {
+  const json = parseJsonCell(value)
+  if (!json) return splitLegacyList(value).map(parseLegacyPainPoint).filter(p => p.text)
+
+  return json
+    .map(item => (typeof item === 'string' ? parseLegacyPainPoint(item) : {
+      text: String(item.text || item.descripcion || item.punto || '').trim(),
+      severity: resolveAlias(item.severity || item.severidad, SEVERITY_ALIASES) || 'medium',
+      quotes: [item.quotes || item.citas || []].flat().filter(q => q !== null && q !== undefined).map(q => unquote(String(q))).filter(Boolean)
+    }))
+    .filter(p => p.text)
+}
+
+export function parseInsights(value) {
+  const json = parseJsonCell(value)
+  const items = json || splitLegacyList(value)
+
+  return items
+    .map(item => {
+      const text = String(typeof item === 'string' ? item : item.text || item.insight || '').trim()
+      const category = typeof item === 'string' ? null : resolveAlias(item.category || item.categoria, CATEGORY_ALIASES)
+      return { text, category: category || guessCategory(text) }
+    })
+    .filter(i => i.text)
+}
+
+export function parseHooks(value) {
+  const json = parseJsonCell(value)
+  const items = json || splitLegacyList(value)
+
+  return items
+    .map(item => unquote(String(typeof item === 'string' ? item : item.text || item.hook || '')))
+    .filter(Boolean)
+}
+
+// Campos editables y cómo normalizar cada uno
+export const EDITABLE_FIELDS = {
+  painPoints: parsePainPoints,
+  insights: parseInsights,
+  hooks: parseHooks
+}
+
+// Ediciones humanas guardadas como JSON { campo: valor }
+function parseEdits(value) {
+  if (!value) return {}
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value
+    return Object.fromEntries(
+      Object.entries(parsed)
+        .filter(([field]) => EDITABLE_FIELDS[field])
+        .map(([field, items]) => [field, EDITABLE_FIELDS[field](items)])
+    )
+  } catch {
+    return {}
+  }
+}
+
+// Columnas JSON con un objeto: anuncios { plataforma: variantes }, prompts { plantilla: versión }
+// proveedor { id, name, sku, image, cost, price } y coincidencia con Dropi (ver matching.js)
+function parseJsonObject(value) {
+  if (!value) return {}
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value
+  } catch {
+    return {}
+  }
+}
+
+// Análisis de marketing con sus campos estructurados (las columnas originales se conservan).
+// original es lo que generó la IA; edited, lo que cambiaron las personas; los campos
+// painPoints, insights y hooks muestran la versión vigente (la editada si existe).
+export function withStructuredAnalysis(result) {
+  const original = {
+    painPoints: parsePainPoints(result['Puntos de Dolor']),
+    insights: parseInsights(result['Insights']),
+    hooks: parseHooks(result['Gancho (Hook)'])
+  }
+  const edited = parseEdits(result.edited)
+
+  return {
+    ...result,
+    ...original,
+    ...edited,
+    original,
+    edited,
+    ads: parseJsonObject(result.ads),
+    prompts: parseJsonObject(result.prompts),
+    supplier: result.supplier ? parseJsonObject(result.supplier) : null,
+    supplierMatch: result.supplierMatch ? parseJsonObject(result.supplierMatch) : null
+  }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Aplica un PATCH { painPoints?, insights?, hooks? } sobre un análisis estructurado.
+// null (o un valor igual al original) descarta la edición de ese campo.
+// Devuelve { edited, changes: [{ field, previous, value }] } o { error }.
+export function applyAnalysisEdit(result, patch) {
+  const fields = Object.keys(patch || {})
+  if (fields.length === 0) return { error: 'No hay cambios' }
+
+  const unknown = fields.find(field => !EDITABLE_FIELDS[field])
+  if (unknown) return { error: `Campo no editable: ${unknown}` }
+
+  const edited = { ...result.edited }
+  const changes = []
+
+  for (const field of fields) {
+    const value = patch[field]
+    if (value !== null && !Array.isArray(value)) {
+      return { error: `${field} debe ser una lista` }
+    }
+
+    const next = value === null ? result.original[field] : EDITABLE_FIELDS[field](value)
+    if (same(next, result.original[field])) delete edited[field]
+    else edited[field] = next
+
+    if (!same(next, result[field])) {
+      changes.push({ field, previous: result[field], value: next })
+    }
+  }
+
+  return { edited, changes }
+}
@@ -0,0 +1,322 @@
+// ============================================
+// DROPI - Cliente de la API y catálogo en caché
+// ============================================
+//
+// createDropiClient() habla con la API de Dropi (DROPI_API_URL):
+//   POST /login                  { email, password } -> { token }
+//   GET  /products               ?page&per_page&search&category_id -> { data, meta: { last_page, total } }
+//   GET  /products/:id           -> { data: producto }
+//   GET  /categories             -> { data: [{ id, name }] }
+//   POST /products/:id/import    { price, store_url } -> { product_id }
+// Se autentica con un token fijo (DROPI_API_KEY) o con usuario y contraseña
+// (DROPI_EMAIL, DROPI_PASSWORD); el token de la sesión se renueva al recibir 401.
+//
+// createDropiCatalog() guarda el catálogo completo en un archivo JSON local y busca
+// ahí, así la búsqueda no depende de la API y no la recorre en cada consulta. Se
+// recarga cada DROPI_CATALOG_HOURS. Para desarrollar sin cuenta de Dropi:
+// npm run mock:dropi (scripts/mock-dropi.js) y DROPI_API_URL=http://localhost:8090.
+//
+// Sin Dropi configurado se muestran productos de ejemplo (demoProducts), siempre
+// marcados como tales para que el dashboard no los confunda con el catálogo real.
+import fetch from 'node-fetch'
+import fs from 'fs'
+import path from 'path'
+import { normalizeTitle } from './links.js'
+
+// Error de Dropi con el status HTTP (null si no hubo respuesta)
+export class DropiError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message)
+    this.status = status
+  }
+}
+
+const number = (value) => (value === null || value === undefined || value === '' ? null : Number(value))
+
+const imageUrl = (image) => (typeof image === 'string' ? image : image?.url || image?.src || null)
+
+// Producto de la API -> forma que usa el dashboard. price es el costo para el
+// dropshipper y suggestedPrice el precio de venta sugerido por Dropi.
+export function normalizeDropiProduct(raw) {
+  const images = (raw.images || raw.gallery || []).map(imageUrl).filter(Boolean)
+  const warehouses = (raw.warehouses || raw.warehouse_product || []).map(w => ({
+    id: String(w.id ?? w.warehouse_id ?? ''),
+    name: w.name || w.warehouse?.name || '',
+    city: w.city || w.warehouse?.city?.name || '',
+    stock: number(w.stock) ?? 0
+  }))
+  const variants = (raw.variants || raw.variations || []).map(v => ({
+    id: String(v.id),
+    name: v.name || (v.attribute_values || []).map(a => a.value).join(' / '),
+    sku: v.sku || '',
+    price: number(v.sale_price ?? v.price),
+    stock: number(v.stock) ?? 0
+  }))
+  const category = raw.category || raw.categories?.[0] || null
+
+  return {
+    id: String(raw.id),
+    name: raw.name || '',
+    sku: raw.sku || '',
+    description: raw.description || '',
+    category: typeof category === 'string' ? category : category?.name || '',
+    categoryId: typeof category === 'object' && category ? String(category.id) : '',
+    image: images[0] || imageUrl(raw.image) || null,
+    images,
+    price: number(raw.sale_price ?? raw.price),
+    suggestedPrice: number(raw.suggested_price ?? raw.suggestedPrice),
+    stock: number(raw.stock) ?? warehouses.reduce((sum, w) => sum + w.stock, 0),
+    variants,
+    warehouses
+  }
+}
+
+// Productos de ejemplo para cuando Dropi no está configurado
+export function demoProducts(query = '') {
+  const name = query || 'Producto'
+  return [
+    { id: 'demo-1', name: query || 'Producto Similar 1', price: 15990, suggestedPrice: 29990, sku: 'DRP-001', stock: 50, description: 'Producto de alta calidad' },
+    { id: 'demo-2', name: `${name} Premium`, price: 19990, suggestedPrice: 39990, sku: 'DRP-002', stock: 30, description: 'Versión premium con características mejoradas' },
+    { id: 'demo-3', name: `${name} Básico`, price: 9990, suggestedPrice: 19990, sku: 'DRP-003', stock: 100, description: 'Opción económica' }
+  ].map(p => ({ category: '', categoryId: '', image: null, images: [], variants: [], warehouses: [], ...p }))
+}
+
+// ============================================
+// CLIENTE
+// ============================================
+
+// null si falta DROPI_API_URL o las credenciales
+export function createDropiClient({ url, apiKey, email, password, timeout = 30000 }) {
+  if (!url || !(apiKey || (email && password))) return null
+
+  const baseUrl = url.replace(/\/+$/, '')
+  let token = apiKey || null
+
+  async function send(method, endpoint, { query, body } = {}) {
+    const target = new URL(`${baseUrl}/${endpoint}`)
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null && value !== '') target.searchParams.set(key, value)
+    }
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    try {
+      const response = await fetch(target, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        ...(body && { body: JSON.stringify(body) }),
+        signal: controller.signal
+      })
+      const data = await response.json().catch(() => null)
+      if (!response.ok) {
+        const detail = data?.message || data?.error || response.statusText
+        throw new DropiError(`Dropi respondió ${response.status}: ${detail}`, { status: response.status })
+      }
+      return data
+    } catch (error) {
+      if (error instanceof DropiError) throw error
+      if (error.name === 'AbortError') throw new DropiError(`Dropi no respondió en ${Math.round(timeout / 1000)} s`)
+      throw new DropiError(`No se pudo conectar con Dropi: ${error.message}`)
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async function login() {
+    const data = await send('POST', 'login', { body: { email, password } })
+    token = data?.token || data?.access_token
+    if (!token) throw new DropiError('Dropi no devolvió un token de sesión')
+  }
+
+  // Con usuario y contraseña: inicia sesión la primera vez y de nuevo si el token venció
+  async function request(method, endpoint, options) {
+    if (!token) await login()
+    try {
+      return await send(method, endpoint, options)
+    } catch (error) {
+      if (error.status !== 401 || apiKey) throw error
+      await login()
+      return send(method, endpoint, options)
+    }
+  }
+
+  const unwrap = (data) => data?.data ?? data?.products ?? data
+
+  return {
+    url: baseUrl,
+
+    // Una página del catálogo: { products, page, pages, total }
+    async listProducts({ page = 1, perPage = 100, search, categoryId } = {}) {
+      const data = await request('GET', 'products', { query: { page, per_page: perPage, search, category_id: categoryId } })
+      const products = (unwrap(data) || []).map(normalizeDropiProduct)
+      const meta = data?.meta || {}
+      return {
+        products,
+        page: number(meta.current_page) || page,
+        pages: number(meta.last_page) || (products.length < perPage ? page : page + 1),
+        total: number(meta.total) ?? products.length
+      }
+    },
+
+    async getProduct(id) {
+      return normalizeDropiProduct(unwrap(await request('GET', `products/${encodeURIComponent(id)}`)))
+    },
+
+    async listCategories() {
+      return (unwrap(await request('GET', 'categories')) || []).map(c => ({ id: String(c.id), name: c.name }))
+    },
+
+    // Importa el producto de Dropi a la tienda conectada; devuelve el ID en la tienda
+    async importProduct(id, { price, storeUrl }) {
+      const data = await request('POST', `products/${encodeURIComponent(id)}/import`, { body: { price, store_url: storeUrl } })
+      return { productId: data?.product_id ?? data?.data?.product_id ?? null }
+    }
+  }
+}
+
+// ============================================
+// CATÁLOGO
+// ============================================
+
+const searchWords = (text) => normalizeTitle(text).split(' ').filter(word => word.length > 1)
+
+// Proporción de las palabras buscadas que aparecen en el nombre o el SKU
+function textMatch(product, words) {
+  const haystack = new Set([...searchWords(product.name), ...searchWords(product.sku)])
+  return words.filter(word => haystack.has(word)).length / words.length
+}
+
+// file: archivo JSON del catálogo; maxAge: ms antes de recargarlo (0 = solo a pedido);
+// maxPages: páginas de 100 productos que se leen como máximo por recarga
+export function createDropiCatalog({ client, file, maxAge = 12 * 60 * 60 * 1000, maxPages = 50, onRefresh = () => {} }) {
+  let catalog = { syncedAt: null, products: [], categories: [], truncated: false }
+  let error = null
+  let refreshing = null
+  let timer = null
+
+  try {
+    if (fs.existsSync(file)) {
+      catalog = { ...catalog, ...JSON.parse(fs.readFileSync(file, 'utf8')) }
+      console.log(`Dropi catalog: ${catalog.products.length} product(s) loaded from ${file}`)
+    }
+  } catch (loadError) {
+    console.error('Could not read Dropi catalog cache:', loadError.message)
+  }
+
+  // Se escribe en un archivo temporal y se renombra para no dejar un JSON a medias
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(catalog))
+      fs.renameSync(`${file}.tmp`, file)
+    } catch (saveError) {
+      console.error('Could not save Dropi catalog cache:', saveError.message)
+    }
+  }
+
+  async function load() {
+    const products = []
+    let page = 1
+    let pages = 1
+    do {
+      const result = await client.listProducts({ page, perPage: 100 })
+      products.push(...result.products)
+      pages = result.pages
+      page += 1
+    } while (page <= pages && page <= maxPages)
+
+    const categories = await client.listCategories()
+    return { syncedAt: new Date().toISOString(), products, categories, truncated: pages > maxPages }
+  }
+
+  const state = () => ({
+    syncedAt: catalog.syncedAt,
+    count: catalog.products.length,
+    truncated: catalog.truncated,
+    refreshing: Boolean(refreshing),
+    error
+  })
+
+  // Las recargas no se superponen; si falla se conserva el catálogo anterior
+  function refresh() {
+    if (!refreshing) {
+      refreshing = load()
+        .then(next => {
+          catalog = next
+          error = null
+          persist()
+          console.log(`Dropi catalog: ${next.products.length} product(s), ${next.categories.length} categories${next.truncated ? ' (truncated)' : ''}`)
+        })
+        .catch(refreshError => {
+          error = refreshError.message
+          console.error('Dropi catalog refresh failed:', refreshError.message)
+        })
+        .then(() => {
+          refreshing = null
+          onRefresh(state())
+          return state()
+        })
+    }
+    return refreshing
+  }
+
+  const isStale = () => !catalog.syncedAt || (maxAge > 0 && Date.now() - new Date(catalog.syncedAt).getTime() > maxAge)
+
+  return {
+    refresh,
+
+    get state() {
+      return state()
+    },
+
+    // Sin catálogo espera la primera carga; vencido lo recarga en segundo plano
+    async ready() {
+      if (!catalog.syncedAt) return refresh()
+      if (isStale()) refresh()
+      return state()
+    },
+
+    get categories() {
+      return catalog.categories
+    },
+
+    get(id) {
+      return catalog.products.find(p => p.id === String(id)) || null
+    },
+
+    // Productos del catálogo que contienen las palabras buscadas, los más parecidos
+    // y con más stock primero. category: ID o nombre de la categoría.
+    search({ query = '', category = '', page = 1, pageSize = 20 } = {}) {
+      const words = searchWords(query)
+      const categoryKey = normalizeTitle(category)
+      const ranked = catalog.products
+        .filter(p => !categoryKey || p.categoryId === String(category) || normalizeTitle(p.category) === categoryKey)
+        .map(product => ({ product, match: words.length ? textMatch(product, words) : 1 }))
+        .filter(r => r.match > 0)
+        .sort((a, b) => b.match - a.match || b.product.stock - a.product.stock)
+
+      return {
+        products: ranked.slice((page - 1) * pageSize, page * pageSize).map(r => r.product),
+        total: ranked.length,
+        page,
+        pages: Math.max(1, Math.ceil(ranked.length / pageSize))
+      }
+    },
+
+    // interval en ms; 0 solo recarga a pedido o al buscar con el catálogo vencido
+    start(interval) {
+      if (timer || !interval) return
+      timer = setInterval(refresh, interval)
+      timer.unref()
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// ============================================
+// EVENTOS - Stream SSE para el dashboard
+// ============================================
+//
+// Cada cliente recibe un evento "snapshot" al conectarse (también al reconectar)
+// y luego los eventos publicados: run, job, results, analysis, publish, woo, queue.
+
+export function createEventStream({ heartbeat = 25000 } = {}) {
+  const clients = new Set()
+  let nextId = 1
+
+  const send = (res, type, data) => {
+    res.write(`id: ${nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  // Comentario periódico para que proxies y navegador no corten la conexión
+  const timer = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(': ping\n\n')
+    }
+  }, heartbeat)
+  timer.unref()
+
+  return {
+    connect(req, res, user, snapshot) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      })
+      res.write('retry: 3000\n\n')
+
+      const client = { res, user }
+      clients.add(client)
+      console.log(`Events: ${user.username} connected (${clients.size} client(s))`)
+
+      if (snapshot) send(res, 'snapshot', snapshot)
+
+      req.on('close', () => {
+        clients.delete(client)
+        console.log(`Events: ${user.username} disconnected (${clients.size} client(s))`)
+      })
+    },
+
+    publish(type, data) {
+      for (const client of clients) {
+        send(client.res, type, data)
+      }
+    },
+
+    get size() {
+      return clients.size
+    }
+  }
+}
@@ -2,7 +2,7 @@ import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
 import fetch from 'node-fetch'
-import { google } from 'googleapis'
+import crypto from 'crypto'
 import {
   initAuth,
   login,
@@ -17,6 +17,26 @@ import {
   unlockUser,
   validatePasswordComplexity
 } from './auth.js'
+import { initStorage } from './storage/index.js'
+import { linkResultsToProducts } from './links.js'
+import { planProductIntake } from './urls.js'
+import { detectMarketplace, listMarketplaces } from './marketplaces.js'
+import { createScrapingQueue, isActiveJob, JOB_STATUS, COMPLETION } from './jobs.js'
+import { captureRawBody, createWebhookVerifier } from './webhooks.js'
+import { createEventStream } from './events.js'
+import { normalizeReview, queryReviews } from './reviews.js'
+import { analyzeReviews } from './sentiment.js'
+import { withStructuredAnalysis, applyAnalysisEdit } from './analysis.js'
+import { createLlm, renderTemplate } from './llm.js'
+import { createPromptStore, ANALYSIS_PROMPTS, isPromptName, productPromptVars, analysisPromptVars } from './prompts.js'
+import { listAdPlatforms, isAdPlatform, generateAdVariants, adPromptVars } from './ads.js'
+import { scoreOpportunity, parseWeights } from './scoring.js'
+import { createWooClient, proposeWooProduct, buildWooProduct, descriptionHtml, WooError } from './woocommerce.js'
+import { createWooSync } from './woosync.js'
+import { createPublishQueue, publishKey, TASK_STATUS } from './publishing.js'
+import { PRICING_RULES, parsePricingRules, quotePrice } from './pricing.js'
+import { createDropiClient, createDropiCatalog, demoProducts, DropiError } from './dropi.js'
+import { createImageHasher, matchSource, rankCandidates, titleTokens } from './matching.js'
 
 dotenv.config()
 
@@ -46,12 +66,12 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }
 
 app.use(cors(corsOptions))
-app.use(express.json())
+app.use(express.json({ verify: captureRawBody }))
 
 // Configuration
 const config = {
@@ -61,144 +81,108 @@ const config = {
       scraping: process.env.N8N_WEBHOOK_SCRAPING || '711c69a4-3f91-4fd4-831d-60c56039814a',
       addProduct: process.env.N8N_WEBHOOK_ADD_PRODUCT || 'add-product',
       getResults: process.env.N8N_WEBHOOK_GET_RESULTS || 'get-results',
-      publish: process.env.N8N_WEBHOOK_PUBLISH || 'publish-product'
+      publish: process.env.N8N_WEBHOOK_PUBLISH || 'publish-product',
+      cancel: process.env.N8N_WEBHOOK_CANCEL || 'cancel-scraping'
     }
   },
-  sheets: {
-    id: process.env.GOOGLE_SHEETS_ID || '1X6Dxum7dBLMPSp_nWMS9--43PWIX5mWaGlq1a6VVSF0'
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'sheets',
+    sheetsId: process.env.GOOGLE_SHEETS_ID || '1X6Dxum7dBLMPSp_nWMS9--43PWIX5mWaGlq1a6VVSF0',
+    sqliteFile: process.env.SQLITE_FILE || '/app/data/dropship.db'
   },
   scraper: {
-    url: process.env.SCRAPER_API_URL || 'http://192.168.0.111:5050'
+    url: process.env.SCRAPER_API_URL || 'http://192.168.0.111:5050',
+    concurrency: parseInt(process.env.SCRAPING_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.SCRAPING_MAX_ATTEMPTS) || 3,
+    jobTimeout: (parseInt(process.env.SCRAPING_JOB_TIMEOUT_MINUTES) || 15) * 60 * 1000
   },
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET,
+    tolerance: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300
+  },
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL || 'llama3.1:8b',
+    apiKey: process.env.LLM_API_KEY,
+    timeout: (parseInt(process.env.LLM_TIMEOUT_SECONDS) || 120) * 1000,
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? 2) || 0,
+    cacheSize: parseInt(process.env.LLM_CACHE_SIZE ?? 200) || 0
+  },
+  scoring: {
+    weights: parseWeights(process.env.SCORE_WEIGHTS)
+  },
+  // Margen, envío, comisión, IVA, terminación y mínimos por categoría (ver pricing.js)
+  pricing: parsePricingRules(process.env.PRICING_RULES, process.env.PRICING_FLOORS),
   woocommerce: {
     url: process.env.WOO_URL,
     consumerKey: process.env.WOO_CONSUMER_KEY,
-    consumerSecret: process.env.WOO_CONSUMER_SECRET
+    consumerSecret: process.env.WOO_CONSUMER_SECRET,
+    // Cada cuánto leer el estado de los productos publicados (0 = solo a pedido)
+    syncInterval: (parseInt(process.env.WOO_SYNC_MINUTES ?? 15) || 0) * 60 * 1000
+  },
+  dropi: {
+    url: process.env.DROPI_API_URL,
+    apiKey: process.env.DROPI_API_KEY,
+    email: process.env.DROPI_EMAIL,
+    password: process.env.DROPI_PASSWORD,
+    cacheFile: process.env.DROPI_CACHE_FILE || '/app/data/dropi-catalog.json',
+    // Cada cuánto recargar el catálogo local (0 = solo a pedido)
+    refreshInterval: (parseInt(process.env.DROPI_CATALOG_HOURS ?? 12) || 0) * 60 * 60 * 1000,
+    maxPages: parseInt(process.env.DROPI_CATALOG_MAX_PAGES) || 50
+  },
+  publishing: {
+    maxAttempts: parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 5,
+    baseDelay: (parseInt(process.env.PUBLISH_RETRY_SECONDS) || 30) * 1000,
+    maxDelay: 30 * 60 * 1000,
+    // Cuánto espera una petición el primer intento antes de responder que quedó en cola
+    wait: 20 * 1000
   }
 }
 
-// In-memory store for demo/fallback
-const store = {
-  products: [],
-  scrapingStatus: null,
-  taskId: null
-}
+// Adaptador de persistencia (Google Sheets o SQLite), se asigna en start()
+let storage = null
 
-// ============================================
-// GOOGLE SHEETS SERVICE
-// ============================================
-let sheetsClient = null
+// Cola de scraping por producto, se asigna en start()
+let scrapingQueue = null
 
-// Construir credenciales desde variables de entorno individuales
-function buildCredentialsFromEnv() {
-  const requiredVars = [
-    'GOOGLE_TYPE',
-    'GOOGLE_PROJECT_ID',
-    'GOOGLE_PRIVATE_KEY_ID',
-    'GOOGLE_PRIVATE_KEY',
-    'GOOGLE_CLIENT_EMAIL',
-    'GOOGLE_CLIENT_ID'
-  ]
-  
-  // Verificar que al menos las variables requeridas estén presentes
-  const hasRequiredVars = requiredVars.every(varName => process.env[varName])
-  
-  if (!hasRequiredVars) {
-    return null
-  }
-  
-  // La private_key viene con \n escapados, hay que convertirlos a saltos de línea reales
-  let privateKey = process.env.GOOGLE_PRIVATE_KEY
-  if (privateKey) {
-    // Reemplazar \n literales por saltos de línea reales
-    privateKey = privateKey.replace(/\\n/g, '\n')
-  }
-  
-  return {
-    type: process.env.GOOGLE_TYPE || 'service_account',
-    project_id: process.env.GOOGLE_PROJECT_ID,
-    private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
-    private_key: privateKey,
-    client_email: process.env.GOOGLE_CLIENT_EMAIL,
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    auth_uri: process.env.GOOGLE_AUTH_URI || 'https://accounts.google.com/o/oauth2/auth',
-    token_uri: process.env.GOOGLE_TOKEN_URI || 'https://oauth2.googleapis.com/token',
-    auth_provider_x509_cert_url: process.env.GOOGLE_AUTH_PROVIDER_CERT_URL || 'https://www.googleapis.com/oauth2/v1/certs',
-    client_x509_cert_url: process.env.GOOGLE_CLIENT_CERT_URL,
-    universe_domain: process.env.GOOGLE_UNIVERSE_DOMAIN || 'googleapis.com'
-  }
-}
+// Plantillas de prompts versionadas, se asigna en start()
+let promptStore = null
 
-async function initGoogleSheets() {
-  try {
-    let auth;
-    let credentials = null;
-    
-    // Opción 1: Variables de entorno individuales (RECOMENDADO para repos públicos)
-    credentials = buildCredentialsFromEnv()
-    if (credentials) {
-      console.log('Google Sheets: Using credentials from individual ENV variables')
-      console.log('  Project ID:', credentials.project_id)
-      console.log('  Client Email:', credentials.client_email)
-      
-      auth = new google.auth.GoogleAuth({
-        credentials: credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      })
-    }
-    // Opción 2: Archivo de credenciales (GOOGLE_APPLICATION_CREDENTIALS)
-    else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-      console.log('Google Sheets: Using credentials file:', process.env.GOOGLE_APPLICATION_CREDENTIALS)
-      auth = new google.auth.GoogleAuth({
-        keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      })
-    }
-    // Opción 3: JSON completo en variable de entorno (GOOGLE_SERVICE_ACCOUNT_KEY)
-    else if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
-      console.log('Google Sheets: Using credentials from GOOGLE_SERVICE_ACCOUNT_KEY env var')
-      
-      try {
-        // Intentar parsear directamente
-        credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY)
-      } catch (parseError) {
-        // Si falla, intentar decodificar de base64
-        try {
-          const decoded = Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT_KEY, 'base64').toString('utf8')
-          credentials = JSON.parse(decoded)
-          console.log('Google Sheets: Credentials decoded from base64')
-        } catch (base64Error) {
-          throw new Error('Could not parse GOOGLE_SERVICE_ACCOUNT_KEY as JSON or base64')
-        }
-      }
-      
-      auth = new google.auth.GoogleAuth({
-        credentials: credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      })
-    }
-    else {
-      console.log('Google Sheets: No credentials provided, using mock data')
-      console.log('  Option 1: Set individual GOOGLE_* env variables (recommended)')
-      console.log('  Option 2: Set GOOGLE_APPLICATION_CREDENTIALS file path')
-      console.log('  Option 3: Set GOOGLE_SERVICE_ACCOUNT_KEY as JSON/base64')
-      return null
-    }
-    
-    sheetsClient = google.sheets({ version: 'v4', auth })
-    
-    // Test connection
-    await sheetsClient.spreadsheets.get({
-      spreadsheetId: config.sheets.id
-    })
-    
-    console.log('Google Sheets: Connected successfully ✓')
-    return sheetsClient
-  } catch (error) {
-    console.error('Google Sheets: Connection failed -', error.message)
-    return null
-  }
-}
+// Cola de publicación en la tienda (ver publishing.js), se asigna en start()
+let publishQueue = null
+
+// Clientes SSE del dashboard (GET /api/events)
+const events = createEventStream()
+
+// Modelo de lenguaje para generar texto desde el backend sin pasar por n8n;
+// null si no hay proveedor configurado (ver llm.js)
+const llm = createLlm(config.llm, { prompts: (name) => promptStore.get(name) })
+
+// Tienda WooCommerce; null si no está configurada
+const woo = createWooClient(config.woocommerce)
+
+// API de Dropi y su catálogo en caché (ver dropi.js); null sin Dropi configurado
+const dropi = createDropiClient(config.dropi)
+const dropiCatalog = dropi && createDropiCatalog({
+  client: dropi,
+  file: config.dropi.cacheFile,
+  maxAge: config.dropi.refreshInterval,
+  maxPages: config.dropi.maxPages
+})
+
+// Hashes de imágenes para la coincidencia con Dropi (ver matching.js), en memoria
+const imageHasher = createImageHasher()
+
+// Estado en la tienda de los productos publicados (ver woosync.js); null sin WooCommerce
+const wooSync = woo && createWooSync({
+  woo,
+  load: async () => ({
+    results: (await loadLinkedData()).results,
+    records: await storage.listPublishRecords()
+  }),
+  onSync: (state) => events.publish('woo', state)
+})
 
 // ============================================
 // N8N SERVICE
@@ -243,43 +227,413 @@ async function callN8nWebhook(webhookId, data = {}) {
   }
 }
 
+// Plantillas de análisis en la versión que quedó registrada al crear la ejecución
+async function runPrompts(runId) {
+  const versions = scrapingQueue.getRun(runId)?.prompts || {}
+  const entries = await Promise.all(ANALYSIS_PROMPTS.map(async name => {
+    const { version, system, user } = await promptStore.get(name, versions[name])
+    return [name, { version, system, user }]
+  }))
+  return Object.fromEntries(entries)
+}
+
+const renderPrompts = (templates, vars) => Object.fromEntries(
+  Object.entries(templates).map(([name, { version, system, user }]) => [
+    name,
+    { version, system: renderTemplate(system, vars), user: renderTemplate(user, vars) }
+  ])
+)
+
+// Envía un job a n8n; el flujo responde al callback con job_id
+async function dispatchScrapingJob(job) {
+  // Las reseñas todavía no existen: n8n completa reviews y reviewCount tras el scraping
+  // (o usa los prompts ya completos que devuelve el callback con las reseñas)
+  const product = (await storage.listProducts()).find(p => p.id === job.productId) || { url: job.url }
+  const { reviews, reviewCount, ...promptVars } = productPromptVars(product, [], { instruction: job.instruction || '' })
+  
+  const result = await callN8nWebhook(config.n8n.webhooks.scraping, {
+    job_id: job.id,
+    product_id: job.productId,
+    url: job.url,
+    attempt: job.attempts,
+    // Re-análisis: instrucción extra para el prompt y análisis anterior
+    instruction: job.instruction || '',
+    previous_analysis_id: job.analysisId || '',
+    prompts: await runPrompts(job.runId),
+    prompt_vars: promptVars,
+    spreadsheet_name: 'Planilla_Resenas',
+    sheet_name: 'Raw_Resenas',
+    callback_url: `${process.env.APP_URL || 'http://localhost:3201'}/api/scraping/complete`
+  })
+  
+  return { taskId: result.task_id || result.taskId || '' }
+}
+
+// Estado de una tarea de la scraper API
+async function pollScraperTask(taskId) {
+  const response = await fetch(`${config.scraper.url}/task/${taskId}`)
+  const data = await response.json()
+  return data.status || null
+}
+
+// Pide a la scraper API y a n8n que detengan los jobs cancelados.
+// Es best-effort: un fallo se registra pero no revierte la cancelación.
+async function stopScrapingJobs(runId, jobs) {
+  const stopped = { tasks: 0, n8n: false }
+  
+  for (const job of jobs.filter(j => j.taskId)) {
+    try {
+      const response = await fetch(`${config.scraper.url}/task/${job.taskId}/cancel`, { method: 'POST' })
+      if (response.ok) stopped.tasks++
+    } catch (error) {
+      console.error(`Could not cancel scraper task ${job.taskId}:`, error.message)
+    }
+  }
+  
+  try {
+    await callN8nWebhook(config.n8n.webhooks.cancel, {
+      run_id: runId,
+      job_ids: jobs.map(j => j.id)
+    })
+    stopped.n8n = true
+  } catch (error) {
+    console.error('Could not notify n8n about cancellation:', error.message)
+  }
+  
+  return stopped
+}
+
 // ============================================
-// WOOCOMMERCE SERVICE
+// HELPER FUNCTIONS
 // ============================================
-async function createWooProduct(productData) {
-  if (!config.woocommerce.url || !config.woocommerce.consumerKey) {
-    console.log('WooCommerce: Not configured')
-    return { id: 'demo-' + Date.now(), status: 'demo' }
+// Agrega el marketplace (id del registro) y el país al producto
+function withMarketplace(product) {
+  const marketplace = detectMarketplace(product.url)
+  return { ...product, marketplace: marketplace.id, country: marketplace.country }
+}
+
+// { title, price, currency, image } del callback del scraper, solo los campos válidos; null si no trae ninguno
+function productDetails(product) {
+  if (!product || typeof product !== 'object') return null
+  const details = {}
+  if (typeof product.title === 'string' && product.title.trim()) details.title = product.title.trim()
+  if (Number(product.price) > 0) details.price = Number(product.price)
+  if (typeof product.currency === 'string' && product.currency.trim()) details.currency = product.currency.trim().toUpperCase()
+  if (typeof product.image === 'string' && /^https?:\/\//.test(product.image)) details.image = product.image
+  return Object.keys(details).length ? details : null
+}
+
+// Productos y análisis con la relación producto -> análisis resuelta.
+// Los vínculos encontrados por título se guardan para no recalcularlos.
+async function loadLinkedData() {
+  const products = (await storage.listProducts())
+    .map(withMarketplace)
+  
+  const { results, newLinks } = linkResultsToProducts(
+    (await storage.listMarketingResults()).map(withStructuredAnalysis),
+    products
+  )
+  
+  for (const link of newLinks) {
+    try {
+      await storage.linkMarketingResult(link.id, link.productId)
+      console.log(`Linked analysis ${link.id} to product ${link.productId}`)
+    } catch (error) {
+      console.error('Could not save analysis link:', error.message)
+    }
+  }
+  
+  return { products, results }
+}
+
+// Sentimiento de las reseñas por producto (null sin reseñas). Las reseñas solo cambian
+// con el callback del scraper, que descarta la entrada; así cada listado no vuelve a
+// leer las reseñas de todos los productos.
+const sentiments = new Map()
+
+// Se guarda la promesa: una lectura en curso al descartar la entrada no la vuelve a llenar
+function productSentiment(productId) {
+  if (!sentiments.has(productId)) {
+    const sentiment = storage.listReviews(productId)
+      .then(reviews => (reviews.length > 0 ? analyzeReviews(reviews) : null))
+    sentiment.catch(() => sentiments.get(productId) === sentiment && sentiments.delete(productId))
+    sentiments.set(productId, sentiment)
+  }
+  return sentiments.get(productId)
+}
+
+// Puntaje de oportunidad de cada análisis: reseñas del producto, puntos de dolor y
+// proveedor del análisis
+async function withOpportunity(results, products) {
+  const scored = []
+  
+  for (const result of results) {
+    const product = products.find(p => p.id === result.productId)
+    const opportunity = scoreOpportunity({
+      product: product || { title: result.Producto },
+      sentiment: product ? await productSentiment(product.id) : null,
+      analysis: result,
+      products
+    }, config.scoring.weights)
+    scored.push({ ...result, opportunity })
+  }
+  
+  return scored
+}
+
+// Conteo de jobs por estado
+function summarizeJobs(jobs) {
+  const summary = { total: jobs.length }
+  for (const status of Object.values(JOB_STATUS)) {
+    summary[status] = jobs.filter(j => j.status === status).length
+  }
+  return summary
+}
+
+const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null
+
+// Duración media de las ejecuciones y de cada producto terminado, por marketplace
+function runStats(runs, jobs) {
+  const byMarketplace = {}
+  for (const job of jobs) {
+    if (job.status !== JOB_STATUS.DONE || !job.startedAt || !job.finishedAt) continue
+    const marketplace = detectMarketplace(job.url).id
+    byMarketplace[marketplace] = byMarketplace[marketplace] || []
+    byMarketplace[marketplace].push(new Date(job.finishedAt) - new Date(job.startedAt))
+  }
+  
+  return {
+    runs: runs.length,
+    avgRunDurationMs: average(runs.filter(r => r.durationMs != null).map(r => r.durationMs)),
+    byMarketplace: Object.entries(byMarketplace)
+      .map(([marketplace, durations]) => ({ marketplace, jobs: durations.length, avgDurationMs: average(durations) }))
+      .sort((a, b) => b.jobs - a.jobs)
+  }
+}
+
+// Estado de una ejecución (por defecto la última), con el detalle de cada job
+function scrapingStatus(runId) {
+  const allJobs = scrapingQueue.list()
+  
+  if (allJobs.length === 0) {
+    return { status: 'idle', jobs: [], summary: summarizeJobs([]) }
+  }
+  
+  runId = runId || allJobs[allJobs.length - 1].runId
+  const jobs = scrapingQueue.list({ runId })
+  const summary = summarizeJobs(jobs)
+  const active = jobs.some(isActiveJob)
+  
+  let status = 'completed'
+  if (active) status = 'processing'
+  else if (summary.cancelled > 0) status = 'cancelled'
+  else if (summary.failed === jobs.length) status = 'error'
+  
+  return {
+    status,
+    runId,
+    jobs,
+    summary,
+    elapsed: jobs.length ? Date.now() - new Date(jobs[0].createdAt).getTime() : 0
+  }
+}
+
+// Un análisis nuevo guarda con qué se generó: las versiones de prompts de su ejecución
+// y, si es un re-análisis, la instrucción usada.
+// Como solo hay una ejecución a la vez, el último job del producto es el que lo generó.
+async function tagNewResults(fresh) {
+  const latest = scrapingQueue.latestByProduct()
+  for (const result of fresh) {
+    const job = latest[result.productId]
+    if (!job || result.id === job.analysisId) continue
+    
+    try {
+      if (job.instruction && !result.instruction) {
+        await storage.setMarketingInstruction(result.id, job.instruction)
+        result.instruction = job.instruction
+      }
+      
+      const prompts = scrapingQueue.getRun(job.runId)?.prompts || {}
+      if (Object.keys(prompts).length > 0 && Object.keys(result.prompts).length === 0) {
+        await storage.setMarketingPrompts(result.id, prompts)
+        result.prompts = prompts
+      }
+    } catch (error) {
+      console.error('Could not tag new analysis:', error.message)
+    }
   }
+}
+
+// Avisa por SSE de los análisis que n8n agregó desde la última revisión (antes les
+// asigna su ID). Las revisiones se encadenan para no anunciar dos veces el mismo análisis.
+let knownResultIds = null
+let announcing = Promise.resolve()
+
+function announceNewResults() {
+  announcing = announcing.then(async () => {
+    try {
+      await storage.assignMissingIds()
+      const { products, results } = await loadLinkedData()
+      if (knownResultIds) {
+        const fresh = results.filter(r => !knownResultIds.has(r.id))
+        await tagNewResults(fresh)
+        if (fresh.length > 0) events.publish('results', { results: await withOpportunity(fresh, products) })
+      }
+      knownResultIds = new Set(results.map(r => r.id))
+    } catch (error) {
+      console.error('Could not check for new results:', error.message)
+    }
+  })
+  return announcing
+}
+
+// Registrar una publicación sin interrumpir la respuesta si el storage falla
+async function recordPublish(record) {
+  events.publish('publish', { ...record, createdAt: new Date().toISOString() })
   
   try {
-    const WooCommerceRestApi = (await import('@woocommerce/woocommerce-rest-api')).default
+    await storage.addPublishRecord(record)
+  } catch (error) {
+    console.error('Could not save publish record:', error.message)
+  }
+}
+
+// ============================================
+// PUBLISH QUEUE HANDLERS
+// ============================================
+
+// Los rechazos de la tienda o de Dropi (4xx) no se arreglan reintentando; las caídas, 429 y 5xx sí
+const isRetryablePublishError = (error) =>
+  (error instanceof WooError || error instanceof DropiError) && (error.status === null || error.status === 429 || error.status >= 500)
+
+// Producto de la tienda que ya corresponde a la tarea: el guardado en el análisis, el de
+// un intento anterior con la misma clave o el que creó un intento que no recibió respuesta
+async function existingWooProductId(task, { sku, name }, analysisWooId = '') {
+  if (/^\d+$/.test(analysisWooId)) return analysisWooId
+  if (task.result?.wooProductId) return String(task.result.wooProductId)
+  const found = await woo.findByPublishKey(task.key, { sku, name })
+  return found ? String(found.id) : null
+}
+
+// kind 'analysis': análisis aprobado -> producto completo (payload: campos de buildWooProduct)
+async function publishAnalysisTask(task) {
+  try {
+    if (!woo) throw new Error('WooCommerce no está configurado')
+    
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === task.reference)
+    if (!result) throw new Error('Análisis no encontrado')
+    if (result.estado_aprobacion !== 'aprobado') throw new Error('Solo se pueden publicar análisis aprobados')
     
-    const api = new WooCommerceRestApi({
-      url: config.woocommerce.url,
-      consumerKey: config.woocommerce.consumerKey,
-      consumerSecret: config.woocommerce.consumerSecret,
-      version: 'wc/v3'
+    const { product, error } = buildWooProduct(result, task.payload)
+    if (error) throw new Error(error)
+    product.meta_data.push({ key: '_dsm_publish_key', value: task.key })
+    
+    const existingId = await existingWooProductId(task, product, result.woo_product_id)
+    const wooProduct = await woo.saveProduct(product, existingId)
+    const updatedInStore = String(wooProduct.id) === existingId
+    console.log(`Analysis ${result.id} ${updatedInStore ? 'updated' : 'published'} as WooCommerce product ${wooProduct.id}`)
+    
+    await storage.setMarketingPublished(result.id, { published: 'si', wooProductId: wooProduct.id })
+    await recordPublish({
+      source: 'woocommerce',
+      reference: result.id,
+      externalId: wooProduct.id,
+      name: product.name,
+      price: Number(product.regular_price),
+      status: wooProduct.status,
+      user: task.requestedBy
     })
     
-    const response = await api.post('products', productData)
-    return response.data
+    const [updated] = await withOpportunity([{ ...result, publicado: 'si', woo_product_id: String(wooProduct.id) }], products)
+    events.publish('analysis', { result: updated, user: task.requestedBy })
+    wooSync.run()
+    
+    return {
+      wooProductId: wooProduct.id,
+      status: wooProduct.status,
+      permalink: wooProduct.permalink,
+      message: updatedInStore ? 'Producto actualizado en WooCommerce' : 'Producto publicado en WooCommerce'
+    }
   } catch (error) {
-    console.error('WooCommerce error:', error.message)
+    await recordPublish({ source: 'woocommerce', reference: task.reference, name: task.name, status: 'error', error: error.message, user: task.requestedBy })
     throw error
   }
 }
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-function detectMarketplace(url) {
-  if (!url) return 'Desconocido'
-  if (url.includes('mercadolibre')) return 'MercadoLibre'
-  if (url.includes('amazon')) return 'Amazon'
-  if (url.includes('aliexpress')) return 'AliExpress'
-  if (url.includes('ebay')) return 'eBay'
-  return 'Otro'
+// kind 'dropi': producto de Dropi con nombre y precio (payload: { dropiProductId, price, name })
+async function publishDropiTask(task) {
+  const { dropiProductId, price, name } = task.payload
+  // Producto que ya dejó en la tienda un intento anterior de esta clave (importado por
+  // Dropi o creado en WooCommerce): no se vuelve a importar, se actualiza ese
+  const previousId = task.result?.wooProductId || task.result?.productId || null
+  
+  try {
+    // Si hay API de Dropi configurada, importar el producto de Dropi a WooCommerce
+    // (solo la primera vez: la importación no se puede actualizar). Si Dropi no lo
+    // importa y hay WooCommerce, el producto se crea directamente en la tienda.
+    if (dropi && !previousId) {
+      try {
+        const { productId } = await dropi.importProduct(dropiProductId, { price, storeUrl: config.woocommerce.url })
+        await recordPublish({
+          source: 'dropi',
+          reference: dropiProductId,
+          externalId: productId,
+          name,
+          price,
+          status: 'imported',
+          user: task.requestedBy
+        })
+        return { productId, message: 'Producto importado correctamente' }
+      } catch (error) {
+        if (!woo) throw error
+        console.log(`Dropi import of ${dropiProductId} failed, creating it in WooCommerce: ${error.message}`)
+      }
+    }
+    
+    // Si hay WooCommerce configurado, crear (o actualizar) el producto directamente
+    if (woo) {
+      const product = {
+        name: name,
+        type: 'simple',
+        regular_price: String(price),
+        status: 'publish',
+        meta_data: [
+          { key: '_dropi_product_id', value: dropiProductId },
+          { key: '_dsm_publish_key', value: task.key }
+        ]
+      }
+      const existingId = previousId ? String(previousId) : await existingWooProductId(task, product)
+      const wooProduct = await woo.saveProduct(product, existingId)
+      
+      await recordPublish({
+        source: 'dropi',
+        reference: dropiProductId,
+        externalId: wooProduct.id,
+        name,
+        price,
+        status: wooProduct.status,
+        user: task.requestedBy
+      })
+      
+      return {
+        productId: wooProduct.id,
+        wooProductId: wooProduct.id,
+        message: String(wooProduct.id) === existingId ? 'Producto actualizado en WooCommerce' : 'Producto creado en WooCommerce'
+      }
+    }
+    
+    // Ya importado y sin WooCommerce para actualizarlo: se deja como está
+    if (previousId) {
+      return { ...task.result, message: 'El producto ya se importó a la tienda (sin WooCommerce configurado no se puede actualizar)' }
+    }
+    
+    // La ruta no encola sin Dropi ni WooCommerce; esto solo pasa si se quitó la configuración
+    throw new Error('Ni Dropi ni WooCommerce están configurados')
+  } catch (error) {
+    await recordPublish({ source: 'dropi', reference: dropiProductId, name, price, status: 'error', error: error.message, user: task.requestedBy })
+    throw error
+  }
 }
 
 // ============================================
@@ -292,22 +646,70 @@ app.get('/api/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     services: {
-      sheets: !!sheetsClient,
+      storage: storage?.name || null,
+      sheets: storage?.name === 'sheets',
       n8n: !!config.n8n.baseUrl,
-      woocommerce: !!config.woocommerce.url
+      woocommerce: !!config.woocommerce.url,
+      webhooks: !!config.webhooks.secret
     }
   })
 })
 
-// Callback de n8n cuando termina el scraping (público - llamado por n8n)
-app.post('/api/scraping/complete', (req, res) => {
+// Webhooks entrantes: sin JWT, autenticados con firma HMAC (ver webhooks.js)
+const verifyWebhook = createWebhookVerifier(config.webhooks)
+
+// Callback de n8n con el resultado de cada job (firmado por n8n)
+// Body: { job_id, status, error?, task_id?, reviews? } o { jobs: [{ job_id, status, ... }] }
+// reviews: [{ text, rating, date, author, language?, source? }] reemplaza las reseñas del producto
+app.post('/api/scraping/complete', verifyWebhook, async (req, res) => {
   console.log('=== SCRAPING COMPLETE CALLBACK ===')
   console.log('Body:', req.body)
   
-  store.scrapingStatus = 'completed'
-  store.scrapingEndTime = Date.now()
-  
-  res.json({ success: true, message: 'Status updated to completed' })
+  try {
+    const updates = Array.isArray(req.body.jobs) ? req.body.jobs : [req.body]
+    
+    // Flujo antiguo sin job_id: se da por terminado todo lo activo
+    if (updates.every(u => !u.job_id)) {
+      const completed = await scrapingQueue.completeActive(undefined, COMPLETION.CALLBACK)
+      return res.json({ success: true, message: `${completed} job(s) marked as done` })
+    }
+    
+    const results = []
+    for (const update of updates) {
+      // Un callback tardío o repetido de un job ya terminado no pisa los datos guardados;
+      // report() igual lo informa en la respuesta
+      const found = scrapingQueue.get(update.job_id)
+      const job = found && isActiveJob(found) ? found : null
+      if (found && !job) console.log(`Ignoring data for finished job ${found.id} (${found.status})`)
+      // Datos del producto leídos por el scraper (título, precio, imagen) para buscar su proveedor
+      const details = job && productDetails(update.product)
+      if (details) await storage.updateProductDetails(job.productId, details)
+      // Con las reseñas se devuelven los prompts de análisis ya completos para que n8n los use
+      let prompts
+      if (job && Array.isArray(update.reviews)) {
+        const source = detectMarketplace(job.url).id
+        const reviews = update.reviews.map(r => normalizeReview(r, { source })).filter(Boolean)
+        await storage.saveReviews(job.productId, reviews)
+        sentiments.delete(job.productId)
+        console.log(`Saved ${reviews.length} review(s) for product ${job.productId}`)
+        
+        const product = (await storage.listProducts()).find(p => p.id === job.productId) || { url: job.url }
+        prompts = renderPrompts(await runPrompts(job.runId), productPromptVars(product, reviews, { instruction: job.instruction || '' }))
+      }
+      
+      const result = await scrapingQueue.report(update.job_id, {
+        status: update.status || JOB_STATUS.DONE,
+        error: update.error,
+        taskId: update.task_id
+      })
+      results.push({ jobId: update.job_id, success: result.success, status: result.job?.status, error: result.error, prompts })
+    }
+    
+    res.json({ success: results.every(r => r.success), results })
+  } catch (error) {
+    console.error('Scraping callback error:', error)
+    res.status(500).json({ error: error.message })
+  }
 })
 
 // ============================================
@@ -445,6 +847,110 @@ app.use('/api/products', authMiddleware)
 app.use('/api/scraping', authMiddleware)
 app.use('/api/marketing', authMiddleware)
 app.use('/api/dropi', authMiddleware)
+app.use('/api/pricing', authMiddleware)
+app.use('/api/woocommerce', authMiddleware)
+
+// ============================================
+// PROMPTS ROUTES (solo admin)
+// ============================================
+
+// Plantillas con su versión vigente y las variables que aceptan
+app.get('/api/prompts', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json({ prompts: await promptStore.list(), llm: Boolean(llm) })
+  } catch (error) {
+    console.error('Error listing prompts:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Historial de versiones (más reciente primero; la 0 es la predeterminada)
+app.get('/api/prompts/:name/versions', authMiddleware, adminMiddleware, async (req, res) => {
+  if (!isPromptName(req.params.name)) {
+    return res.status(404).json({ error: 'Plantilla no encontrada' })
+  }
+  
+  try {
+    res.json({ versions: await promptStore.history(req.params.name) })
+  } catch (error) {
+    console.error('Error listing prompt versions:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Guarda una versión nueva de la plantilla. Body: { system, user, note? }
+app.post('/api/prompts/:name', authMiddleware, adminMiddleware, async (req, res) => {
+  console.log('=== SAVE PROMPT ===')
+  
+  try {
+    const { template, error } = await promptStore.save(req.params.name, req.body || {}, req.user.username)
+    if (error) {
+      return res.status(isPromptName(req.params.name) ? 400 : 404).json({ error })
+    }
+    
+    console.log(`Prompt ${template.name} v${template.version} saved by ${req.user.username}`)
+    res.status(201).json({ success: true, template })
+  } catch (error) {
+    console.error('Error saving prompt:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Completa la plantilla (o el borrador del body) con un producto real y su último análisis.
+// Body: { system?, user?, productId?, run? } - run también la envía al modelo
+app.post('/api/prompts/:name/preview', authMiddleware, adminMiddleware, async (req, res) => {
+  const { name } = req.params
+  if (!isPromptName(name)) {
+    return res.status(404).json({ error: 'Plantilla no encontrada' })
+  }
+  
+  try {
+    const current = await promptStore.current(name)
+    const system = req.body?.system ?? current.system
+    const user = req.body?.user ?? current.user
+    
+    const { products, results } = await loadLinkedData()
+    const product = products.find(p => p.id === req.body?.productId) || products[0]
+    if (!product) {
+      return res.status(400).json({ error: 'No hay productos para la vista previa' })
+    }
+    
+    const { reviews } = await loadProductReviews(product.id)
+    const analysis = results.filter(r => r.productId === product.id).at(-1)
+    const vars = {
+      ...(analysis && (name === 'ads' ? adPromptVars(analysis, 'meta') : analysisPromptVars(analysis))),
+      ...productPromptVars(product, reviews)
+    }
+    const rendered = { system: renderTemplate(system, vars), user: renderTemplate(user, vars) }
+    
+    let output = null
+    if (req.body?.run) {
+      if (!llm) {
+        return res.status(503).json({ error: 'No hay un modelo de lenguaje configurado (LLM_PROVIDER / LLM_BASE_URL)' })
+      }
+      output = await llm.complete({ system: rendered.system, prompt: rendered.user, feature: `${name}-preview`, cache: false })
+    }
+    
+    res.json({
+      product: { id: product.id, title: product.title, url: product.url },
+      analysisId: analysis?.id || null,
+      ...rendered,
+      output
+    })
+  } catch (error) {
+    console.error('Error previewing prompt:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// ============================================
+// MARKETPLACES
+// ============================================
+
+// Registro de marketplaces para badges y filtros del frontend
+app.get('/api/marketplaces', authMiddleware, (req, res) => {
+  res.json({ marketplaces: listMarketplaces() })
+})
 
 // ============================================
 // PRODUCTS ROUTES
@@ -455,40 +961,20 @@ app.get('/api/products', async (req, res) => {
   console.log('=== GET PRODUCTS REQUEST ===')
   
   try {
-    if (sheetsClient) {
-      const response = await sheetsClient.spreadsheets.values.get({
-        spreadsheetId: config.sheets.id,
-        range: 'Raw_Resenas!A:G'
-      })
-      
-      const rows = response.data.values || []
-      console.log('Rows from sheet:', rows.length)
-      
-      if (rows.length < 2) {
-        return res.json({ products: [] })
-      }
-      
-      const headers = rows[0]
-      const products = rows.slice(1)
-        .map((row, index) => ({
-          id: index,
-          url: row[0] || '',
-          title: row[1] || '',
-          rating: row[2] || '',
-          date: row[3] || '',
-          status: row[6] || 'pending',
-          marketplace: detectMarketplace(row[0] || '')
-        }))
-        .filter(p => p.status !== 'deleted' && p.url)
-      
-      console.log('Products after filter:', products.length)
-      return res.json({ products })
-    }
+    const { products, results } = await loadLinkedData()
+    
+    const withAnalyses = products.map(p => ({
+      ...p,
+      analyses: results
+        .filter(r => r.productId === p.id)
+        .map(r => ({ id: r.id, Fecha: r.Fecha, estado_aprobacion: r.estado_aprobacion }))
+    }))
     
-    res.json({ products: store.products })
+    console.log('Products after filter:', products.length)
+    res.json({ products: withAnalyses })
   } catch (error) {
     console.error('Error getting products:', error)
-    res.json({ products: store.products })
+    res.status(500).json({ error: error.message })
   }
 })
 
@@ -507,64 +993,36 @@ app.post('/api/products/add', async (req, res) => {
     }
     
     console.log('URLs to add:', urls)
-    console.log('Sheets client available:', !!sheetsClient)
+    console.log('Storage:', storage.name)
     
-    const rows = urls.map(url => [
-      url,
-      '',
-      '',
-      new Date().toISOString(),
-      '',
-      '',
-      'pending'
-    ])
+    // URLs canónicas sin tracking; las publicaciones ya registradas no se duplican
+    const { toAdd, report } = planProductIntake(urls, await storage.listProducts())
     
-    console.log('Rows to append:', JSON.stringify(rows, null, 2))
+    const products = (toAdd.length > 0 ? await storage.addProducts(toAdd) : [])
+      .map(withMarketplace)
     
-    let sheetSuccess = false
+    const results = report.map(({ addIndex, ...entry }) =>
+      addIndex !== undefined ? { ...entry, productId: products[addIndex].id } : entry
+    )
+    const count = (status) => results.filter(r => r.status === status).length
+    console.log(`Intake: ${count('added')} added, ${count('merged')} merged, ${count('skipped')} skipped`)
     
-    if (sheetsClient) {
+    if (toAdd.length > 0) {
       try {
-        console.log('Attempting to append to sheet...')
-        console.log('Sheet ID:', config.sheets.id)
-        
-        const response = await sheetsClient.spreadsheets.values.append({
-          spreadsheetId: config.sheets.id,
-          range: 'Raw_Resenas!A:G',
-          valueInputOption: 'USER_ENTERED',
-          insertDataOption: 'INSERT_ROWS',
-          requestBody: { values: rows }
-        })
-        
-        console.log('Sheet append SUCCESS:', response.data.updates)
-        sheetSuccess = true
-      } catch (sheetError) {
-        console.error('Sheet append ERROR:', sheetError.message)
-        console.error('Full error:', JSON.stringify(sheetError.response?.data || sheetError, null, 2))
+        await callN8nWebhook(config.n8n.webhooks.addProduct, { urls: toAdd })
+        console.log('n8n webhook called successfully')
+      } catch (e) {
+        console.log('n8n notification skipped:', e.message)
       }
     }
     
-    urls.forEach((url, i) => {
-      store.products.push({
-        id: Date.now() + i,
-        url,
-        status: 'pending',
-        marketplace: detectMarketplace(url)
-      })
-    })
-    
-    try {
-      await callN8nWebhook(config.n8n.webhooks.addProduct, { urls })
-      console.log('n8n webhook called successfully')
-    } catch (e) {
-      console.log('n8n notification skipped:', e.message)
-    }
-    
     res.json({ 
       success: true, 
-      sheetUpdated: sheetSuccess,
-      message: `${urls.length} producto(s) agregado(s)`,
-      products: store.products
+      storage: storage.name,
+      message: `${count('added')} producto(s) agregado(s), ${count('merged')} combinado(s), ${count('skipped')} omitido(s)`,
+      products,
+      summary: { added: count('added'), merged: count('merged'), skipped: count('skipped') },
+      results
     })
   } catch (error) {
     console.error('FATAL ERROR in /api/products/add:', error)
@@ -579,27 +1037,11 @@ app.delete('/api/products/:id', async (req, res) => {
   console.log('Product ID to delete:', id)
   
   try {
-    const indexToRemove = parseInt(id)
+    const found = await storage.deleteProduct(id)
+    sentiments.delete(id)
     
-    if (store.products.length > indexToRemove) {
-      const removed = store.products.splice(indexToRemove, 1)
-      console.log('Removed from local store:', removed)
-    }
-    
-    if (sheetsClient) {
-      try {
-        const rowNumber = indexToRemove + 2
-        
-        await sheetsClient.spreadsheets.values.update({
-          spreadsheetId: config.sheets.id,
-          range: `Raw_Resenas!G${rowNumber}`,
-          valueInputOption: 'USER_ENTERED',
-          requestBody: { values: [['deleted']] }
-        })
-        console.log('Marked as deleted in sheet, row:', rowNumber)
-      } catch (sheetError) {
-        console.error('Error updating sheet:', sheetError.message)
-      }
+    if (!found) {
+      return res.status(404).json({ error: 'Producto no encontrado' })
     }
     
     res.json({ success: true, message: 'Producto eliminado' })
@@ -609,30 +1051,46 @@ app.delete('/api/products/:id', async (req, res) => {
   }
 })
 
-// Publish product to WooCommerce
-app.post('/api/products/:id/publish', async (req, res) => {
+// Producto y sus reseñas; null si el producto no existe
+async function loadProductReviews(productId) {
+  const product = (await storage.listProducts()).find(p => p.id === productId)
+  if (!product) return null
+  
+  // Reseñas antiguas sin origen: se asume el marketplace del producto
+  const source = detectMarketplace(product.url).id
+  const reviews = (await storage.listReviews(product.id))
+    .map(r => ({ ...r, source: r.source || source }))
+  return { product, reviews }
+}
+
+// Reseñas de un producto con filtros y paginación
+// Query: page, pageSize, rating (exacto 1-5), minRating, maxRating, q (texto)
+app.get('/api/products/:id/reviews', async (req, res) => {
   try {
-    const { id } = req.params
-    console.log('Publishing product:', id)
+    const data = await loadProductReviews(req.params.id)
+    if (!data) {
+      return res.status(404).json({ error: 'Producto no encontrado' })
+    }
     
-    const wooProduct = await createWooProduct({
-      name: `Producto ${id}`,
-      type: 'simple',
-      status: 'draft'
-    })
+    res.json(queryReviews(data.reviews, req.query))
+  } catch (error) {
+    console.error('Error getting reviews:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Sentimiento, temas recurrentes y distribución de calificaciones (calculado localmente)
+app.get('/api/products/:id/sentiment', async (req, res) => {
+  try {
+    const data = await loadProductReviews(req.params.id)
+    if (!data) {
+      return res.status(404).json({ error: 'Producto no encontrado' })
+    }
     
-    res.json({ 
-      success: true, 
-      wooProductId: wooProduct.id,
-      message: 'Producto publicado en WooCommerce'
-    })
+    res.json(analyzeReviews(data.reviews))
   } catch (error) {
-    console.error('Error publishing product:', error)
-    res.json({ 
-      success: true, 
-      wooProductId: 'demo-' + Date.now(),
-      message: 'Producto publicado (demo)'
-    })
+    console.error('Error analyzing reviews:', error)
+    res.status(500).json({ error: error.message })
   }
 })
 
@@ -640,178 +1098,138 @@ app.post('/api/products/:id/publish', async (req, res) => {
 // SCRAPING ROUTES
 // ============================================
 
+// Encola un job por producto (todos, o los indicados en productIds)
 app.post('/api/scraping/start', async (req, res) => {
   try {
-    store.scrapingStatus = 'processing'
-    store.scrapingStartTime = Date.now()
-    store.lastResultCount = 0
+    const { productIds } = req.body || {}
     
-    // Guardar conteo actual de resultados para detectar nuevos
-    if (sheetsClient) {
-      try {
-        const response = await sheetsClient.spreadsheets.values.get({
-          spreadsheetId: config.sheets.id,
-          range: 'Marketing_Analisis!A:A'
-        })
-        store.lastResultCount = (response.data.values?.length || 1) - 1 // -1 por header
-        console.log('Initial result count:', store.lastResultCount)
-      } catch (e) {
-        console.log('Could not get initial count:', e.message)
-      }
+    let products = await storage.listProducts()
+    if (Array.isArray(productIds)) {
+      products = products.filter(p => productIds.includes(p.id))
+    }
+    
+    if (products.length === 0) {
+      return res.status(400).json({ error: 'No hay productos para analizar' })
     }
     
-    const result = await callN8nWebhook(config.n8n.webhooks.scraping, {
-      spreadsheet_name: 'Planilla_Resenas',
-      sheet_name: 'Raw_Resenas',
-      callback_url: `${process.env.APP_URL || 'http://localhost:3201'}/api/scraping/complete`
+    // Una sola ejecución a la vez: hay que esperar o cancelar la actual
+    const { runId, jobs, activeRunId } = await scrapingQueue.enqueue(products, {
+      startedBy: req.user?.username,
+      prompts: await promptStore.versions(ANALYSIS_PROMPTS)
     })
+    if (activeRunId) {
+      return res.status(409).json({ error: 'Ya hay un análisis en curso', runId: activeRunId })
+    }
+    console.log(`Scraping run ${runId}: ${jobs.length} job(s) queued`)
     
-    store.taskId = result.task_id || result.taskId || null
+    scrapingQueue.kick()
     
     res.json({ 
       success: true, 
       status: 'processing',
-      taskId: store.taskId
+      runId,
+      jobs,
+      skipped: products.length - jobs.length
     })
   } catch (error) {
     console.error('Error starting scraping:', error)
-    
-    // Aún así marcamos como processing para el polling
-    store.scrapingStatus = 'processing'
-    
-    res.json({ 
-      success: true, 
-      status: 'processing',
-      message: 'Scraping iniciado (sin confirmación de n8n)'
-    })
+    res.status(500).json({ error: error.message })
   }
 })
 
 // Endpoint para marcar manualmente como completado
-app.post('/api/scraping/mark-complete', authMiddleware, (req, res) => {
+app.post('/api/scraping/mark-complete', authMiddleware, async (req, res) => {
   console.log('=== MANUAL MARK COMPLETE ===')
   
-  store.scrapingStatus = 'completed'
-  store.scrapingEndTime = Date.now()
+  try {
+    const completed = await scrapingQueue.completeActive(undefined, COMPLETION.MANUAL)
+    res.json({ success: true, message: 'Marked as completed', completed })
+  } catch (error) {
+    console.error('Error marking complete:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Historial de ejecuciones con filtros (status, startedBy, marketplace, from, to)
+app.get('/api/scraping/runs', (req, res) => {
+  const { status, startedBy, marketplace, from, to } = req.query
   
-  res.json({ success: true, message: 'Marked as completed' })
+  let runs = scrapingQueue.listRuns().map(run => {
+    const jobs = scrapingQueue.list({ runId: run.id })
+    return {
+      ...run,
+      marketplaces: [...new Set(jobs.map(j => detectMarketplace(j.url).id))],
+      summary: summarizeJobs(jobs)
+    }
+  })
+  
+  if (status) runs = runs.filter(r => r.status === status)
+  if (startedBy) runs = runs.filter(r => r.startedBy === startedBy)
+  if (marketplace) runs = runs.filter(r => r.marketplaces.includes(marketplace))
+  if (from) runs = runs.filter(r => r.startedAt >= from)
+  // to acepta una fecha (YYYY-MM-DD) e incluye ese día completo
+  if (to) runs = runs.filter(r => r.startedAt.slice(0, to.length) <= to)
+  
+  const jobs = runs.flatMap(r => scrapingQueue.list({ runId: r.id }))
+  
+  res.json({ runs, stats: runStats(runs, jobs) })
 })
 
-app.get('/api/scraping/status', async (req, res) => {
+// Cancela la ejecución en curso (o la indicada en runId)
+app.post('/api/scraping/cancel', async (req, res) => {
+  console.log('=== SCRAPING CANCEL ===')
+  
   try {
-    // Si ya está completado, devolver completado
-    if (store.scrapingStatus === 'completed') {
-      return res.json({ 
-        status: 'completed',
-        duration: store.scrapingEndTime ? store.scrapingEndTime - store.scrapingStartTime : null
-      })
+    const runId = req.body?.runId || scrapingQueue.activeRunId()
+    if (!runId) {
+      return res.status(409).json({ error: 'No hay un análisis en curso' })
     }
     
-    // Verificar si hay nuevos resultados en Google Sheets
-    if (store.scrapingStatus === 'processing' && sheetsClient) {
-      try {
-        const response = await sheetsClient.spreadsheets.values.get({
-          spreadsheetId: config.sheets.id,
-          range: 'Marketing_Analisis!A:A'
-        })
-        const currentCount = (response.data.values?.length || 1) - 1
-        
-        console.log(`Checking results: initial=${store.lastResultCount}, current=${currentCount}`)
-        
-        // Si hay más resultados que antes, el proceso terminó
-        if (currentCount > store.lastResultCount) {
-          console.log('New results detected! Marking as completed.')
-          store.scrapingStatus = 'completed'
-          store.scrapingEndTime = Date.now()
-          return res.json({ 
-            status: 'completed',
-            newResults: currentCount - store.lastResultCount
-          })
-        }
-      } catch (e) {
-        console.log('Could not check results:', e.message)
-      }
+    const cancelled = await scrapingQueue.cancel(runId, `Cancelado por ${req.user?.username || 'usuario'}`)
+    if (cancelled.length === 0) {
+      return res.status(409).json({ error: 'La ejecución ya terminó', runId })
     }
     
-    // Intentar obtener estado del scraper si hay taskId
-    if (store.taskId) {
-      try {
-        const response = await fetch(`${config.scraper.url}/task/${store.taskId}`)
-        const data = await response.json()
-        
-        if (data.status === 'completed' || data.status === 'done') {
-          store.scrapingStatus = 'completed'
-          store.scrapingEndTime = Date.now()
-        }
-        
-        return res.json({ 
-          status: store.scrapingStatus,
-          progress: data.progress || null,
-          taskStatus: data.status
-        })
-      } catch (e) {
-        // Scraper no disponible, continuar con status actual
-      }
-    }
+    console.log(`Scraping run ${runId}: ${cancelled.length} job(s) cancelled by ${req.user?.username}`)
+    const stopped = await stopScrapingJobs(runId, cancelled)
     
-    // Devolver estado actual
-    res.json({ 
-      status: store.scrapingStatus || 'idle',
-      elapsed: store.scrapingStartTime ? Date.now() - store.scrapingStartTime : 0
-    })
+    res.json({ success: true, runId, cancelled: cancelled.length, stopped })
   } catch (error) {
-    console.error('Status check error:', error)
-    res.json({ status: store.scrapingStatus || 'idle' })
+    console.error('Error cancelling scraping:', error)
+    res.status(500).json({ error: error.message })
   }
 })
 
+// Estado de la última ejecución, con el detalle de cada job
+app.get('/api/scraping/status', (req, res) => {
+  res.json(scrapingStatus())
+})
+
+// ============================================
+// EVENTS (SSE)
+// ============================================
+
+// Stream de progreso: snapshot, run, job, results, analysis, publish, woo y queue.
+// EventSource no permite enviar headers, así que el token viaja en la query.
+app.get('/api/events', (req, res) => {
+  const validation = validateToken(req.query.token)
+  
+  if (!validation.valid) {
+    return res.status(401).json({ error: validation.error })
+  }
+  
+  events.connect(req, res, validation.user, scrapingStatus())
+})
+
 // ============================================
 // MARKETING ROUTES
 // ============================================
 
+// Cada análisis incluye opportunity: { score (0-100), coverage, factors } (ver scoring.js)
 app.get('/api/marketing/results', async (req, res) => {
   try {
-    if (sheetsClient) {
-      const response = await sheetsClient.spreadsheets.values.get({
-        spreadsheetId: config.sheets.id,
-        range: 'Marketing_Analisis!A:H'
-      })
-      
-      const rows = response.data.values || []
-      
-      if (rows.length < 2) {
-        return res.json({ results: [] })
-      }
-      
-      const results = rows.slice(1).map((row, index) => ({
-        id: index,
-        Producto: row[0] || '',
-        'Puntos de Dolor': row[1] || '',
-        'Insights': row[2] || '',
-        'Gancho (Hook)': row[3] || '',
-        Fecha: row[4] || '',
-        estado_aprobacion: row[5] || 'pendiente',
-        publicado: row[6] || 'no',
-        woo_product_id: row[7] || ''
-      }))
-      
-      return res.json({ results })
-    }
-    
-    res.json({ 
-      results: [
-        {
-          id: 0,
-          Producto: 'Producto Demo',
-          'Puntos de Dolor': 'Pain points de ejemplo',
-          'Insights': 'Insights de ejemplo',
-          'Gancho (Hook)': 'Hook publicitario de ejemplo',
-          Fecha: new Date().toISOString(),
-          estado_aprobacion: 'pendiente',
-          publicado: 'no'
-        }
-      ]
-    })
+    const { products, results } = await loadLinkedData()
+    res.json({ results: await withOpportunity(results, products) })
   } catch (error) {
     console.error('Error getting marketing results:', error)
     res.status(500).json({ error: error.message })
@@ -822,21 +1240,504 @@ app.put('/api/marketing/:id/status', async (req, res) => {
   try {
     const { id } = req.params
     const { status } = req.body
-    const rowNumber = parseInt(id) + 2
-    
-    if (sheetsClient) {
-      await sheetsClient.spreadsheets.values.update({
-        spreadsheetId: config.sheets.id,
-        range: `Marketing_Analisis!F${rowNumber}`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: { values: [[status]] }
-      })
+    
+    const found = await storage.updateMarketingStatus(id, status)
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
     }
     
     res.json({ success: true, status })
   } catch (error) {
     console.error('Error updating status:', error)
-    res.json({ success: true, status: req.body.status })
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Editar puntos de dolor, insights y hooks. Lo generado por la IA no se toca:
+// la versión editada se guarda aparte y cada cambio queda en la auditoría.
+// Body: { painPoints?, insights?, hooks? } (null restaura el original)
+app.patch('/api/marketing/:id', async (req, res) => {
+  console.log('=== EDIT ANALYSIS ===')
+  const { id } = req.params
+  
+  try {
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    const { edited, changes, error } = applyAnalysisEdit(result, req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (changes.length === 0) {
+      return res.json({ success: true, result, changes })
+    }
+    
+    const editedAt = new Date().toISOString()
+    const user = req.user.username
+    await storage.updateMarketingEdits(id, { edited, editedBy: user, editedAt })
+    for (const change of changes) {
+      await storage.addMarketingEdit({ id: crypto.randomUUID(), analysisId: id, ...change, user, createdAt: editedAt })
+    }
+    console.log(`Analysis ${id} edited by ${user}: ${changes.map(c => c.field).join(', ')}`)
+    
+    const [updated] = await withOpportunity([withStructuredAnalysis({ ...result, edited, editedBy: user, editedAt })], products)
+    events.publish('analysis', { result: updated, user })
+    res.json({ success: true, result: updated, changes })
+  } catch (error) {
+    console.error('Error editing analysis:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Proveedor configurado y tokens consumidos desde que arrancó el backend
+app.get('/api/llm/usage', authMiddleware, adminMiddleware, (req, res) => {
+  res.json(llm ? { enabled: true, ...llm.stats() } : { enabled: false })
+})
+
+// Plataformas de anuncios y sus límites; enabled indica si hay un modelo configurado
+app.get('/api/ads/platforms', authMiddleware, (req, res) => {
+  res.json({ platforms: listAdPlatforms(), enabled: Boolean(llm) })
+})
+
+// Genera el copy de anuncios del análisis para las plataformas pedidas (todas por defecto).
+// Body: { platforms?: ['meta', 'tiktok', 'google', 'whatsapp'], fresh?: true para no usar el caché }
+app.post('/api/marketing/:id/ads', async (req, res) => {
+  console.log('=== GENERATE AD VARIANTS ===')
+  const { id } = req.params
+  
+  try {
+    if (!llm) {
+      return res.status(503).json({ error: 'No hay un modelo de lenguaje configurado (LLM_PROVIDER / LLM_BASE_URL)' })
+    }
+    
+    const platforms = req.body?.platforms || listAdPlatforms().map(p => p.id)
+    if (!Array.isArray(platforms) || platforms.length === 0) {
+      return res.status(400).json({ error: 'platforms debe ser una lista' })
+    }
+    const unknown = platforms.find(platform => !isAdPlatform(platform))
+    if (unknown) {
+      return res.status(400).json({ error: `Plataforma desconocida: ${unknown}` })
+    }
+    
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    // Una plataforma a la vez: los modelos locales atienden de a una consulta. Si una
+    // falla (por ejemplo, el modelo no respondió con JSON) conserva sus anuncios anteriores
+    // y las demás se guardan igual.
+    const ads = { ...result.ads }
+    const errors = []
+    for (const platform of platforms) {
+      console.log(`Generating ${platform} ads for analysis ${id}`)
+      try {
+        ads[platform] = await generateAdVariants(llm, result, platform, { user: req.user.username, fresh: Boolean(req.body?.fresh) })
+      } catch (error) {
+        console.error(`Error generating ${platform} ads:`, error.message)
+        errors.push({ platform, error: error.message })
+      }
+    }
+    if (errors.length === platforms.length) {
+      return res.status(502).json({ error: errors.map(e => `${e.platform}: ${e.error}`).join('; '), errors })
+    }
+    await storage.setMarketingAds(id, ads)
+    
+    const [updated] = await withOpportunity([{ ...result, ads }], products)
+    events.publish('analysis', { result: updated, user: req.user.username })
+    res.json({ success: true, result: updated, ads, errors })
+  } catch (error) {
+    console.error('Error generating ad variants:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Proveedor de Dropi del análisis: su costo y precio de venta dan el margen del puntaje.
+// Body: { supplier: { id, name, sku?, image?, cost, price } } o { supplier: null } para quitarlo
+app.put('/api/marketing/:id/supplier', async (req, res) => {
+  console.log('=== SET ANALYSIS SUPPLIER ===')
+  const { id } = req.params
+  
+  try {
+    const input = req.body?.supplier
+    let supplier = null
+    if (input) {
+      const cost = Number(input.cost)
+      const price = Number(input.price)
+      if (!input.id || !(cost > 0) || !(price > 0)) {
+        return res.status(400).json({ error: 'El proveedor necesita id, costo y precio de venta mayores que 0' })
+      }
+      supplier = {
+        id: String(input.id),
+        name: String(input.name || ''),
+        sku: String(input.sku || ''),
+        image: String(input.image || ''),
+        cost,
+        price,
+        selectedBy: req.user.username,
+        selectedAt: new Date().toISOString()
+      }
+    }
+    
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    await storage.setMarketingSupplier(id, supplier)
+    console.log(`Analysis ${id} supplier: ${supplier ? supplier.id : 'none'}`)
+    
+    const [updated] = await withOpportunity([{ ...result, supplier }], products)
+    events.publish('analysis', { result: updated, user: req.user.username })
+    res.json({ success: true, result: updated })
+  } catch (error) {
+    console.error('Error setting supplier:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Producto que se enviaría a WooCommerce (para revisarlo antes de publicar)
+app.get('/api/marketing/:id/publish', async (req, res) => {
+  try {
+    const { results } = await loadLinkedData()
+    const result = results.find(r => r.id === req.params.id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    res.json({
+      configured: Boolean(woo),
+      wooProductId: result.woo_product_id || null,
+      fields: proposeWooProduct(result),
+      llm: Boolean(llm)
+    })
+  } catch (error) {
+    console.error('Error building WooCommerce product:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Descripción de la ficha escrita por el modelo con la plantilla "description", en HTML
+// para el campo descripción de la tienda. Body: { fresh?: true para no usar el caché }
+app.post('/api/marketing/:id/description', async (req, res) => {
+  console.log('=== GENERATE PRODUCT DESCRIPTION ===')
+  
+  try {
+    if (!llm) {
+      return res.status(503).json({ error: 'No hay un modelo de lenguaje configurado (LLM_PROVIDER / LLM_BASE_URL)' })
+    }
+    
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === req.params.id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    const product = products.find(p => p.id === result.productId)
+    const vars = {
+      marketplace: 'su marketplace',
+      rating: 'sin calificación',
+      ...(product && productPromptVars(product, [])),
+      ...analysisPromptVars(result)
+    }
+    const { text } = await llm.run('description', vars, { cache: !req.body?.fresh })
+    res.json({ description: descriptionHtml(text), text, model: llm.model })
+  } catch (error) {
+    console.error('Error generating product description:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Respuesta de una tarea de la cola: terminada (200), en dead letter (502) o esperando
+// un reintento (202); body se agrega a la respuesta de una tarea terminada
+function sendPublishTask(res, task, body = {}) {
+  if (task.status === TASK_STATUS.DONE) {
+    return res.json({ success: true, ...task.result, ...body, task })
+  }
+  if (task.status === TASK_STATUS.DEAD) {
+    return res.status(502).json({ error: task.errors.at(-1)?.message || 'La publicación falló', task })
+  }
+  res.status(202).json({
+    success: true,
+    queued: true,
+    task,
+    message: task.status === TASK_STATUS.RUNNING
+      ? 'La publicación sigue en curso'
+      : `La tienda no respondió: se reintentará (intento ${task.attempts + 1} de ${task.maxAttempts})`
+  })
+}
+
+// Publica un análisis aprobado en WooCommerce (o actualiza el producto si ya se publicó)
+// a través de la cola de publicación, esperando el primer intento.
+// Body opcional, sobrescribe lo propuesto (GET): { name, price, sku, status: 'publish' | 'draft',
+// description, shortDescription, images: [url], categories: [nombre], tags: [nombre] }
+async function publishAnalysis(req, res) {
+  console.log('=== PUBLISH TO WOOCOMMERCE ===')
+  const { id } = req.params
+  
+  try {
+    if (!woo) {
+      return res.status(503).json({ error: 'WooCommerce no está configurado (WOO_URL, WOO_CONSUMER_KEY, WOO_CONSUMER_SECRET)' })
+    }
+    
+    const { results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    if (result.estado_aprobacion !== 'aprobado') {
+      return res.status(400).json({ error: 'Solo se pueden publicar análisis aprobados' })
+    }
+    
+    // Los datos inválidos se corrigen en el formulario, no se encolan
+    const { product, error } = buildWooProduct(result, req.body || {})
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    
+    const task = await publishQueue.enqueue({
+      key: publishKey({ analysisId: id, supplierId: result.supplier?.id }),
+      kind: 'analysis',
+      reference: id,
+      name: product.name,
+      payload: req.body || {},
+      user: req.user.username
+    })
+    await publishQueue.settle(task.id, config.publishing.wait)
+    if (task.status !== TASK_STATUS.DONE) return sendPublishTask(res, task)
+    
+    const linked = await loadLinkedData()
+    const [updated] = await withOpportunity([linked.results.find(r => r.id === id)], linked.products)
+    sendPublishTask(res, task, { result: updated })
+  } catch (error) {
+    console.error('Error publishing to WooCommerce:', error.message)
+    res.status(500).json({ error: error.message })
+  }
+}
+
+app.post('/api/marketing/:id/publish', publishAnalysis)
+
+// Ruta anterior: el :id siempre fue el del análisis, no el del producto
+app.post('/api/products/:id/publish', publishAnalysis)
+
+// Saca el producto de la tienda (queda como borrador) y marca el análisis como no
+// publicado; se conserva woo_product_id para volver a publicarlo sobre el mismo producto.
+// Si el producto ya no existía en la tienda solo se desvincula.
+app.post('/api/marketing/:id/unpublish', async (req, res) => {
+  console.log('=== UNPUBLISH FROM WOOCOMMERCE ===')
+  const { id } = req.params
+  
+  try {
+    if (!woo) {
+      return res.status(503).json({ error: 'WooCommerce no está configurado (WOO_URL, WOO_CONSUMER_KEY, WOO_CONSUMER_SECRET)' })
+    }
+    
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    let wooProductId = /^\d+$/.test(result.woo_product_id) ? result.woo_product_id : ''
+    let message = 'Producto despublicado: quedó como borrador en WooCommerce'
+    if (wooProductId) {
+      try {
+        await woo.setStatus(wooProductId, 'draft')
+      } catch (error) {
+        if (error.status !== 404) throw error
+        wooProductId = ''
+        message = 'El producto ya no existía en WooCommerce: se desvinculó del análisis'
+      }
+    } else {
+      message = 'El análisis no tenía producto en WooCommerce: se marcó como no publicado'
+    }
+    console.log(`Analysis ${id} unpublished (WooCommerce product: ${wooProductId || 'none'})`)
+    
+    await storage.setMarketingPublished(id, { published: 'no', wooProductId })
+    await recordPublish({
+      source: 'woocommerce',
+      reference: id,
+      externalId: wooProductId || null,
+      name: result.Producto,
+      status: 'unpublished',
+      user: req.user.username
+    })
+    
+    const [updated] = await withOpportunity([{ ...result, publicado: 'no', woo_product_id: wooProductId }], products)
+    events.publish('analysis', { result: updated, user: req.user.username })
+    wooSync.run()
+    res.json({ success: true, result: updated, message })
+  } catch (error) {
+    console.error('Error unpublishing from WooCommerce:', error.message)
+    res.status(error instanceof WooError ? 502 : 500).json({ error: error.message })
+  }
+})
+
+// ============================================
+// PUBLISH QUEUE ROUTES (solo admin)
+// ============================================
+
+// Tareas de la cola, la más reciente primero. Query: ?status=queued|running|done|dead|discarded
+app.get('/api/publish-queue', authMiddleware, adminMiddleware, (req, res) => {
+  const { status } = req.query
+  if (status && !Object.values(TASK_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status debe ser uno de: ${Object.values(TASK_STATUS).join(', ')}` })
+  }
+  
+  const counts = Object.fromEntries(Object.values(TASK_STATUS).map(s => [s, publishQueue.list({ status: s }).length]))
+  res.json({ tasks: publishQueue.list({ status }), counts })
+})
+
+// Vuelve a encolar una tarea de la dead letter (o descartada) y espera el primer intento
+app.post('/api/publish-queue/:id/replay', authMiddleware, adminMiddleware, async (req, res) => {
+  console.log('=== REPLAY PUBLISH TASK ===')
+  try {
+    const task = await publishQueue.replay(req.params.id, req.user.username)
+    if (!task) {
+      return res.status(404).json({ error: 'Tarea no encontrada o no está en la dead letter' })
+    }
+    console.log(`Publish task ${task.key} replayed by ${req.user.username}`)
+    
+    await publishQueue.settle(task.id, config.publishing.wait)
+    sendPublishTask(res, task)
+  } catch (error) {
+    console.error('Error replaying publish task:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Saca una tarea de la dead letter sin reintentarla (se conserva con estado discarded)
+app.post('/api/publish-queue/:id/discard', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const task = await publishQueue.discard(req.params.id)
+    if (!task) {
+      return res.status(404).json({ error: 'Tarea no encontrada o no está en la dead letter' })
+    }
+    console.log(`Publish task ${task.key} discarded by ${req.user.username}`)
+    res.json({ success: true, task })
+  } catch (error) {
+    console.error('Error discarding publish task:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// ============================================
+// WOOCOMMERCE SYNC ROUTES
+// ============================================
+
+// Último estado leído de la tienda: { configured, syncedAt, error, products: [{ analysisId,
+// wooProductId, published, store: { status, regularPrice, stockStatus, permalink, ... }, drift }] }
+app.get('/api/woocommerce/sync', (req, res) => {
+  res.json({ configured: Boolean(wooSync), ...(wooSync?.state || {}) })
+})
+
+// Sincroniza ahora y devuelve el estado nuevo
+app.post('/api/woocommerce/sync', async (req, res) => {
+  console.log('=== WOOCOMMERCE SYNC ===')
+  if (!wooSync) {
+    return res.status(503).json({ error: 'WooCommerce no está configurado (WOO_URL, WOO_CONSUMER_KEY, WOO_CONSUMER_SECRET)' })
+  }
+  
+  const state = await wooSync.run()
+  if (state.error) {
+    return res.status(502).json({ error: state.error, ...state })
+  }
+  res.json({ configured: true, ...state })
+})
+
+// Re-analiza solo el producto de este análisis; el resultado llega como una versión
+// nueva (fila nueva en Marketing_Analisis) y las anteriores se conservan.
+// Body: { instruction? } p. ej. "enfocarse en quienes compran para regalar"
+app.post('/api/marketing/:id/regenerate', async (req, res) => {
+  console.log('=== REGENERATE ANALYSIS ===')
+  const { id } = req.params
+  
+  try {
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    const product = products.find(p => p.id === result.productId)
+    if (!product) {
+      return res.status(400).json({ error: 'El análisis no tiene un producto de origen vinculado' })
+    }
+    
+    const instruction = String(req.body?.instruction || '').trim().slice(0, 500)
+    const { runId, jobs, activeRunId } = await scrapingQueue.enqueue([product], {
+      startedBy: req.user.username,
+      instruction,
+      analysisId: id,
+      prompts: await promptStore.versions(ANALYSIS_PROMPTS)
+    })
+    if (activeRunId) {
+      return res.status(409).json({ error: 'Ya hay un análisis en curso', runId: activeRunId })
+    }
+    console.log(`Regenerating analysis ${id} (product ${product.id}) in run ${runId}${instruction ? `: "${instruction}"` : ''}`)
+    
+    scrapingQueue.kick()
+    
+    res.json({ success: true, status: 'processing', runId, job: jobs[0] })
+  } catch (error) {
+    console.error('Error regenerating analysis:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Auditoría de ediciones de un análisis (más reciente primero)
+app.get('/api/marketing/:id/edits', async (req, res) => {
+  try {
+    const edits = await storage.listMarketingEdits(req.params.id)
+    res.json({ edits: edits.reverse() })
+  } catch (error) {
+    console.error('Error getting analysis edits:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// ============================================
+// PRICING ROUTES
+// ============================================
+
+// Precio recomendado y desglose de ganancia de productos de Dropi
+// Body: { items: [{ id?, cost, category?, price? }] }; con price el desglose es a ese
+// precio (el que se está editando), si no al recomendado
+// Número o texto numérico finito (los precios pueden llegar como texto desde los formularios)
+const isNumeric = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+  Number.isFinite(Number(value))
+
+// Producto a cotizar: cost numérico (null si Dropi no informa costo, la cotización
+// lo indica), price numérico y category texto si se envían
+const isQuoteItem = (item) => Boolean(item) && typeof item === 'object' && !Array.isArray(item) &&
+  (item.cost === null || isNumeric(item.cost)) &&
+  (item.price == null || isNumeric(item.price)) &&
+  (item.category == null || typeof item.category === 'string')
+
+app.post('/api/pricing/quote', (req, res) => {
+  const { items } = req.body || {}
+  if (!Array.isArray(items) || items.length === 0 || items.length > 100) {
+    return res.status(400).json({ error: 'items debe ser una lista de 1 a 100 productos' })
+  }
+  if (!items.every(isQuoteItem)) {
+    return res.status(400).json({ error: 'Cada producto debe tener un costo numérico y, si se indican, un precio numérico y una categoría de texto' })
+  }
+  
+  try {
+    res.json({
+      rules: Object.entries(PRICING_RULES).map(([id, { label }]) => ({ id, label, value: config.pricing[id] })),
+      floors: config.pricing.floors,
+      quotes: items.map(item => quotePrice(item, config.pricing))
+    })
+  } catch (error) {
+    console.error('Pricing quote error:', error)
+    res.status(500).json({ error: error.message })
   }
 })
 
@@ -844,128 +1745,213 @@ app.put('/api/marketing/:id/status', async (req, res) => {
 // DROPI ROUTES
 // ============================================
 
-// Buscar productos en el catálogo de Dropi
+// Sin Dropi configurado las rutas responden con productos de ejemplo y source 'demo';
+// con Dropi, source 'dropi' y el estado del catálogo local (error si la última recarga falló)
+const dropiSource = () => (dropi ? 'dropi' : 'demo')
+
+// Estado de la conexión con Dropi y del catálogo en caché
+app.get('/api/dropi/status', (req, res) => {
+  res.json({ configured: Boolean(dropi), source: dropiSource(), catalog: dropiCatalog?.state || null })
+})
+
+// Buscar productos en el catálogo de Dropi (el archivo local, ver dropi.js)
+// Query: query, category (ID o nombre), page, pageSize
 app.get('/api/dropi/search', async (req, res) => {
   console.log('=== DROPI SEARCH ===')
-  const { query } = req.query
-  console.log('Search query:', query)
+  const { query = '', category = '' } = req.query
+  // Un parámetro repetido (?query=a&query=b) llega como lista
+  if ([query, category, req.query.page ?? '', req.query.pageSize ?? ''].some(value => typeof value !== 'string')) {
+    return res.status(400).json({ error: 'query, category, page y pageSize deben indicarse una sola vez' })
+  }
+  const page = Math.max(1, parseInt(req.query.page) || 1)
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20))
+  console.log('Search query:', query, category && `(category ${category})`)
   
   try {
-    // Si hay API de Dropi configurada, usarla
-    if (process.env.DROPI_API_URL && process.env.DROPI_API_KEY) {
-      const response = await fetch(`${process.env.DROPI_API_URL}/products/search?q=${encodeURIComponent(query)}`, {
-        headers: {
-          'Authorization': `Bearer ${process.env.DROPI_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+    if (!dropi) {
+      const products = demoProducts(query)
+      return res.json({
+        source: 'demo',
+        message: 'Dropi no está configurado (DROPI_API_URL y DROPI_API_KEY o DROPI_EMAIL/DROPI_PASSWORD): productos de ejemplo',
+        products,
+        total: products.length,
+        page: 1,
+        pages: 1
       })
-      
-      if (response.ok) {
-        const data = await response.json()
-        return res.json({ products: data.products || data })
+    }
+    
+    const catalog = await dropiCatalog.ready()
+    if (!catalog.syncedAt) {
+      return res.status(502).json({ error: `No se pudo cargar el catálogo de Dropi: ${catalog.error}` })
+    }
+    res.json({ source: 'dropi', catalog, ...dropiCatalog.search({ query, category, page, pageSize }) })
+  } catch (error) {
+    console.error('Dropi search error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Categorías del catálogo de Dropi
+app.get('/api/dropi/categories', async (req, res) => {
+  if (!dropi) return res.json({ source: 'demo', categories: [] })
+  
+  try {
+    const catalog = await dropiCatalog.ready()
+    if (!catalog.syncedAt) {
+      return res.status(502).json({ error: `No se pudo cargar el catálogo de Dropi: ${catalog.error}` })
+    }
+    res.json({ source: 'dropi', categories: dropiCatalog.categories })
+  } catch (error) {
+    console.error('Dropi categories error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Detalle de un producto (imágenes, variantes, stock por bodega), leído de Dropi en el
+// momento; si Dropi no responde se devuelve el del catálogo con stale: true
+app.get('/api/dropi/products/:id', async (req, res) => {
+  if (!dropi) {
+    const product = demoProducts().find(p => p.id === req.params.id)
+    if (!product) return res.status(404).json({ error: 'Producto no encontrado' })
+    return res.json({ source: 'demo', product })
+  }
+  
+  try {
+    res.json({ source: 'dropi', product: await dropi.getProduct(req.params.id) })
+  } catch (error) {
+    console.error('Dropi product error:', error.message)
+    const cached = dropiCatalog.get(req.params.id)
+    if (error.status === 404 || !cached) {
+      return res.status(error.status === 404 ? 404 : 502).json({ error: error.message })
+    }
+    res.json({ source: 'dropi', product: cached, stale: true, error: error.message, syncedAt: dropiCatalog.state.syncedAt })
+  }
+})
+
+// Productos del catálogo que se comparan al buscar proveedor para un análisis: los
+// que comparten alguna palabra del título, los más parecidos primero
+const MATCH_POOL_SIZE = 40
+
+// Proveedores candidatos para un análisis, ordenados por confianza (ver matching.js).
+// Con el catálogo real la mejor coincidencia se guarda en el análisis; con los
+// productos de ejemplo solo se devuelve. Body: { limit? } (10 por defecto, máximo 20)
+app.post('/api/marketing/:id/match', async (req, res) => {
+  console.log('=== MATCH DROPI SUPPLIER ===')
+  const { id } = req.params
+  const limit = Math.min(20, Math.max(1, parseInt(req.body?.limit) || 10))
+  
+  try {
+    const { products, results } = await loadLinkedData()
+    const result = results.find(r => r.id === id)
+    if (!result) {
+      return res.status(404).json({ error: 'Análisis no encontrado' })
+    }
+    
+    const source = matchSource(result)
+    const words = titleTokens(source.title)
+    if (words.length === 0) {
+      return res.status(400).json({ error: 'El análisis no tiene el título del producto para buscarle proveedor' })
+    }
+    
+    let pool
+    let catalog = null
+    if (dropi) {
+      catalog = await dropiCatalog.ready()
+      if (!catalog.syncedAt) {
+        return res.status(502).json({ error: `No se pudo cargar el catálogo de Dropi: ${catalog.error}` })
       }
+      pool = dropiCatalog.search({ query: words.join(' '), pageSize: MATCH_POOL_SIZE }).products
+    } else {
+      pool = demoProducts(source.title)
     }
     
-    // Si no hay API configurada, devolver datos demo
-    console.log('Dropi API not configured, returning demo data')
-    const demoProducts = [
-      {
-        id: 'dropi-1',
-        name: query || 'Producto Similar 1',
-        image: null,
-        price: 15990,
-        suggestedPrice: 29990,
-        sku: 'DRP-001',
-        stock: 50,
-        description: 'Producto de alta calidad'
-      },
-      {
-        id: 'dropi-2',
-        name: `${query || 'Producto'} Premium`,
-        image: null,
-        price: 19990,
-        suggestedPrice: 39990,
-        sku: 'DRP-002',
-        stock: 30,
-        description: 'Versión premium con características mejoradas'
-      },
-      {
-        id: 'dropi-3',
-        name: `${query || 'Producto'} Básico`,
-        image: null,
-        price: 9990,
-        suggestedPrice: 19990,
-        sku: 'DRP-003',
-        stock: 100,
-        description: 'Opción económica'
+    const candidates = (await rankCandidates(source, pool, { hasher: imageHasher, limit }))
+      .map(({ product, ...match }) => ({ ...match, product }))
+    
+    let match = result.supplierMatch
+    if (dropi) {
+      const [best] = candidates
+      match = {
+        dropiProductId: best?.product.id || null,
+        name: best?.product.name || '',
+        confidence: best?.confidence ?? 0,
+        level: best?.level || 'low',
+        reasons: best?.reasons || [],
+        candidates: candidates.slice(0, 5).map(c => ({ id: c.product.id, name: c.product.name, confidence: c.confidence })),
+        matchedAt: new Date().toISOString()
       }
-    ]
+      await storage.setMarketingMatch(id, match)
+      console.log(`Analysis ${id} match: ${match.dropiProductId || 'none'} (${match.confidence})`)
+      
+      const [updated] = await withOpportunity([{ ...result, supplierMatch: match }], products)
+      events.publish('analysis', { result: updated, user: req.user.username })
+    }
     
-    res.json({ products: demoProducts })
+    res.json({
+      source: dropiSource(),
+      ...(!dropi && { message: 'Dropi no está configurado: coincidencias con productos de ejemplo' }),
+      catalog,
+      query: { ...source, words },
+      match,
+      candidates
+    })
   } catch (error) {
-    console.error('Dropi search error:', error)
+    console.error('Error matching supplier:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Recargar ahora el catálogo local (solo admin)
+app.post('/api/dropi/catalog/refresh', authMiddleware, adminMiddleware, async (req, res) => {
+  console.log('=== DROPI CATALOG REFRESH ===')
+  if (!dropi) {
+    return res.status(503).json({ error: 'Dropi no está configurado' })
+  }
+  
+  try {
+    const catalog = await dropiCatalog.refresh()
+    if (catalog.error) {
+      return res.status(502).json({ error: catalog.error, catalog })
+    }
+    res.json({ success: true, catalog })
+  } catch (error) {
+    console.error('Dropi catalog refresh error:', error)
     res.status(500).json({ error: error.message })
   }
 })
 
 // Publicar producto de Dropi en la tienda
+// Carga un producto de Dropi a la tienda a través de la cola de publicación.
+// Body: { dropiProductId, price, name, analysisId? }; analysisId forma la clave de
+// idempotencia junto con el producto de Dropi.
 app.post('/api/dropi/publish', async (req, res) => {
   console.log('=== DROPI PUBLISH ===')
-  const { dropiProductId, price, name } = req.body
-  console.log('Publishing:', { dropiProductId, price, name })
-  
-  try {
-    // Si hay API de Dropi configurada, usarla
-    if (process.env.DROPI_API_URL && process.env.DROPI_API_KEY) {
-      // Primero importar el producto de Dropi a WooCommerce
-      const response = await fetch(`${process.env.DROPI_API_URL}/products/${dropiProductId}/import`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.DROPI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          price: price,
-          store_url: config.woocommerce.url
-        })
-      })
-      
-      if (response.ok) {
-        const data = await response.json()
-        return res.json({ 
-          success: true, 
-          productId: data.product_id,
-          message: 'Producto importado correctamente'
-        })
-      }
+  const { dropiProductId, price, name, analysisId = '' } = req.body
+  console.log('Publishing:', { dropiProductId, price, name, analysisId })
+  
+  try {
+    if (!dropiProductId || !(Number(price) > 0)) {
+      return res.status(400).json({ error: 'Indica el producto de Dropi y un precio mayor que 0' })
     }
     
-    // Si hay WooCommerce configurado, crear producto directamente
-    if (config.woocommerce.url && config.woocommerce.consumerKey) {
-      const wooProduct = await createWooProduct({
-        name: name,
-        type: 'simple',
-        regular_price: String(price),
-        status: 'publish',
-        meta_data: [
-          { key: '_dropi_product_id', value: dropiProductId }
-        ]
-      })
-      
-      return res.json({
-        success: true,
-        productId: wooProduct.id,
-        message: 'Producto creado en WooCommerce'
-      })
+    // Los productos de ejemplo no se cargan: la cola y el dead letter solo tienen publicaciones reales
+    if (!dropi && !woo) {
+      return res.status(503).json({ error: 'Ni Dropi ni WooCommerce están configurados: no se puede cargar el producto' })
+    }
+    if (String(dropiProductId).startsWith('demo-')) {
+      return res.status(400).json({ error: 'Los productos de ejemplo no se pueden cargar a la tienda' })
     }
     
-    // Demo mode
-    console.log('No Dropi/WooCommerce API configured, demo mode')
-    res.json({
-      success: true,
-      productId: 'demo-' + Date.now(),
-      message: 'Producto importado (modo demo)'
+    const task = await publishQueue.enqueue({
+      key: publishKey({ analysisId, supplierId: String(dropiProductId) }),
+      kind: 'dropi',
+      reference: String(dropiProductId),
+      name: name || '',
+      payload: { dropiProductId, price: Number(price), name: name || '' },
+      user: req.user.username
     })
+    await publishQueue.settle(task.id, config.publishing.wait)
+    sendPublishTask(res, task)
   } catch (error) {
     console.error('Dropi publish error:', error)
     res.status(500).json({ error: error.message })
@@ -980,8 +1966,51 @@ async function start() {
   // Initialize Auth
   initAuth()
   
-  // Initialize Google Sheets
-  await initGoogleSheets()
+  // Initialize Storage (Google Sheets o SQLite)
+  storage = await initStorage(config.storage)
+  promptStore = createPromptStore(storage)
+  
+  // Initialize Scraping Queue
+  scrapingQueue = createScrapingQueue({
+    storage,
+    dispatch: dispatchScrapingJob,
+    pollTask: pollScraperTask,
+    countResults: () => storage.countMarketingResults(),
+    onJob: (job) => {
+      events.publish('job', { runId: job.runId, job, summary: summarizeJobs(scrapingQueue.list({ runId: job.runId })) })
+      if (job.status === JOB_STATUS.DONE) announceNewResults()
+    },
+    onRun: (run) => events.publish('run', scrapingStatus(run.id)),
+    concurrency: config.scraper.concurrency,
+    maxAttempts: config.scraper.maxAttempts,
+    jobTimeout: config.scraper.jobTimeout
+  })
+  await scrapingQueue.init()
+  scrapingQueue.start()
+  
+  // Initialize Publish Queue
+  publishQueue = createPublishQueue({
+    storage,
+    handlers: { analysis: publishAnalysisTask, dropi: publishDropiTask },
+    retryable: isRetryablePublishError,
+    onTask: (task) => events.publish('queue', { task }),
+    maxAttempts: config.publishing.maxAttempts,
+    baseDelay: config.publishing.baseDelay,
+    maxDelay: config.publishing.maxDelay
+  })
+  await publishQueue.init()
+  publishQueue.start()
+  await announceNewResults()
+  
+  if (wooSync) {
+    wooSync.start(config.woocommerce.syncInterval)
+    wooSync.run()
+  }
+  
+  if (dropiCatalog) {
+    dropiCatalog.start(config.dropi.refreshInterval)
+    dropiCatalog.ready()
+  }
   
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`
@@ -991,11 +2020,22 @@ async function start() {
 ║  Server running on port ${PORT}                               ║
 ║  Environment: ${(process.env.NODE_ENV || 'development').padEnd(20)}            ║
 ║  Auth: Enabled                                             ║
+║  Storage: ${storage.name.padEnd(20)}                             ║
 ╠════════════════════════════════════════════════════════════╣
 ║  Default admin: admin                                      ║
 ║  ⚠️  Change password on first login!                        ║
 ╚════════════════════════════════════════════════════════════╝
     `)
+    
+    // Sin secreto los callbacks firmados responden 503: los flujos de n8n anteriores a la
+    // firma dejan de completar jobs hasta configurarlo (ver "Firma de callbacks" en el README)
+    if (!config.webhooks.secret) {
+      console.warn([
+        '⚠️  WEBHOOK_SECRET is not set: n8n callbacks to /api/scraping/complete will be rejected with 503.',
+        '    Set WEBHOOK_SECRET and sign the callbacks in n8n (Crypto HMAC-SHA256 node + X-DSM-Timestamp/X-DSM-Signature headers).',
+        '    Until then, scraping jobs only finish by row count, timeout or "Marcar como completado".'
+      ].join('\n'))
+    }
   })
 }
 
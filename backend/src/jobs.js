@@ -0,0 +1,398 @@
+// ============================================
+// COLA DE SCRAPING - Un job por URL de producto
+// ============================================
+import crypto from 'crypto'
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  SCRAPING: 'scraping',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.SCRAPING, JOB_STATUS.ANALYZING]
+
+// Cómo se detectó el fin de un job (y de la ejecución)
+export const COMPLETION = {
+  CALLBACK: 'callback',
+  ROW_COUNT: 'row_count',
+  TASK_POLL: 'task_poll',
+  MANUAL: 'manual',
+  TIMEOUT: 'timeout',
+  DISPATCH: 'dispatch',
+  CANCELLED: 'cancelled'
+}
+
+export const RUN_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+export function isActiveJob(job) {
+  return ACTIVE_STATUSES.includes(job.status)
+}
+
+// Resultado final de una ejecución según el estado de sus jobs
+function runOutcome(jobs) {
+  const count = (status) => jobs.filter(j => j.status === status).length
+  if (count(JOB_STATUS.CANCELLED) > 0) return RUN_STATUS.CANCELLED
+  if (count(JOB_STATUS.DONE) === jobs.length) return RUN_STATUS.COMPLETED
+  if (count(JOB_STATUS.DONE) === 0) return RUN_STATUS.FAILED
+  return RUN_STATUS.PARTIAL
+}
+
+// dispatch(job) envía el job a n8n y puede devolver { taskId }.
+// pollTask(taskId) consulta la scraper API y devuelve su estado o null.
+// countResults() devuelve el total de análisis guardados (heurística de filas).
+// onJob(job) y onRun(run) se llaman después de cada cambio (stream SSE).
+export function createScrapingQueue({ storage, dispatch, pollTask, countResults, onJob = () => {}, onRun = () => {}, concurrency = 2, maxAttempts = 3, jobTimeout = 15 * 60 * 1000 }) {
+  const jobs = new Map()
+  const runs = new Map()
+  let timer = null
+  let ticking = false
+  // Ejecución que enqueue() está creando: cuenta como activa antes de guardar sus jobs
+  let claimedRunId = null
+
+  const save = async (job) => {
+    job.updatedAt = new Date().toISOString()
+    jobs.set(job.id, job)
+    try {
+      await storage.saveJob(job)
+    } catch (error) {
+      console.error(`Could not persist job ${job.id}:`, error.message)
+    }
+    onJob(job)
+  }
+
+  const saveRun = async (run) => {
+    runs.set(run.id, run)
+    try {
+      await storage.saveRun(run)
+    } catch (error) {
+      console.error(`Could not persist run ${run.id}:`, error.message)
+    }
+    onRun(run)
+  }
+
+  // Cierra la ejecución cuando ya no le quedan jobs activos
+  const closeRunIfDone = async (runId, completion) => {
+    const run = runs.get(runId)
+    if (!run || run.status !== RUN_STATUS.PROCESSING) return
+
+    const runJobs = [...jobs.values()].filter(j => j.runId === runId)
+    if (runJobs.some(isActiveJob)) return
+
+    run.status = runOutcome(runJobs)
+    run.completion = completion
+    run.done = runJobs.filter(j => j.status === JOB_STATUS.DONE).length
+    run.failed = runJobs.filter(j => j.status === JOB_STATUS.FAILED).length
+    run.cancelled = runJobs.filter(j => j.status === JOB_STATUS.CANCELLED).length
+    run.finishedAt = new Date().toISOString()
+    run.durationMs = new Date(run.finishedAt).getTime() - new Date(run.startedAt).getTime()
+    await saveRun(run)
+
+    console.log(`Scraping run ${runId} ${run.status} (${completion}) in ${Math.round(run.durationMs / 1000)}s`)
+  }
+
+  const finish = async (job, status, error = '', completion = COMPLETION.CALLBACK) => {
+    job.status = status
+    job.error = error
+    job.completion = completion
+    job.finishedAt = new Date().toISOString()
+    await save(job)
+    await closeRunIfDone(job.runId, completion)
+  }
+
+  // Un fallo reencola el job mientras queden intentos
+  const fail = (job, error, completion) => {
+    // Un job cancelado mientras n8n respondía no se reencola
+    if (job.status === JOB_STATUS.CANCELLED) return
+
+    console.log(`Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error}`)
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = JOB_STATUS.QUEUED
+      job.error = error
+      job.taskId = ''
+      return save(job)
+    }
+
+    return finish(job, JOB_STATUS.FAILED, error, completion)
+  }
+
+  const run = async (job) => {
+    job.status = JOB_STATUS.SCRAPING
+    job.attempts += 1
+    job.startedAt = new Date().toISOString()
+    job.error = ''
+    await save(job)
+    // Cancelado (o terminado) mientras se guardaba: ya no se envía a n8n
+    if (job.status !== JOB_STATUS.SCRAPING) return
+
+    try {
+      const result = await dispatch(job)
+      if (result?.taskId) {
+        job.taskId = result.taskId
+        await save(job)
+      }
+    } catch (error) {
+      await fail(job, error.message, COMPLETION.DISPATCH)
+    }
+  }
+
+  const checkTask = async (job) => {
+    const taskStatus = await pollTask(job.taskId)
+    if (!taskStatus) return
+
+    if (['completed', 'done'].includes(taskStatus) && job.status === JOB_STATUS.SCRAPING) {
+      job.status = JOB_STATUS.ANALYZING
+      await save(job)
+    } else if (['failed', 'error'].includes(taskStatus)) {
+      await fail(job, `Scraper task ${job.taskId} ${taskStatus}`, COMPLETION.TASK_POLL)
+    }
+  }
+
+  // Flujos que no llaman al callback: si desde el inicio de la ejecución aparecieron
+  // tantos análisis nuevos como jobs terminados o analizando, se dan por listos.
+  const checkResultRows = async () => {
+    if (!countResults) return
+
+    for (const run of runs.values()) {
+      if (run.status !== RUN_STATUS.PROCESSING) continue
+
+      const runJobs = [...jobs.values()].filter(j => j.runId === run.id)
+      const analyzing = runJobs.filter(j => j.status === JOB_STATUS.ANALYZING)
+      if (analyzing.length === 0) continue
+
+      const done = runJobs.filter(j => j.status === JOB_STATUS.DONE).length
+      const newRows = await countResults() - run.resultCountAtStart
+      if (newRows < done + analyzing.length) continue
+
+      for (const job of analyzing) {
+        await finish(job, JOB_STATUS.DONE, '', COMPLETION.ROW_COUNT)
+      }
+    }
+  }
+
+  const tick = async () => {
+    const now = Date.now()
+    const running = [...jobs.values()].filter(j => j.status === JOB_STATUS.SCRAPING || j.status === JOB_STATUS.ANALYZING)
+
+    for (const job of running) {
+      if (now - new Date(job.startedAt).getTime() > jobTimeout) {
+        await fail(job, 'Tiempo de espera agotado', COMPLETION.TIMEOUT)
+      } else if (job.taskId) {
+        try {
+          await checkTask(job)
+        } catch (error) {
+          // Scraper no disponible, se reintenta en el próximo tick
+        }
+      }
+    }
+
+    await checkResultRows()
+
+    const inFlight = [...jobs.values()].filter(j => j.status === JOB_STATUS.SCRAPING || j.status === JOB_STATUS.ANALYZING).length
+    const queued = [...jobs.values()]
+      .filter(j => j.status === JOB_STATUS.QUEUED)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, Math.max(concurrency - inFlight, 0))
+
+    for (const job of queued) {
+      await run(job)
+    }
+  }
+
+  // Guarda la ejecución y un job por producto (ver enqueue)
+  const createRun = async (runId, pending, { startedBy, instruction, analysisId, prompts }) => {
+    const created = []
+    const run = {
+      id: runId,
+      startedBy,
+      productIds: pending.map(p => p.id),
+      status: RUN_STATUS.PROCESSING,
+      completion: '',
+      total: pending.length,
+      done: 0,
+      failed: 0,
+      cancelled: 0,
+      resultCountAtStart: countResults ? await countResults().catch(() => 0) : 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: '',
+      durationMs: null,
+      prompts
+    }
+
+    for (const product of pending) {
+      const job = {
+        id: crypto.randomUUID(),
+        runId,
+        productId: product.id,
+        url: product.url,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        maxAttempts,
+        error: '',
+        taskId: '',
+        completion: '',
+        instruction,
+        analysisId,
+        createdAt: new Date().toISOString(),
+        startedAt: '',
+        finishedAt: ''
+      }
+      await save(job)
+      created.push(job)
+    }
+
+    // La ejecución se guarda al final para que su evento incluya todos los jobs
+    await saveRun(run)
+
+    return { runId, jobs: created }
+  }
+
+  // n8n puede tardar en responder; no solapar ticks
+  const runTick = async () => {
+    if (ticking) return
+    ticking = true
+    try {
+      await tick()
+    } catch (error) {
+      console.error('Scraping queue tick failed:', error.message)
+    } finally {
+      ticking = false
+    }
+  }
+
+  return {
+    async init() {
+      for (const job of await storage.listJobs()) {
+        jobs.set(job.id, job)
+      }
+      for (const run of await storage.listRuns()) {
+        runs.set(run.id, run)
+      }
+      console.log(`Scraping queue: ${jobs.size} job(s) in ${runs.size} run(s) loaded`)
+    },
+
+    start(interval = 5000) {
+      if (timer) return
+      timer = setInterval(runTick, interval)
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    },
+
+    // Procesar la cola ahora sin esperar al próximo intervalo
+    kick() {
+      return runTick()
+    },
+
+    // Ejecución con jobs activos, o null si la cola está libre
+    activeRunId() {
+      const active = this.list().find(isActiveJob)
+      return claimedRunId || (active ? active.runId : null)
+    },
+
+    // Crea una ejecución con un job por producto; se omiten los que ya tienen uno activo
+    // instruction y analysisId solo se usan al re-analizar un producto desde un análisis;
+    // prompts registra la versión de cada plantilla de análisis ({ nombre: versión }).
+    // Solo puede haber una ejecución activa: si ya hay una devuelve { activeRunId } sin
+    // crear nada. La comprobación y la reserva van antes del primer await, así dos
+    // pedidos simultáneos no pueden crear dos ejecuciones.
+    async enqueue(products, { startedBy = '', instruction = '', analysisId = '', prompts = {} } = {}) {
+      const activeRunId = this.activeRunId()
+      if (activeRunId) return { activeRunId, runId: null, jobs: [] }
+
+      const runId = crypto.randomUUID()
+      const busy = new Set([...jobs.values()].filter(isActiveJob).map(j => j.productId))
+      const pending = products.filter(p => !busy.has(p.id))
+      if (pending.length === 0) return { runId, jobs: [] }
+
+      claimedRunId = runId
+      try {
+        return await createRun(runId, pending, { startedBy, instruction, analysisId, prompts })
+      } finally {
+        claimedRunId = null
+      }
+    },
+
+    get(id) {
+      return jobs.get(id) || null
+    },
+
+    getRun(id) {
+      return runs.get(id) || null
+    },
+
+    // Ejecuciones, la más reciente primero
+    listRuns() {
+      return [...runs.values()].sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    },
+
+    list({ runId } = {}) {
+      return [...jobs.values()]
+        .filter(j => !runId || j.runId === runId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    },
+
+    // Último job de cada producto
+    latestByProduct() {
+      const latest = {}
+      for (const job of this.list()) {
+        latest[job.productId] = job
+      }
+      return latest
+    },
+
+    // Actualización enviada por n8n: analyzing, done o failed
+    async report(id, { status, error, taskId }) {
+      const job = jobs.get(id)
+      if (!job) return { success: false, error: 'Job no encontrado' }
+
+      if (!isActiveJob(job)) {
+        return { success: false, error: `El job ya terminó (${job.status})` }
+      }
+
+      if (taskId) job.taskId = taskId
+
+      if (status === JOB_STATUS.ANALYZING || status === JOB_STATUS.SCRAPING) {
+        job.status = status
+        await save(job)
+      } else if (status === JOB_STATUS.DONE) {
+        await finish(job, JOB_STATUS.DONE, '', COMPLETION.CALLBACK)
+      } else if (status === JOB_STATUS.FAILED) {
+        await fail(job, error || 'Error reportado por n8n', COMPLETION.CALLBACK)
+      } else {
+        return { success: false, error: `Estado inválido: ${status}` }
+      }
+
+      return { success: true, job }
+    },
+
+    // Marca como terminados los jobs activos (callback sin job_id o cierre manual)
+    async completeActive(runId, completion = COMPLETION.MANUAL) {
+      const active = this.list({ runId }).filter(isActiveJob)
+      for (const job of active) {
+        await finish(job, JOB_STATUS.DONE, '', completion)
+      }
+      return active.length
+    },
+
+    // Cancela los jobs activos de la ejecución; devuelve los cancelados
+    async cancel(runId, reason = 'Cancelado') {
+      const active = this.list({ runId }).filter(isActiveJob)
+      for (const job of active) {
+        await finish(job, JOB_STATUS.CANCELLED, reason, COMPLETION.CANCELLED)
+      }
+      return active
+    }
+  }
+}
@@ -0,0 +1,76 @@
+// ============================================
+// RELACIÓN PRODUCTO <-> ANÁLISIS
+// ============================================
+
+// Minúsculas, sin tildes ni signos, espacios simples
+export function normalizeTitle(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+// n8n solo escribe el nombre del producto en el análisis, así que para las
+// filas sin product_id se busca el producto por URL o por título. El vínculo se
+// guarda para siempre: si el título coincide con más de un producto no se elige
+// ninguno (mejor sin vínculo que con el producto equivocado).
+export function findSourceProduct(result, products) {
+  const name = (result.Producto || '').trim()
+  if (!name) return null
+
+  const byUrl = products.find(p => p.url === name)
+  if (byUrl) return byUrl
+
+  const normalized = normalizeTitle(name)
+  const withTitle = products.filter(p => normalizeTitle(p.title))
+  const only = (matches) => (matches.length === 1 ? matches[0] : null)
+
+  const exact = withTitle.filter(p => normalizeTitle(p.title) === normalized)
+  if (exact.length > 0) return only(exact)
+
+  // Coincidencia parcial: n8n suele acortar o extender el título original
+  if (normalized.length < 8) return null
+
+  return only(withTitle.filter(p => {
+    const title = normalizeTitle(p.title)
+    return title.length >= 8 && (title.includes(normalized) || normalized.includes(title))
+  }))
+}
+
+// Devuelve los análisis con su producto de origen y los vínculos nuevos a guardar
+export function linkResultsToProducts(results, products) {
+  const byId = new Map(products.map(p => [p.id, p]))
+  const newLinks = []
+
+  const linked = results.map(result => {
+    let product = result.productId ? byId.get(result.productId) : null
+
+    if (!result.productId) {
+      product = findSourceProduct(result, products)
+      if (product) newLinks.push({ id: result.id, productId: product.id })
+    }
+
+    return {
+      ...result,
+      productId: product?.id || result.productId || '',
+      product: product
+        ? {
+            id: product.id,
+            url: product.url,
+            title: product.title,
+            marketplace: product.marketplace,
+            country: product.country,
+            rating: product.rating,
+            date: product.date,
+            price: product.price ?? null,
+            currency: product.currency || '',
+            image: product.image || ''
+          }
+        : null
+    }
+  })
+
+  return { results: linked, newLinks }
+}
@@ -0,0 +1,224 @@
+// ============================================
+// LLM - Proveedores de modelos de lenguaje
+// ============================================
+//
+// Un proveedor solo sabe hacer una consulta:
+//   provider.complete({ system, prompt, temperature, json }) -> { text, usage }
+//
+// Proveedores disponibles (LLM_PROVIDER):
+//   openai  cualquier servidor con la API de chat de OpenAI (POST {baseUrl}/chat/completions):
+//           Ollama, llama.cpp server, LM Studio o vLLM en la red local, o la propia OpenAI
+//   fake    respuestas deterministas sin red, para desarrollo y pruebas
+//
+// createLlm() envuelve al proveedor con plantillas de prompts, reintentos, timeout,
+// conteo de tokens y caché de respuestas. Las funciones que generan texto
+// (anuncios, descripciones) usan llm.run(nombreDePrompt, variables).
+import fetch from 'node-fetch'
+import crypto from 'crypto'
+
+// Error con status HTTP para decidir si vale la pena reintentar
+class LlmError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message)
+    this.status = status
+    this.retryable = retryable
+  }
+}
+
+function createOpenAiProvider({ baseUrl, model, apiKey, timeout }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  return {
+    name: 'openai',
+    model,
+
+    async complete({ system, prompt, temperature = 0.7, json = false }) {
+      const controller = new AbortController()
+      const timer = setTimeout(() => controller.abort(), timeout)
+
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+          },
+          body: JSON.stringify({
+            model,
+            temperature,
+            messages: [
+              ...(system ? [{ role: 'system', content: system }] : []),
+              { role: 'user', content: prompt }
+            ],
+            ...(json && { response_format: { type: 'json_object' } })
+          }),
+          signal: controller.signal
+        })
+
+        if (!response.ok) {
+          const detail = (await response.text()).slice(0, 200)
+          throw new LlmError(`El modelo respondió ${response.status}: ${detail}`, {
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500
+          })
+        }
+
+        const data = await response.json()
+        return {
+          text: data.choices?.[0]?.message?.content || '',
+          usage: data.usage
+            ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+            : null
+        }
+      } catch (error) {
+        if (error instanceof LlmError) throw error
+        if (error.name === 'AbortError') {
+          throw new LlmError(`El modelo no respondió en ${Math.round(timeout / 1000)} s`, { retryable: true })
+        }
+        // Servidor caído o sin red
+        throw new LlmError(`No se pudo conectar con el modelo: ${error.message}`, { retryable: true })
+      } finally {
+        clearTimeout(timer)
+      }
+    }
+  }
+}
+
+// respond(request) permite fijar la respuesta en pruebas (texto u objeto para JSON).
+// Sin respond, la respuesta depende solo del prompt: mismo prompt, mismo texto.
+export function createFakeProvider({ respond } = {}) {
+  return {
+    name: 'fake',
+    model: 'fake',
+
+    async complete(request) {
+      let text
+      if (respond) {
+        const answer = await respond(request)
+        text = typeof answer === 'string' ? answer : JSON.stringify(answer)
+      } else {
+        const digest = crypto.createHash('sha256').update(`${request.system}\n${request.prompt}`).digest('hex').slice(0, 8)
+        text = request.json ? JSON.stringify({ fake: digest }) : `[fake ${digest}] ${request.prompt.slice(0, 200)}`
+      }
+      return { text, usage: null }
+    }
+  }
+}
+
+// ============================================
+// PLANTILLAS
+// ============================================
+
+const lookup = (vars, path) => path.split('.').reduce((value, key) => value?.[key], vars)
+
+// {{variable}} o {{objeto.campo}}; las listas se escriben una por línea con "- "
+export function renderTemplate(template, vars = {}) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(vars, path)
+    if (value === undefined || value === null) return ''
+    if (Array.isArray(value)) return value.length ? value.map(item => `- ${item}`).join('\n') : '- (sin datos)'
+    if (typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+  })
+}
+
+// ============================================
+// CLIENTE
+// ============================================
+
+// Tokens aproximados cuando el servidor no informa usage (~4 caracteres por token)
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// null si no hay proveedor configurado (LLM_PROVIDER vacío y sin LLM_BASE_URL).
+// prompts(name) devuelve { system, user } de la plantilla con ese nombre.
+export function createLlm(config, { prompts, provider: injected } = {}) {
+  const provider = injected ||
+    (config.provider === 'fake' ? createFakeProvider()
+      : config.baseUrl ? createOpenAiProvider(config)
+      : null)
+  if (!provider) return null
+
+  const { maxRetries = 2, retryDelay = 1000, cacheSize = 200 } = config
+  const cache = new Map()
+
+  const emptyUsage = () => ({ requests: 0, cached: 0, errors: 0, promptTokens: 0, completionTokens: 0 })
+  const usage = { ...emptyUsage(), since: new Date().toISOString(), byFeature: {} }
+
+  const count = (feature, key, amount = 1) => {
+    usage[key] += amount
+    usage.byFeature[feature] ||= emptyUsage()
+    usage.byFeature[feature][key] += amount
+  }
+
+  // El caché es LRU: al leer una entrada se mueve al final, al llenarse sale la más antigua
+  const cacheKey = (request) => crypto.createHash('sha256')
+    .update(JSON.stringify([provider.model, request.system, request.prompt, request.temperature, request.json]))
+    .digest('hex')
+
+  async function complete({ system = '', prompt, temperature = 0.7, json = false, feature = 'other', cache: useCache = true }) {
+    const request = { system, prompt, temperature, json }
+    const key = cacheKey(request)
+
+    if (useCache && cache.has(key)) {
+      const hit = cache.get(key)
+      cache.delete(key)
+      cache.set(key, hit)
+      count(feature, 'cached')
+      return { ...hit, cached: true }
+    }
+
+    let lastError
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) await sleep(retryDelay * 2 ** (attempt - 1))
+
+      try {
+        count(feature, 'requests')
+        const response = await provider.complete(request)
+        const tokens = response.usage || {
+          promptTokens: estimateTokens(system) + estimateTokens(prompt),
+          completionTokens: estimateTokens(response.text)
+        }
+        count(feature, 'promptTokens', tokens.promptTokens)
+        count(feature, 'completionTokens', tokens.completionTokens)
+
+        const result = { text: response.text, usage: tokens }
+        if (cacheSize > 0) {
+          cache.set(key, result)
+          if (cache.size > cacheSize) cache.delete(cache.keys().next().value)
+        }
+        return { ...result, cached: false }
+      } catch (error) {
+        count(feature, 'errors')
+        lastError = error
+        console.error(`LLM ${feature}: attempt ${attempt + 1} failed -`, error.message)
+        if (!error.retryable) break
+      }
+    }
+    throw lastError
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    complete,
+
+    // Consulta con una plantilla de prompts: el nombre de la plantilla es la feature
+    async run(name, vars, options = {}) {
+      const template = await prompts(name)
+      if (!template) throw new Error(`No existe la plantilla de prompt "${name}"`)
+
+      return complete({
+        ...options,
+        system: renderTemplate(template.system || '', vars),
+        prompt: renderTemplate(template.user, vars),
+        feature: name
+      })
+    },
+
+    stats() {
+      return { provider: provider.name, model: provider.model, cacheEntries: cache.size, usage }
+    }
+  }
+}
@@ -0,0 +1,234 @@
+// ============================================
+// MARKETPLACES - Registro de marketplaces soportados
+// ============================================
+//
+// Cada entrada declara:
+//   id, name        identificador estable y nombre para mostrar
+//   icon, color     ícono de lucide-react y color del badge en el frontend
+//   domains         dominio -> país (se reconoce el dominio y cualquier subdominio)
+//   extract(url)    { id, url, country? } de la publicación, o null si no se reconoce;
+//                   country permite precisar el país cuando va en la ruta
+//
+// Para agregar un marketplace basta con sumar una entrada a MARKETPLACES.
+
+const MARKETPLACES = [
+  {
+    id: 'mercadolibre',
+    name: 'MercadoLibre',
+    icon: 'ShoppingBag',
+    color: '#eab308',
+    domains: {
+      'mercadolibre.cl': 'CL',
+      'mercadolibre.com.ar': 'AR',
+      'mercadolibre.com.mx': 'MX',
+      'mercadolibre.com.co': 'CO',
+      'mercadolibre.com.pe': 'PE',
+      'mercadolibre.com.uy': 'UY',
+      'mercadolivre.com.br': 'BR'
+    },
+    extract(url, domain) {
+      // Página de catálogo: /p/MLC123456
+      const catalog = url.pathname.match(/\/p\/(ML[A-Z]\d+)/i)
+      if (catalog) {
+        const id = catalog[1].toUpperCase()
+        return { id: `p:${id}`, url: `https://www.${domain}/p/${id}` }
+      }
+      const item = url.pathname.match(/\/(ML[A-Z])-?(\d+)/i)
+      if (item) {
+        const site = item[1].toUpperCase()
+        return { id: `${site}${item[2]}`, url: `https://articulo.${domain}/${site}-${item[2]}` }
+      }
+      return null
+    }
+  },
+  {
+    id: 'amazon',
+    name: 'Amazon',
+    icon: 'ShoppingCart',
+    color: '#f97316',
+    domains: {
+      'amazon.com': 'US',
+      'amazon.com.mx': 'MX',
+      'amazon.com.br': 'BR',
+      'amazon.ca': 'CA',
+      'amazon.es': 'ES',
+      'amazon.co.uk': 'GB',
+      'amazon.de': 'DE',
+      'amazon.fr': 'FR',
+      'amazon.it': 'IT'
+    },
+    extract(url, domain) {
+      const match = url.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d|product|exec\/obidos\/ASIN)\/([A-Z0-9]{10})(?:[/?]|$)/i)
+      if (!match) return null
+      const asin = match[1].toUpperCase()
+      // Cada país de Amazon es un catálogo distinto: el dominio forma parte del ID
+      return { id: `${domain}:${asin}`, url: `https://www.${domain}/dp/${asin}` }
+    }
+  },
+  {
+    id: 'aliexpress',
+    name: 'AliExpress',
+    icon: 'Package',
+    color: '#ef4444',
+    domains: {
+      'aliexpress.com': null,
+      'aliexpress.us': 'US',
+      'aliexpress.ru': 'RU'
+    },
+    extract(url) {
+      const match = url.pathname.match(/\/item\/(?:\d+\/)?(\d+)\.html/)
+      if (!match) return null
+      return { id: match[1], url: `https://www.aliexpress.com/item/${match[1]}.html` }
+    }
+  },
+  {
+    id: 'ebay',
+    name: 'eBay',
+    icon: 'Tag',
+    color: '#3b82f6',
+    domains: {
+      'ebay.com': 'US',
+      'ebay.es': 'ES',
+      'ebay.co.uk': 'GB'
+    },
+    extract(url, domain) {
+      const match = url.pathname.match(/\/itm\/(?:[^/]+\/)?(\d{9,})/)
+      if (!match) return null
+      return { id: match[1], url: `https://www.${domain}/itm/${match[1]}` }
+    }
+  },
+  {
+    id: 'falabella',
+    name: 'Falabella',
+    icon: 'Store',
+    color: '#84cc16',
+    domains: {
+      'falabella.com': 'CL',
+      'falabella.com.pe': 'PE',
+      'falabella.com.co': 'CO'
+    },
+    extract(url, domain) {
+      // /falabella-cl/product/123456/Nombre/123456 (el segmento indica el país)
+      const match = url.pathname.match(/\/([a-z-]+)\/product\/(\d+)/)
+      if (!match) return null
+      const country = match[1].match(/-([a-z]{2})$/)?.[1].toUpperCase()
+      return { id: match[2], url: `https://www.${domain}/${match[1]}/product/${match[2]}`, country }
+    }
+  },
+  {
+    id: 'paris',
+    name: 'Paris',
+    icon: 'Store',
+    color: '#0ea5e9',
+    domains: {
+      'paris.cl': 'CL'
+    },
+    extract(url, domain) {
+      // /nombre-del-producto-123456999.html
+      const match = url.pathname.match(/^\/([^/]*?)(\d{6,})(?:\.html)?$/)
+      if (!match) return null
+      return { id: match[2], url: `https://www.${domain}${url.pathname}` }
+    }
+  },
+  {
+    id: 'ripley',
+    name: 'Ripley',
+    icon: 'Store',
+    color: '#8b5cf6',
+    domains: {
+      'ripley.cl': 'CL',
+      'ripley.com.pe': 'PE'
+    },
+    extract(url) {
+      // simple.ripley.cl/nombre-del-producto-2000381455224p
+      const match = url.pathname.match(/-(\d{6,}p)$/i)
+      if (!match) return null
+      return { id: match[1].toLowerCase(), url: `https://${url.hostname}${url.pathname}` }
+    }
+  },
+  {
+    id: 'temu',
+    name: 'Temu',
+    icon: 'ShoppingBag',
+    color: '#f97316',
+    domains: {
+      'temu.com': null
+    },
+    extract(url) {
+      // /cl/nombre-del-producto-g-601099512345678.html
+      const match = url.pathname.match(/-g-(\d+)\.html/)
+      if (!match) return null
+      const country = url.pathname.match(/^\/([a-z]{2})\//)?.[1].toUpperCase()
+      return { id: match[1], url: `https://www.temu.com${url.pathname}`, country }
+    }
+  },
+  {
+    id: 'shopee',
+    name: 'Shopee',
+    icon: 'ShoppingBag',
+    color: '#ea580c',
+    domains: {
+      'shopee.cl': 'CL',
+      'shopee.com.br': 'BR',
+      'shopee.com.mx': 'MX',
+      'shopee.com.co': 'CO'
+    },
+    extract(url, domain) {
+      // /Nombre-i.<shop>.<item> o /product/<shop>/<item>
+      const match = url.pathname.match(/-i\.(\d+)\.(\d+)/) || url.pathname.match(/\/product\/(\d+)\/(\d+)/)
+      if (!match) return null
+      return { id: `${match[1]}.${match[2]}`, url: `https://${domain}/product/${match[1]}/${match[2]}` }
+    }
+  }
+]
+
+const OTHER = { id: 'other', name: 'Otro', icon: 'Globe', color: '#64748b' }
+
+// Dominio registrado al que pertenece el host (el más específico gana)
+function matchDomain(hostname) {
+  let best = null
+  for (const marketplace of MARKETPLACES) {
+    for (const domain of Object.keys(marketplace.domains)) {
+      if (hostname !== domain && !hostname.endsWith(`.${domain}`)) continue
+      if (!best || domain.length > best.domain.length) best = { marketplace, domain }
+    }
+  }
+  return best
+}
+
+// Marketplace de una URL: { id, name, country, listingId, canonicalUrl }.
+// El marketplace se decide solo por el hostname, nunca por la ruta ni la query.
+export function detectMarketplace(input) {
+  let url
+  try {
+    url = new URL(String(input).trim())
+  } catch {
+    return { id: OTHER.id, name: OTHER.name, country: null, listingId: null, canonicalUrl: null }
+  }
+
+  const match = matchDomain(url.hostname.toLowerCase())
+  if (!match) {
+    return { id: OTHER.id, name: OTHER.name, country: null, listingId: null, canonicalUrl: null }
+  }
+
+  const { marketplace, domain } = match
+  const listing = marketplace.extract(url, domain)
+  return {
+    id: marketplace.id,
+    name: marketplace.name,
+    country: listing?.country || marketplace.domains[domain],
+    listingId: listing?.id || null,
+    canonicalUrl: listing?.url || null
+  }
+}
+
+// Metadatos públicos para el frontend (sin funciones)
+export function listMarketplaces() {
+  return [...MARKETPLACES, OTHER].map(({ id, name, icon, color, domains }) => ({
+    id,
+    name,
+    icon,
+    color,
+    domains: Object.keys(domains || {})
+  }))
+}
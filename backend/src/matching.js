@@ -0,0 +1,302 @@
+// ============================================
+// COINCIDENCIA CON DROPI - Proveedores candidatos para un producto analizado
+// ============================================
+//
+// Compara el producto del marketplace (título, precio e imagen que entrega el
+// scraper) con productos del catálogo de Dropi. Cada factor vale entre 0 y 1:
+//   text        palabras en común de los títulos normalizados (sin palabras vacías)
+//   attributes  colores, medidas, cantidad por pack y materiales que ambos mencionan
+//   price       cercanía entre el precio del marketplace y el precio sugerido de Dropi
+//   image       similitud del hash perceptual (dHash) de las imágenes principales
+// La confianza es el promedio ponderado de los factores con datos en escala 0-100,
+// como el puntaje de oportunidad: un factor sin datos no cuenta a favor ni en contra.
+import fetch from 'node-fetch'
+import sharp from 'sharp'
+import { normalizeTitle } from './links.js'
+
+export const MATCH_FACTORS = {
+  text: { label: 'Título', weight: 50 },
+  attributes: { label: 'Atributos', weight: 20 },
+  price: { label: 'Precio', weight: 15 },
+  image: { label: 'Imagen', weight: 15 }
+}
+
+// Confianza mínima de cada nivel
+export const MATCH_LEVELS = { high: 75, medium: 50 }
+
+// Conversión aproximada a pesos chilenos (la moneda del catálogo de Dropi), solo
+// para comparar rangos de precio; una moneda desconocida deja el factor sin datos
+const CLP_RATES = { CLP: 1, USD: 950, EUR: 1030, ARS: 1, MXN: 52, COP: 0.24, PEN: 255, UYU: 24, BRL: 175 }
+
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'las', 'el', 'los', 'un', 'una', 'y', 'o', 'para', 'con', 'sin', 'en', 'por', 'al',
+  'the', 'and', 'for', 'with', 'of', 'in',
+  'nuevo', 'nueva', 'original', 'oferta', 'envio', 'gratis', 'calidad', 'alta', 'premium', 'pack', 'set', 'kit', 'unidad', 'unidades'
+])
+
+const COLORS = {
+  negro: ['negro', 'negra', 'black'],
+  blanco: ['blanco', 'blanca', 'white'],
+  azul: ['azul', 'blue'],
+  rojo: ['rojo', 'roja', 'red'],
+  verde: ['verde', 'green'],
+  amarillo: ['amarillo', 'amarilla', 'yellow'],
+  rosado: ['rosado', 'rosada', 'rosa', 'pink'],
+  gris: ['gris', 'gray', 'grey'],
+  morado: ['morado', 'morada', 'lila', 'purple'],
+  naranjo: ['naranjo', 'naranja', 'orange'],
+  cafe: ['cafe', 'marron', 'brown'],
+  beige: ['beige'],
+  dorado: ['dorado', 'dorada', 'gold'],
+  plateado: ['plateado', 'plateada', 'silver']
+}
+
+const MATERIALS = {
+  acero: ['acero', 'inoxidable', 'steel'],
+  silicona: ['silicona', 'silicone'],
+  madera: ['madera', 'wood', 'wooden'],
+  plastico: ['plastico', 'plastic', 'abs'],
+  algodon: ['algodon', 'cotton'],
+  cuero: ['cuero', 'leather'],
+  vidrio: ['vidrio', 'glass'],
+  bambu: ['bambu', 'bamboo'],
+  aluminio: ['aluminio', 'aluminum'],
+  ceramica: ['ceramica', 'ceramic']
+}
+
+// Unidades de medida -> forma canónica
+const UNITS = { mm: 'mm', cm: 'cm', m: 'm', ml: 'ml', l: 'l', lt: 'l', litro: 'l', litros: 'l', g: 'g', gr: 'g', kg: 'kg', mah: 'mah', w: 'w', v: 'v', gb: 'gb', tb: 'tb', pulgadas: 'in', in: 'in' }
+
+const aliasIndex = (groups) => new Map(Object.entries(groups).flatMap(([id, words]) => words.map(word => [word, id])))
+const COLOR_INDEX = aliasIndex(COLORS)
+const MATERIAL_INDEX = aliasIndex(MATERIALS)
+
+// Plural simple a singular, para que "organizadores" y "organizador" coincidan
+const stem = (word) => (word.length > 4 && word.endsWith('es') ? word.slice(0, -2) : word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)
+
+// Palabras significativas del título, sin números ni palabras vacías
+export function titleTokens(text) {
+  return [...new Set(normalizeTitle(text).split(' ')
+    .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(stem))]
+}
+
+// { colors, materials, measures, pack } como conjuntos de valores canónicos
+export function extractAttributes(text) {
+  const normalized = normalizeTitle(String(text || '').replace(/(\d),(\d)/g, '$1.$2').replace(/(\d)\.(\d)/g, '$1p$2'))
+  const words = normalized.split(' ')
+  const attributes = { colors: new Set(), materials: new Set(), measures: new Set(), pack: new Set() }
+
+  for (const word of words) {
+    if (COLOR_INDEX.has(word)) attributes.colors.add(COLOR_INDEX.get(word))
+    if (MATERIAL_INDEX.has(word)) attributes.materials.add(MATERIAL_INDEX.get(word))
+  }
+  for (const [, value, unit] of normalized.matchAll(/\b(\d+(?:p\d+)?) ?(mm|cm|m|ml|l|lt|litros?|g|gr|kg|mah|w|v|gb|tb|pulgadas|in)\b/g)) {
+    attributes.measures.add(`${value.replace('p', '.')} ${UNITS[unit]}`)
+  }
+  for (const match of normalized.matchAll(/\b(?:pack|set|kit) (?:de )?(\d+)\b|\b(\d+) (?:unidades|piezas|pcs|uds?|un)\b|\bx ?(\d+)\b/g)) {
+    attributes.pack.add(Number(match[1] || match[2] || match[3]))
+  }
+  return attributes
+}
+
+const ATTRIBUTE_LABELS = { colors: 'color', materials: 'material', measures: 'medida', pack: 'unidades' }
+
+const money = (value) => `$${Math.round(value).toLocaleString('es-CL')}`
+
+// ============================================
+// FACTORES
+// ============================================
+
+function textFactor(sourceTokens, candidate) {
+  const tokens = titleTokens(candidate.name)
+  if (!sourceTokens.length || !tokens.length) return null
+  const shared = tokens.filter(token => sourceTokens.includes(token))
+  return {
+    value: (2 * shared.length) / (sourceTokens.length + tokens.length),
+    detail: shared.length
+      ? `Título: ${shared.length} de ${sourceTokens.length} palabra(s) en común (${shared.join(', ')})`
+      : 'Título: sin palabras en común'
+  }
+}
+
+// Solo se comparan los atributos que mencionan ambos; las variantes de Dropi cuentan
+// (un producto en negro, blanco y azul coincide con uno negro)
+function attributesFactor(sourceAttributes, candidate) {
+  const attributes = extractAttributes([candidate.name, candidate.description, ...candidate.variants.map(v => v.name)].join(' '))
+  const same = []
+  const different = []
+  for (const kind of Object.keys(sourceAttributes)) {
+    if (!sourceAttributes[kind].size || !attributes[kind].size) continue
+    const shared = [...sourceAttributes[kind]].filter(value => attributes[kind].has(value))
+    if (shared.length) same.push(shared.join('/'))
+    else different.push(`${ATTRIBUTE_LABELS[kind]} ${[...sourceAttributes[kind]].join('/')} vs ${[...attributes[kind]].join('/')}`)
+  }
+  const compared = same.length + different.length
+  if (!compared) return null
+  return {
+    value: same.length / compared,
+    detail: `Atributos: ${[same.length && `coinciden ${same.join(', ')}`, different.length && `difieren ${different.join('; ')}`].filter(Boolean).join('; ')}`
+  }
+}
+
+// Igual o hasta 20% de diferencia vale 1; desde un 70% de diferencia, 0
+function priceFactor(sourcePrice, candidate) {
+  if (!sourcePrice || !(candidate.suggestedPrice > 0)) return null
+  const ratio = Math.min(sourcePrice, candidate.suggestedPrice) / Math.max(sourcePrice, candidate.suggestedPrice)
+  return {
+    value: Math.min(1, Math.max(0, (ratio - 0.3) / 0.5)),
+    detail: `Precio: sugerido ${money(candidate.suggestedPrice)}, marketplace ${money(sourcePrice)} (${Math.round((1 - ratio) * 100)}% de diferencia)`
+  }
+}
+
+// Bits distintos entre dos dHash de 64 bits (hex)
+function hammingDistance(a, b) {
+  let distance = 0
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16)
+    while (bits) {
+      distance += bits & 1
+      bits >>= 1
+    }
+  }
+  return distance
+}
+
+// Hasta 8 bits distintos es casi la misma foto; desde 32 (lo esperable por azar), 0
+function imageFactor(sourceHash, candidateHashes) {
+  const hashes = candidateHashes.filter(Boolean)
+  if (!sourceHash || !hashes.length) return null
+  const distance = Math.min(...hashes.map(hash => hammingDistance(sourceHash, hash)))
+  return {
+    value: Math.min(1, Math.max(0, (32 - distance) / 24)),
+    detail: `Imagen: ${distance <= 8 ? 'muy parecida' : distance <= 16 ? 'parecida' : 'distinta'} (${distance}/64 bits distintos)`
+  }
+}
+
+// ============================================
+// HASH DE IMÁGENES
+// ============================================
+
+// dHash: la imagen en grises a 9x8 y un bit por cada píxel más claro que su vecino.
+// Las imágenes se descargan con timeout y tamaño máximo; los hashes (o null si la
+// imagen no se pudo leer) se guardan en memoria hasta cacheSize URLs.
+export function createImageHasher({ timeout = 8000, maxBytes = 5 * 1024 * 1024, cacheSize = 2000 } = {}) {
+  const cache = new Map()
+
+  async function compute(url) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    try {
+      const response = await fetch(url, { signal: controller.signal, size: maxBytes })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      const pixels = await sharp(Buffer.from(await response.arrayBuffer()))
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer()
+
+      let hash = ''
+      for (let row = 0; row < 8; row++) {
+        let nibble = 0
+        for (let col = 0; col < 8; col++) {
+          nibble = (nibble << 1) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0)
+          if (col % 4 === 3) {
+            hash += nibble.toString(16)
+            nibble = 0
+          }
+        }
+      }
+      return hash
+    } catch (error) {
+      console.log(`Image hash failed for ${url}: ${error.name === 'AbortError' ? 'timeout' : error.message}`)
+      return null
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  return {
+    hash(url) {
+      if (!url) return Promise.resolve(null)
+      if (!cache.has(url)) {
+        if (cache.size >= cacheSize) cache.delete(cache.keys().next().value)
+        cache.set(url, compute(url))
+      }
+      return cache.get(url)
+    }
+  }
+}
+
+// ============================================
+// RANKING
+// ============================================
+
+// Producto del marketplace de un análisis: { title, price (CLP o null), image }.
+// El título es el del scraper; sin él, el nombre del análisis (si no es una URL).
+export function matchSource(analysis) {
+  const product = analysis.product || {}
+  const name = /^https?:\/\//.test(analysis.Producto || '') ? '' : analysis.Producto || ''
+  const rate = CLP_RATES[(product.currency || 'CLP').toUpperCase()]
+  return {
+    title: product.title || name,
+    price: product.price > 0 && rate ? Math.round(product.price * rate) : null,
+    image: product.image || ''
+  }
+}
+
+function score(factors) {
+  const used = Object.entries(factors).filter(([, factor]) => factor)
+  const usedWeight = used.reduce((sum, [id]) => sum + MATCH_FACTORS[id].weight, 0)
+  if (!usedWeight) return 0
+  return Math.round(used.reduce((sum, [id, factor]) => sum + factor.value * MATCH_FACTORS[id].weight, 0) / usedWeight * 100)
+}
+
+const level = (confidence) => (confidence >= MATCH_LEVELS.high ? 'high' : confidence >= MATCH_LEVELS.medium ? 'medium' : 'low')
+
+// Candidatos ordenados por confianza: [{ product, confidence, level, reasons, factors }].
+// La imagen solo se compara para los imageLimit mejores según el resto de los factores,
+// para no descargar el catálogo entero.
+export async function rankCandidates(source, candidates, { hasher = null, imageLimit = 8, limit = 10 } = {}) {
+  const sourceTokens = titleTokens(source.title)
+  const sourceAttributes = extractAttributes(source.title)
+
+  const ranked = candidates.map(product => {
+    const factors = {
+      text: textFactor(sourceTokens, product),
+      attributes: attributesFactor(sourceAttributes, product),
+      price: priceFactor(source.price, product),
+      image: null
+    }
+    return { product, factors, confidence: score(factors) }
+  })
+  ranked.sort((a, b) => b.confidence - a.confidence)
+
+  const sourceHash = hasher && source.image ? await hasher.hash(source.image) : null
+  if (sourceHash) {
+    for (const entry of ranked.slice(0, imageLimit)) {
+      const urls = [...new Set([entry.product.image, ...(entry.product.images || [])].filter(Boolean))].slice(0, 2)
+      entry.factors.image = imageFactor(sourceHash, await Promise.all(urls.map(url => hasher.hash(url))))
+      entry.confidence = score(entry.factors)
+    }
+    ranked.sort((a, b) => b.confidence - a.confidence)
+  }
+
+  return ranked.slice(0, limit).map(({ product, factors, confidence }) => ({
+    product,
+    confidence,
+    level: level(confidence),
+    // Motivos: primero lo que más aporta
+    reasons: Object.entries(factors)
+      .filter(([, factor]) => factor)
+      .sort(([a, fa], [b, fb]) => fb.value * MATCH_FACTORS[b].weight - fa.value * MATCH_FACTORS[a].weight)
+      .map(([, factor]) => factor.detail),
+    factors: Object.entries(MATCH_FACTORS).map(([id, { label, weight }]) => ({
+      id,
+      label,
+      weight,
+      value: factors[id] ? Math.round(factors[id].value * 100) / 100 : null,
+      detail: factors[id]?.detail || 'Sin datos'
+    }))
+  }))
+}
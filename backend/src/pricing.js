@@ -0,0 +1,125 @@
+// ============================================
+// PRECIOS - Precio de venta recomendado para productos de Dropi
+// ============================================
+//
+// El precio de venta incluye IVA. De cada venta quedan:
+//   ganancia = precio - IVA contenido - comisión de la pasarela - costo Dropi - envío
+// y el margen es la ganancia sobre el precio de venta. El costo de Dropi se toma
+// tal cual, sin crédito de IVA.
+//
+// El precio recomendado es el mínimo que deja el margen objetivo; si la categoría
+// tiene precio mínimo se usa ese, y al final se sube al siguiente precio
+// psicológico (terminado en 990 por defecto).
+//
+// Reglas configurables con PRICING_RULES ("margin=35,shipping=3990,...") y mínimos
+// por categoría con PRICING_FLOORS ("hogar=9990,tecnologia=19990").
+import { normalizeTitle } from './links.js'
+
+export const PRICING_RULES = {
+  margin: { label: 'Margen objetivo (%)', value: 30 },
+  shipping: { label: 'Envío por pedido', value: 0 },
+  gatewayPercent: { label: 'Comisión pasarela (%)', value: 3.5 },
+  gatewayFixed: { label: 'Comisión fija pasarela', value: 0 },
+  iva: { label: 'IVA (%)', value: 19 },
+  ending: { label: 'Terminación del precio', value: 990 }
+}
+
+// Reglas y mínimos desde el texto de las variables de entorno; las claves
+// desconocidas y los valores no numéricos se ignoran
+export function parsePricingRules(rulesText, floorsText) {
+  const rules = Object.fromEntries(Object.entries(PRICING_RULES).map(([id, rule]) => [id, rule.value]))
+  for (const [key, value, pair] of pairs(rulesText)) {
+    if (!Object.hasOwn(rules, key) || !Number.isFinite(value) || value < 0) {
+      console.warn(`Pricing: ignoring rule "${pair}"`)
+      continue
+    }
+    rules[key] = value
+  }
+
+  const floors = {}
+  for (const [key, value, pair] of pairs(floorsText)) {
+    if (!Number.isFinite(value) || value <= 0) {
+      console.warn(`Pricing: ignoring floor "${pair}"`)
+      continue
+    }
+    floors[normalizeTitle(key)] = value
+  }
+  return { ...rules, floors }
+}
+
+function* pairs(text) {
+  for (const pair of String(text || '').split(',')) {
+    const [key, value] = pair.split('=').map(s => s.trim())
+    if (key) yield [key, Number(value), pair.trim()]
+  }
+}
+
+// Sube al siguiente precio terminado en ending (990 -> 12.345 pasa a 12.990)
+export function roundPrice(price, ending) {
+  if (!ending) return Math.ceil(price)
+  const step = 10 ** String(ending).length
+  return Math.max(ending, Math.ceil((price - ending) / step) * step + ending)
+}
+
+const money = (value) => Math.round(value)
+
+// Desglose de una venta a ese precio: { price, iva, gatewayFee, cost, shipping, profit, margin }
+export function profitBreakdown(price, cost, rules) {
+  const iva = price - price / (1 + rules.iva / 100)
+  const gatewayFee = price * rules.gatewayPercent / 100 + rules.gatewayFixed
+  const profit = price - iva - gatewayFee - cost - rules.shipping
+  return {
+    price: money(price),
+    iva: money(iva),
+    gatewayFee: money(gatewayFee),
+    cost: money(cost),
+    shipping: money(rules.shipping),
+    profit: money(profit),
+    margin: price > 0 ? Math.round((profit / price) * 1000) / 10 : null
+  }
+}
+
+// Mínimo de la categoría (nombre sin tildes ni mayúsculas), o null
+export function categoryFloor(category, rules) {
+  const key = normalizeTitle(category)
+  return key && rules.floors[key] ? { category: key, price: rules.floors[key] } : null
+}
+
+// Precio recomendado para un costo de Dropi. Devuelve { price, basePrice, floor,
+// breakdown } o { error } si el margen objetivo no se alcanza con esas comisiones.
+export function recommendPrice({ cost, category = '' }, rules) {
+  // Parte del precio que queda después de IVA, comisión y margen objetivo
+  const share = 1 / (1 + rules.iva / 100) - rules.gatewayPercent / 100 - rules.margin / 100
+  if (share <= 0) {
+    return { error: `Un margen de ${rules.margin}% no es alcanzable con IVA de ${rules.iva}% y comisión de ${rules.gatewayPercent}%` }
+  }
+
+  const basePrice = (cost + rules.shipping + rules.gatewayFixed) / share
+  const floor = categoryFloor(category, rules)
+  const price = roundPrice(Math.max(basePrice, floor?.price || 0), rules.ending)
+  return {
+    price,
+    basePrice: money(basePrice),
+    floor: floor && floor.price > basePrice ? floor : null,
+    breakdown: profitBreakdown(price, cost, rules)
+  }
+}
+
+// Cotización de un producto: precio recomendado y desglose al precio indicado
+// (o al recomendado). item: { id?, cost, category?, price? }
+export function quotePrice(item, rules) {
+  const cost = Number(item.cost)
+  if (!(cost > 0)) return { id: item.id ?? null, error: 'El producto no tiene costo de Dropi' }
+
+  const recommended = recommendPrice({ cost, category: item.category }, rules)
+  const price = Number(item.price) > 0 ? Number(item.price) : recommended.price
+  const breakdown = price ? profitBreakdown(price, cost, rules) : null
+  const floor = categoryFloor(item.category, rules)
+  return {
+    id: item.id ?? null,
+    recommended,
+    breakdown,
+    belowTarget: breakdown ? breakdown.margin < rules.margin : false,
+    belowFloor: Boolean(floor && price < floor.price)
+  }
+}
@@ -0,0 +1,275 @@
+// ============================================
+// PROMPTS - Plantillas de las consultas al modelo
+// ============================================
+//
+// Cada plantilla tiene un mensaje system y uno user con variables {{nombre}}
+// (ver renderTemplate en llm.js). El nombre de la plantilla es también la
+// feature con la que se cuentan los tokens.
+//
+// Los admins editan las plantillas desde el dashboard. Cada cambio es una versión
+// nueva (nunca se sobrescribe una anterior); la versión 0 es la predeterminada de
+// este archivo y se usa mientras no haya ninguna guardada.
+import crypto from 'crypto'
+import { detectMarketplace } from './marketplaces.js'
+
+const SYSTEM_ANALYST = 'Eres analista de e-commerce en Chile. Lees reseñas de compradores de marketplaces ' +
+  'y respondes solo con JSON válido, en español, sin inventar nada que no esté en las reseñas.'
+
+const SYSTEM_COPYWRITER = 'Eres un redactor publicitario de e-commerce en Chile. Escribes en español neutro, ' +
+  'sin inventar características que no estén en el análisis, y respetas siempre los límites de caracteres. ' +
+  'Respondes solo con JSON válido.'
+
+// Variables de las plantillas de análisis (n8n completa reviews y reviewCount después del scraping)
+const PRODUCT_VARIABLES = ['title', 'url', 'marketplace', 'country', 'rating', 'reviewCount', 'reviews', 'instruction']
+
+const PRODUCT_HEADER = [
+  'Producto: {{title}}',
+  'Marketplace: {{marketplace}} ({{country}}) - {{url}}',
+  'Calificación: {{rating}} con {{reviewCount}} reseñas',
+  '',
+  'Reseñas:',
+  '{{reviews}}',
+  ''
+]
+
+export const DEFAULT_PROMPTS = {
+  // Análisis de n8n: se envían en cada job de scraping
+  'pain-points': {
+    label: 'Puntos de dolor',
+    description: 'Problemas que se repiten en las reseñas (columna Puntos de Dolor)',
+    variables: PRODUCT_VARIABLES,
+    system: SYSTEM_ANALYST,
+    user: [
+      ...PRODUCT_HEADER,
+      'Identifica los puntos de dolor de los compradores: problemas concretos que se repiten en las reseñas, del más grave al más leve.',
+      '{{instruction}}',
+      '',
+      'Responde con un arreglo JSON: [{ "text": "...", "severity": "high|medium|low", "quotes": ["cita textual de una reseña"] }]'
+    ].join('\n')
+  },
+
+  insights: {
+    label: 'Insights',
+    description: 'Oportunidades de marketing que se desprenden de las reseñas (columna Insights)',
+    variables: PRODUCT_VARIABLES,
+    system: SYSTEM_ANALYST,
+    user: [
+      ...PRODUCT_HEADER,
+      'Extrae insights de marketing: qué valoran los compradores, para qué usan el producto y qué los convence de comprarlo.',
+      '{{instruction}}',
+      '',
+      'Responde con un arreglo JSON: [{ "text": "...", "category": "price|quality|shipping|usage|other" }]'
+    ].join('\n')
+  },
+
+  hooks: {
+    label: 'Hooks',
+    description: 'Frases publicitarias cortas (columna Gancho (Hook))',
+    variables: PRODUCT_VARIABLES,
+    system: SYSTEM_COPYWRITER,
+    user: [
+      ...PRODUCT_HEADER,
+      'Escribe 5 hooks publicitarios de menos de 100 caracteres que respondan a los puntos de dolor de las reseñas.',
+      '{{instruction}}',
+      '',
+      'Responde con un arreglo JSON de textos: ["hook 1", "hook 2"]'
+    ].join('\n')
+  },
+
+  // Generadas por el backend
+  description: {
+    label: 'Descripción de producto',
+    description: 'Texto de la ficha del producto en la tienda',
+    variables: ['title', 'marketplace', 'rating', 'painPoints', 'insights', 'hooks'],
+    system: 'Eres un redactor de fichas de producto para una tienda online en Chile. Escribes en español neutro ' +
+      'y no inventas características que no estén en el análisis.',
+    user: [
+      'Producto: {{title}} (calificación {{rating}} en {{marketplace}})',
+      '',
+      'Puntos de dolor de los compradores:',
+      '{{painPoints}}',
+      '',
+      'Insights de marketing:',
+      '{{insights}}',
+      '',
+      'Hooks aprobados:',
+      '{{hooks}}',
+      '',
+      'Escribe la descripción del producto para la tienda: un párrafo de presentación y una lista de beneficios ' +
+        'que responda a los puntos de dolor. Solo texto, sin títulos ni markdown.'
+    ].join('\n')
+  },
+
+  ads: {
+    label: 'Anuncios',
+    description: 'Copy de anuncios de una plataforma (Meta, TikTok, Google, WhatsApp)',
+    variables: ['title', 'painPoints', 'insights', 'hooks', 'platform', 'fields', 'shape'],
+    system: SYSTEM_COPYWRITER,
+    user: [
+      'Producto: {{title}}',
+      '',
+      'Puntos de dolor de los compradores:',
+      '{{painPoints}}',
+      '',
+      'Insights de marketing:',
+      '{{insights}}',
+      '',
+      'Hooks aprobados:',
+      '{{hooks}}',
+      '',
+      'Escribe copy para {{platform}}:',
+      '{{fields}}',
+      '',
+      'Responde con un objeto JSON con esta forma: {{shape}}'
+    ].join('\n')
+  },
+
+  'ads-shorten': {
+    label: 'Anuncios: acortar',
+    description: 'Segunda vuelta para los textos de anuncios que se pasaron del límite',
+    variables: ['texts', 'shape'],
+    system: 'Eres un redactor publicitario de e-commerce en Chile. Respondes solo con JSON válido.',
+    user: [
+      'Acorta estos textos publicitarios sin perder la idea principal:',
+      '{{texts}}',
+      '',
+      'Responde con un objeto JSON con las mismas claves y los textos acortados en el mismo orden: {{shape}}'
+    ].join('\n')
+  }
+}
+
+// Plantillas que se envían a n8n en cada job de scraping
+export const ANALYSIS_PROMPTS = ['pain-points', 'insights', 'hooks']
+
+export const isPromptName = (name) => Object.hasOwn(DEFAULT_PROMPTS, name)
+
+const findVariables = (text) => [...String(text || '').matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(m => m[1].split('.')[0])
+
+// ============================================
+// VARIABLES DE MUESTRA
+// ============================================
+
+const REVIEW_EXCERPTS = 30
+const EXCERPT_LENGTH = 300
+
+// Variables de las plantillas de análisis para un producto y sus reseñas
+export function productPromptVars(product, reviews = [], { instruction = '' } = {}) {
+  const marketplace = detectMarketplace(product.url)
+  return {
+    title: product.title || product.url,
+    url: product.url,
+    marketplace: marketplace.name,
+    country: marketplace.country || '',
+    rating: product.rating || 'sin calificación',
+    reviewCount: reviews.length,
+    reviews: reviews.slice(0, REVIEW_EXCERPTS).map(r => {
+      const text = r.text.length > EXCERPT_LENGTH ? `${r.text.slice(0, EXCERPT_LENGTH)}…` : r.text
+      return r.rating !== null && r.rating !== undefined ? `(${r.rating}★) ${text}` : text
+    }),
+    instruction
+  }
+}
+
+// Variables de las plantillas que parten de un análisis estructurado
+export function analysisPromptVars(analysis) {
+  return {
+    title: analysis.Producto || 'sin nombre',
+    painPoints: analysis.painPoints.map(p => p.text),
+    insights: analysis.insights.map(i => i.text),
+    hooks: analysis.hooks
+  }
+}
+
+// ============================================
+// VERSIONES
+// ============================================
+
+// storage guarda las versiones: listPromptVersions(), addPromptVersion(version)
+export function createPromptStore(storage) {
+  let cached = null
+  // Los guardados van de a uno para que dos simultáneos no tomen el mismo número de versión
+  let saving = Promise.resolve()
+  const load = async () => {
+    cached = cached || await storage.listPromptVersions()
+    return cached
+  }
+
+  const defaultVersion = (name) => ({
+    name,
+    version: 0,
+    system: DEFAULT_PROMPTS[name].system,
+    user: DEFAULT_PROMPTS[name].user,
+    note: 'Predeterminada',
+    createdBy: '',
+    createdAt: ''
+  })
+
+  // Versiones de una plantilla, la más reciente primero (la predeterminada al final)
+  async function history(name) {
+    const versions = (await load())
+      .filter(v => v.name === name)
+      .sort((a, b) => b.version - a.version)
+    return [...versions, defaultVersion(name)]
+  }
+
+  const current = async (name) => (await history(name))[0]
+
+  return {
+    history,
+    current,
+
+    async get(name, version) {
+      if (!isPromptName(name)) return null
+      if (version === undefined) return current(name)
+      return (await history(name)).find(v => v.version === version) || current(name)
+    },
+
+    async list() {
+      return Promise.all(Object.entries(DEFAULT_PROMPTS).map(async ([name, prompt]) => ({
+        name,
+        label: prompt.label,
+        description: prompt.description,
+        variables: prompt.variables,
+        current: await current(name)
+      })))
+    },
+
+    // Versión vigente de cada plantilla: { nombre: versión }
+    async versions(names = Object.keys(DEFAULT_PROMPTS)) {
+      const entries = await Promise.all(names.map(async name => [name, (await current(name)).version]))
+      return Object.fromEntries(entries)
+    },
+
+    // Guarda una versión nueva; devuelve { template } o { error }
+    async save(name, { system = '', user = '', note = '' }, createdBy) {
+      if (!isPromptName(name)) return { error: 'Plantilla no encontrada' }
+      if (!String(user).trim()) return { error: 'El prompt no puede estar vacío' }
+
+      const allowed = DEFAULT_PROMPTS[name].variables
+      const unknown = [...findVariables(system), ...findVariables(user)].find(v => !allowed.includes(v))
+      if (unknown) {
+        return { error: `Variable desconocida: {{${unknown}}}. Disponibles: ${allowed.join(', ')}` }
+      }
+
+      const write = async () => {
+        const template = {
+          id: crypto.randomUUID(),
+          name,
+          version: (await current(name)).version + 1,
+          system: String(system),
+          user: String(user),
+          note: String(note).slice(0, 200),
+          createdBy,
+          createdAt: new Date().toISOString()
+        }
+        template.version = await storage.addPromptVersion(template)
+        cached = [...await load(), template]
+        return { template }
+      }
+
+      const result = saving.then(write)
+      saving = result.catch(() => {})
+      return result
+    }
+  }
+}
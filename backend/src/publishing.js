@@ -0,0 +1,225 @@
+// ============================================
+// COLA DE PUBLICACIÓN - Publicaciones en la tienda con reintentos
+// ============================================
+//
+// Cada publicación es una tarea con una clave de idempotencia: la del par
+// (análisis, producto de Dropi). Hay una sola tarea por clave, así que un doble
+// clic o un reintento del navegador no crea otro producto:
+//   - si la tarea está en cola o en curso se devuelve la misma
+//   - si terminó hace menos de DEDUPE_WINDOW con el mismo pedido se devuelve su resultado
+//   - si no (pedido distinto, publicación antigua o dead letter) se vuelve a encolar
+//     conservando el resultado anterior, para que el handler actualice el mismo producto
+//
+// Los errores reintentables esperan baseDelay * 2^(intento - 1), hasta maxDelay.
+// Al agotar los intentos, o con un error que no se arregla reintentando (p. ej. la
+// tienda rechazó el producto), la tarea queda en dead letter con el detalle de cada
+// intento hasta que un admin la reintente o la descarte.
+import crypto from 'crypto'
+
+export const TASK_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  DEAD: 'dead',
+  DISCARDED: 'discarded'
+}
+
+// Clave de idempotencia: análisis (si lo hay) y producto de Dropi (si lo hay)
+export function publishKey({ analysisId = '', supplierId = '' }) {
+  return [analysisId && `analysis:${analysisId}`, supplierId && `dropi:${supplierId}`].filter(Boolean).join('|')
+}
+
+// Un pedido idéntico dentro de este plazo es un doble clic o un reintento del navegador
+const DEDUPE_WINDOW = 60 * 1000
+
+const samePayload = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// handlers: { tipo: async (task) => resultado guardable en JSON }.
+// retryable(error) decide si un fallo se reintenta o va directo a dead letter.
+// onTask(task) se llama después de cada cambio (stream SSE).
+export function createPublishQueue({ storage, handlers, retryable = () => true, onTask = () => {}, maxAttempts = 5, baseDelay = 30 * 1000, maxDelay = 30 * 60 * 1000 }) {
+  const tasks = new Map()
+  const inflight = new Map()
+  let timer = null
+  let ticking = false
+
+  const save = async (task) => {
+    task.updatedAt = new Date().toISOString()
+    tasks.set(task.id, task)
+    try {
+      await storage.savePublishTask(task)
+    } catch (error) {
+      console.error(`Could not persist publish task ${task.id}:`, error.message)
+    }
+    onTask(task)
+  }
+
+  const backoff = (attempts) => Math.min(baseDelay * 2 ** (attempts - 1), maxDelay)
+
+  const attempt = async (task) => {
+    task.status = TASK_STATUS.RUNNING
+    task.attempts += 1
+    await save(task)
+
+    try {
+      task.result = await handlers[task.kind](task)
+      task.status = TASK_STATUS.DONE
+      task.nextAttemptAt = ''
+      task.finishedAt = new Date().toISOString()
+      console.log(`Publish task ${task.key} done (attempt ${task.attempts})`)
+    } catch (error) {
+      const retry = retryable(error) && task.attempts < task.maxAttempts
+      task.errors = [...task.errors, { at: new Date().toISOString(), attempt: task.attempts, message: error.message, status: error.status ?? null }]
+      console.log(`Publish task ${task.key} failed (attempt ${task.attempts}/${task.maxAttempts}): ${error.message}`)
+
+      if (retry) {
+        task.status = TASK_STATUS.QUEUED
+        task.nextAttemptAt = new Date(Date.now() + backoff(task.attempts)).toISOString()
+      } else {
+        task.status = TASK_STATUS.DEAD
+        task.nextAttemptAt = ''
+        task.finishedAt = new Date().toISOString()
+      }
+    }
+    await save(task)
+    return task
+  }
+
+  // Un solo intento a la vez por tarea: quien llega mientras corre espera ese mismo
+  const run = (task) => {
+    if (!inflight.has(task.id)) {
+      inflight.set(task.id, attempt(task).finally(() => inflight.delete(task.id)))
+    }
+    return inflight.get(task.id)
+  }
+
+  const isDue = (task) => task.status === TASK_STATUS.QUEUED && (!task.nextAttemptAt || new Date(task.nextAttemptAt).getTime() <= Date.now())
+
+  // Las tareas vencidas se procesan de a una, en orden de creación
+  const tick = async () => {
+    if (ticking) return
+    ticking = true
+    try {
+      const due = [...tasks.values()]
+        .filter(isDue)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      for (const task of due) {
+        if (isDue(task)) await run(task)
+      }
+    } catch (error) {
+      console.error('Publish queue tick failed:', error.message)
+    } finally {
+      ticking = false
+    }
+  }
+
+  const requeue = (task, changes = {}) => Object.assign(task, {
+    status: TASK_STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: '',
+    finishedAt: '',
+    ...changes
+  })
+
+  return {
+    async init() {
+      for (const task of await storage.listPublishTasks()) {
+        // Un intento cortado por un reinicio se vuelve a hacer; los handlers
+        // buscan primero el producto por su clave para no duplicarlo
+        if (task.status === TASK_STATUS.RUNNING) task.status = TASK_STATUS.QUEUED
+        tasks.set(task.id, task)
+      }
+      console.log(`Publish queue: ${tasks.size} task(s) loaded`)
+    },
+
+    start(interval = 5000) {
+      if (timer) return
+      timer = setInterval(tick, interval)
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    },
+
+    // Devuelve la tarea de esa clave (ver las reglas al inicio del archivo)
+    async enqueue({ key, kind, reference = '', name = '', payload = {}, user = '' }) {
+      const existing = [...tasks.values()].find(t => t.key === key)
+
+      if (existing) {
+        if ([TASK_STATUS.QUEUED, TASK_STATUS.RUNNING].includes(existing.status)) return existing
+        const recent = Date.now() - new Date(existing.finishedAt).getTime() < DEDUPE_WINDOW
+        if (existing.status === TASK_STATUS.DONE && recent && existing.kind === kind && samePayload(existing.payload, payload)) return existing
+
+        requeue(existing, { kind, reference, name, payload, errors: [], requestedBy: user })
+        await save(existing)
+        return existing
+      }
+
+      const task = {
+        id: crypto.randomUUID(),
+        key,
+        kind,
+        reference,
+        name,
+        payload,
+        status: TASK_STATUS.QUEUED,
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: '',
+        errors: [],
+        result: null,
+        requestedBy: user,
+        createdAt: new Date().toISOString(),
+        updatedAt: '',
+        finishedAt: ''
+      }
+      await save(task)
+      return task
+    },
+
+    // Espera el intento en curso o hace ahora el primero, como máximo timeout ms.
+    // Devuelve la tarea: done, dead, o queued si quedó esperando un reintento.
+    async settle(id, timeout = 20000) {
+      const task = tasks.get(id)
+      if (!task) return null
+
+      const pending = inflight.get(id) || (isDue(task) ? run(task) : null)
+      if (pending) {
+        let timeoutId
+        await Promise.race([pending, new Promise(resolve => { timeoutId = setTimeout(resolve, timeout) })])
+        clearTimeout(timeoutId)
+      }
+      return task
+    },
+
+    // Dead letter -> cola, con todos los intentos de nuevo
+    async replay(id, user = '') {
+      const task = tasks.get(id)
+      if (!task || ![TASK_STATUS.DEAD, TASK_STATUS.DISCARDED].includes(task.status)) return null
+      requeue(task, { requestedBy: user || task.requestedBy })
+      await save(task)
+      return task
+    },
+
+    async discard(id) {
+      const task = tasks.get(id)
+      if (!task || task.status !== TASK_STATUS.DEAD) return null
+      task.status = TASK_STATUS.DISCARDED
+      await save(task)
+      return task
+    },
+
+    get(id) {
+      return tasks.get(id) || null
+    },
+
+    // Tareas, la más reciente primero
+    list({ status } = {}) {
+      return [...tasks.values()]
+        .filter(t => !status || t.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    }
+  }
+}
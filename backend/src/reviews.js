@@ -0,0 +1,114 @@
+// ============================================
+// RESEÑAS - Normalización, idioma y búsqueda
+// ============================================
+import { normalizeTitle } from './links.js'
+
+// Palabras muy frecuentes de cada idioma; gana el que más aparece
+const STOPWORDS = {
+  es: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no', 'una', 'su', 'para', 'es', 'al', 'lo', 'muy', 'pero', 'bien', 'producto', 'llego', 'calidad'],
+  en: ['the', 'and', 'to', 'of', 'a', 'is', 'it', 'in', 'for', 'this', 'that', 'was', 'with', 'not', 'but', 'very', 'my', 'product', 'quality', 'good', 'great'],
+  pt: ['de', 'o', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'nao', 'uma', 'os', 'no', 'muito', 'mas', 'produto', 'chegou', 'qualidade', 'bom']
+}
+
+export function detectLanguage(text) {
+  const words = normalizeTitle(text).split(' ').filter(Boolean)
+  if (words.length === 0) return ''
+
+  let best = ''
+  let bestScore = 0
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const score = words.filter(w => stopwords.includes(w)).length
+    if (score > bestScore) {
+      best = language
+      bestScore = score
+    }
+  }
+  return best
+}
+
+// Primer campo presente entre los nombres que usan los distintos scrapers
+const pick = (raw, keys) => {
+  for (const key of keys) {
+    if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') return raw[key]
+  }
+  return null
+}
+
+function parseRating(value) {
+  if (value === null) return null
+  const number = parseFloat(String(value).replace(',', '.'))
+  if (!Number.isFinite(number)) return null
+  return Math.min(Math.max(number, 0), 5)
+}
+
+// Reseña con forma estable: { text, rating, date, author, language, source }
+export function normalizeReview(raw, { source = '' } = {}) {
+  if (typeof raw === 'string') raw = { text: raw }
+  if (!raw || typeof raw !== 'object') return null
+
+  const text = String(pick(raw, ['text', 'content', 'comment', 'review', 'body', 'texto', 'comentario', 'contenido']) || '').trim()
+  if (!text) return null
+
+  return {
+    text,
+    rating: parseRating(pick(raw, ['rating', 'stars', 'score', 'calificacion', 'estrellas', 'puntuacion'])),
+    date: String(pick(raw, ['date', 'fecha', 'created_at', 'createdAt']) || ''),
+    author: String(pick(raw, ['author', 'user', 'username', 'name', 'autor', 'usuario', 'nombre']) || ''),
+    language: raw.language || detectLanguage(text),
+    source: raw.source || source
+  }
+}
+
+// Formato antiguo de Raw_Resenas: E = texto_resenas (una por línea), F = ARCHIVOJSON
+export function parseLegacyReviews(text = '', json = '', { source = '' } = {}) {
+  let raw = null
+  try {
+    const parsed = JSON.parse(json)
+    if (Array.isArray(parsed)) raw = parsed
+  } catch {
+    // ARCHIVOJSON vacío o inválido, usar el texto plano
+  }
+
+  raw = raw || text.split('\n')
+  return raw.map(r => normalizeReview(r, { source })).filter(Boolean)
+}
+
+// Cantidad de reseñas por estrellas (redondeadas); none = sin calificación
+export function ratingDistribution(reviews) {
+  const ratings = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, none: 0 }
+  for (const review of reviews) {
+    if (review.rating === null || review.rating === undefined) ratings.none++
+    else ratings[Math.min(Math.max(Math.round(review.rating), 1), 5)]++
+  }
+  return ratings
+}
+
+// Filtros y paginación de GET /api/products/:id/reviews
+export function queryReviews(reviews, { page = 1, pageSize = 20, rating, minRating, maxRating, q } = {}) {
+  const ratings = ratingDistribution(reviews)
+
+  let filtered = reviews
+  if (rating) filtered = filtered.filter(r => r.rating !== null && Math.round(r.rating) === Number(rating))
+  if (minRating) filtered = filtered.filter(r => r.rating !== null && r.rating >= Number(minRating))
+  if (maxRating) filtered = filtered.filter(r => r.rating !== null && r.rating <= Number(maxRating))
+  if (q) {
+    const terms = normalizeTitle(q).split(' ').filter(Boolean)
+    filtered = filtered.filter(r => {
+      const haystack = normalizeTitle(`${r.text} ${r.author}`)
+      return terms.every(term => haystack.includes(term))
+    })
+  }
+
+  const size = Math.min(Math.max(parseInt(pageSize) || 20, 1), 100)
+  const pages = Math.max(Math.ceil(filtered.length / size), 1)
+  const current = Math.min(Math.max(parseInt(page) || 1, 1), pages)
+
+  return {
+    reviews: filtered.slice((current - 1) * size, current * size),
+    total: filtered.length,
+    page: current,
+    pageSize: size,
+    pages,
+    ratings
+  }
+}
@@ -0,0 +1,168 @@
+// ============================================
+// OPORTUNIDAD - Puntaje de oportunidad por producto
+// ============================================
+//
+// Cada factor vale entre 0 y 1 (1 es mejor oportunidad) y el puntaje es su
+// promedio ponderado en escala 0-100. Los factores sin datos (sin reseñas, sin
+// análisis, sin proveedor elegido) no cuentan y los pesos del resto se reparten;
+// coverage indica qué parte del peso total tuvo datos.
+//
+// Pesos por defecto, configurables con SCORE_WEIGHTS ("rating=20,margin=30,...").
+import { normalizeTitle } from './links.js'
+import { detectTopics } from './sentiment.js'
+
+export const SCORE_FACTORS = {
+  rating: { label: 'Calificación', weight: 20 },
+  volume: { label: 'Volumen de reseñas', weight: 15 },
+  negative: { label: 'Reseñas negativas', weight: 15 },
+  solvability: { label: 'Dolores resolubles', weight: 20 },
+  margin: { label: 'Margen Dropi', weight: 20 },
+  competition: { label: 'Competencia', weight: 10 }
+}
+
+// Reseñas con las que el volumen se considera completo (escala logarítmica)
+const VOLUME_TARGET = 200
+// Margen sobre el precio de venta que ya es excelente
+const MARGIN_TARGET = 0.5
+// Títulos con esta proporción de palabras en común se consideran el mismo producto
+const SIMILAR_TITLE = 0.5
+
+// Temas que la tienda puede resolver eligiendo proveedor, despacho o ficha;
+// los demás (calidad, durabilidad, funcionamiento, batería) son del producto en sí
+const SOLVABLE_TOPICS = ['shipping', 'packaging', 'description', 'size', 'service', 'price']
+const SEVERITY_WEIGHT = { high: 3, medium: 2, low: 1 }
+
+const clamp = (value) => Math.max(0, Math.min(1, value))
+const percent = (value) => `${Math.round(value * 100)}%`
+
+// "rating=20, margin=30" -> pesos completos; las claves desconocidas se ignoran
+export function parseWeights(text) {
+  const weights = Object.fromEntries(Object.entries(SCORE_FACTORS).map(([id, f]) => [id, f.weight]))
+  for (const pair of String(text || '').split(',')) {
+    const [key, value] = pair.split('=').map(s => s.trim())
+    if (!key) continue
+    const weight = Number(value)
+    if (!Object.hasOwn(weights, key) || !Number.isFinite(weight) || weight < 0) {
+      console.warn(`Scoring: ignoring weight "${pair.trim()}"`)
+      continue
+    }
+    weights[key] = weight
+  }
+  return weights
+}
+
+// ============================================
+// FACTORES
+// ============================================
+
+function ratingFactor(product, sentiment) {
+  const rating = sentiment?.averageRating ?? parseFloat(String(product.rating || '').replace(',', '.'))
+  if (!Number.isFinite(rating) || rating <= 0) return null
+  return { value: clamp((rating - 1) / 4), detail: `${rating} ★` }
+}
+
+function volumeFactor(sentiment) {
+  if (!sentiment?.reviewCount) return null
+  const value = Math.log10(sentiment.reviewCount + 1) / Math.log10(VOLUME_TARGET + 1)
+  return { value: clamp(value), detail: `${sentiment.reviewCount} reseñas` }
+}
+
+function negativeFactor(sentiment) {
+  if (!sentiment?.reviewCount) return null
+  const share = sentiment.sentiment.negative / sentiment.reviewCount
+  return { value: clamp(1 - share), detail: `${percent(share)} negativas` }
+}
+
+// Qué parte de los puntos de dolor (ponderados por gravedad) se puede resolver
+function solvabilityFactor(analysis) {
+  const painPoints = analysis?.painPoints || []
+  if (painPoints.length === 0) return null
+
+  let total = 0
+  let solvable = 0
+  for (const point of painPoints) {
+    const weight = SEVERITY_WEIGHT[point.severity] || SEVERITY_WEIGHT.medium
+    const topics = detectTopics(point.text)
+    const share = topics.length ? topics.filter(t => SOLVABLE_TOPICS.includes(t)).length / topics.length : 0.5
+    total += weight
+    solvable += weight * share
+  }
+
+  const value = solvable / total
+  return { value, detail: `${percent(value)} resoluble` }
+}
+
+function marginFactor(analysis) {
+  const supplier = analysis?.supplier
+  const cost = Number(supplier?.cost)
+  const price = Number(supplier?.price)
+  if (!cost || !price) return null
+
+  const margin = (price - cost) / price
+  return { value: clamp(margin / MARGIN_TARGET), detail: `${percent(margin)} de margen` }
+}
+
+const titleWords = (title) => new Set(normalizeTitle(title).split(' ').filter(word => word.length > 2))
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0
+  const common = [...a].filter(word => b.has(word)).length
+  return common / (a.size + b.size - common)
+}
+
+// Publicaciones seguidas (de cualquier marketplace) con un título parecido
+function competitionFactor(product, products) {
+  const words = titleWords(product.title)
+  if (words.size === 0) return null
+
+  const similar = products.filter(p => p.id !== product.id && similarity(words, titleWords(p.title)) >= SIMILAR_TITLE)
+  const marketplaces = new Set(similar.map(p => p.marketplace).filter(Boolean))
+  return {
+    value: 1 / (1 + similar.length),
+    detail: similar.length
+      ? `${similar.length} publicación(es) parecida(s) en ${marketplaces.size} marketplace(s)`
+      : 'Sin publicaciones parecidas'
+  }
+}
+
+// ============================================
+// PUNTAJE
+// ============================================
+
+// product: con marketplace; sentiment: analyzeReviews() de sus reseñas (o null);
+// analysis: su último análisis estructurado (o null); products: todos, para la competencia.
+// Devuelve { score (0-100 o null), coverage, factors: [{ id, label, weight, value, detail, points }] }
+export function scoreOpportunity({ product, sentiment, analysis, products = [] }, weights = parseWeights()) {
+  const values = {
+    rating: ratingFactor(product, sentiment),
+    volume: volumeFactor(sentiment),
+    negative: negativeFactor(sentiment),
+    solvability: solvabilityFactor(analysis),
+    margin: marginFactor(analysis),
+    competition: competitionFactor(product, products)
+  }
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0)
+  const usedWeight = Object.entries(values)
+    .filter(([id, factor]) => factor && weights[id] > 0)
+    .reduce((sum, [id]) => sum + weights[id], 0)
+
+  // points: lo que aporta cada factor al puntaje final (suman el puntaje)
+  const factors = Object.entries(SCORE_FACTORS).map(([id, { label }]) => {
+    const factor = values[id]
+    return {
+      id,
+      label,
+      weight: weights[id],
+      value: factor ? Math.round(factor.value * 100) / 100 : null,
+      detail: factor?.detail || 'Sin datos',
+      points: factor && usedWeight ? Math.round((factor.value * weights[id] / usedWeight) * 1000) / 10 : 0
+    }
+  })
+
+  return {
+    score: usedWeight ? Math.round(factors.reduce((sum, f) => sum + f.points, 0)) : null,
+    coverage: totalWeight ? Math.round((usedWeight / totalWeight) * 100) / 100 : 0,
+    factors
+  }
+}
@@ -0,0 +1,181 @@
+// ============================================
+// SENTIMIENTO - Análisis local de reseñas (sin IA externa)
+// ============================================
+//
+// Léxico simple en español e inglés: cada frase suma +1/-1 por palabra con
+// carga, "muy"/"very" la amplifica y una negación cercana la invierte. Los temas
+// se detectan por raíces de palabras y heredan el sentimiento de su frase, así
+// "bueno pero el envío tardó mucho" queda como reseña neutra con una queja de envío.
+import { normalizeTitle } from './links.js'
+import { ratingDistribution } from './reviews.js'
+
+const POSITIVE = [
+  // es
+  'bueno', 'buena', 'buenos', 'buenas', 'excelente', 'excelentes', 'perfecto', 'perfecta', 'genial', 'recomiendo',
+  'recomendado', 'recomendable', 'encanto', 'encanta', 'feliz', 'contento', 'contenta', 'satisfecho', 'satisfecha',
+  'rapido', 'rapida', 'bonito', 'bonita', 'lindo', 'linda', 'hermoso', 'hermosa', 'funciona', 'cumple', 'util',
+  'economico', 'comodo', 'comoda', 'resistente', 'duradero', 'mejor', 'increible',
+  'fantastico', 'impecable', 'facil', 'practico', 'practica', 'gracias', 'conforme', 'original',
+  // en
+  'good', 'great', 'excellent', 'perfect', 'love', 'loved', 'loves', 'amazing', 'awesome', 'recommend', 'recommended',
+  'happy', 'satisfied', 'fast', 'quick', 'nice', 'beautiful', 'works', 'worth', 'comfortable', 'sturdy',
+  'durable', 'best', 'better', 'easy', 'useful', 'fantastic', 'wonderful', 'solid', 'thanks'
+]
+
+const NEGATIVE = [
+  // es
+  'malo', 'mala', 'malos', 'malas', 'pesimo', 'pesima', 'horrible', 'terrible', 'defectuoso', 'defectuosa', 'roto',
+  'rota', 'rotos', 'quebrado', 'quebrada', 'fallo', 'falla', 'fallas', 'devolucion', 'devolver', 'reclamo', 'estafa',
+  'enganoso', 'decepcion', 'decepcionado', 'decepcionada', 'lento', 'lenta', 'tardo', 'tarda', 'demora', 'demoro',
+  'atrasado', 'caro', 'cara', 'fragil', 'endeble', 'feo', 'fea', 'incomodo', 'incomoda', 'peor', 'basura', 'dano',
+  'danado', 'danada', 'mentira', 'diferente', 'pequeno', 'pequena', 'desarmo', 'despego',
+  'inutil', 'problema', 'problemas', 'lamentable', 'perdida', 'olor', 'queja',
+  // en
+  'bad', 'poor', 'worst', 'worse', 'awful', 'terrible', 'horrible', 'broken', 'broke', 'defective', 'return',
+  'returned', 'refund', 'scam', 'disappointed', 'disappointing', 'slow', 'late', 'delayed', 'expensive', 'flimsy',
+  'cheaply', 'ugly', 'uncomfortable', 'waste', 'useless', 'fake', 'damaged', 'stopped', 'problem', 'issue', 'issues',
+  'small', 'smell', 'missing'
+]
+
+const NEGATORS = ['no', 'ni', 'sin', 'tampoco', 'jamas', 'not', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'cant', 'never', 'nor']
+const INTENSIFIERS = ['muy', 'super', 'bastante', 'demasiado', 'totalmente', 'realmente', 'very', 'really', 'extremely', 'totally', 'so', 'too']
+
+// Temas recurrentes: la clave aparece en la API, label en la UI; stems son prefijos de palabra
+export const TOPICS = {
+  shipping: { label: 'Envío', stems: ['envio', 'envia', 'lleg', 'entrega', 'despacho', 'demor', 'tard', 'correo', 'shipping', 'shipped', 'delivery', 'deliver', 'arriv', 'courier'] },
+  quality: { label: 'Calidad', stems: ['calidad', 'material', 'plastico', 'terminacion', 'acabado', 'fragil', 'endeble', 'resistente', 'quality', 'flimsy', 'sturdy', 'cheaply'] },
+  price: { label: 'Precio', stems: ['precio', 'caro', 'barato', 'economic', 'vale la pena', 'price', 'expensive', 'cheap', 'worth', 'money'] },
+  size: { label: 'Tamaño', stems: ['tamano', 'talla', 'medida', 'pequen', 'chico', 'grande', 'size', 'small', 'big', 'fit'] },
+  durability: { label: 'Durabilidad', stems: ['duradero', 'durabilidad', 'duro poco', 'dura poco', 'rompi', 'roto', 'rota', 'quebr', 'desarm', 'despeg', 'broke', 'lasted', 'stopped'] },
+  functionality: { label: 'Funcionamiento', stems: ['funcion', 'sirve', 'falla', 'fallo', 'defectu', 'work', 'defective', 'useless', 'inutil'] },
+  packaging: { label: 'Empaque', stems: ['empaque', 'embalaje', 'caja', 'envoltorio', 'packag', 'box'] },
+  description: { label: 'Fidelidad a la descripción', stems: ['descripcion', 'foto', 'imagen', 'diferente', 'distinto', 'publicacion', 'description', 'picture', 'photo', 'described', 'different'] },
+  service: { label: 'Atención', stems: ['vendedor', 'atencion', 'respuesta', 'reclamo', 'devolu', 'garantia', 'seller', 'service', 'support', 'refund', 'return', 'warranty'] },
+  battery: { label: 'Batería', stems: ['bateria', 'carga', 'pila', 'battery', 'charg'] }
+}
+
+const POSITIVE_SET = new Set(POSITIVE)
+const NEGATIVE_SET = new Set(NEGATIVE)
+const NEGATOR_SET = new Set(NEGATORS)
+const INTENSIFIER_SET = new Set(INTENSIFIERS)
+
+const tokenize = (text) => normalizeTitle(String(text).replace(/['’]/g, '')).split(' ').filter(Boolean)
+
+// Frases: por puntuación y por "pero"/"but", que suelen cambiar de opinión
+function splitClauses(text) {
+  return String(text)
+    .split(/[.!?;\n]+|,|\bpero\b|\bbut\b|\bsin embargo\b|\bhowever\b/i)
+    .map(c => c.trim())
+    .filter(Boolean)
+}
+
+// Puntaje de una frase entre -1 y 1
+function scoreTokens(tokens) {
+  let score = 0
+  let hits = 0
+
+  tokens.forEach((token, i) => {
+    let polarity = POSITIVE_SET.has(token) ? 1 : NEGATIVE_SET.has(token) ? -1 : 0
+    if (!polarity) return
+
+    const window = tokens.slice(Math.max(0, i - 3), i)
+    if (window.some(t => NEGATOR_SET.has(t))) polarity = -polarity
+    if (INTENSIFIER_SET.has(tokens[i - 1])) polarity *= 1.5
+
+    score += polarity
+    hits++
+  })
+
+  if (hits === 0) return 0
+  return Math.max(-1, Math.min(1, score / Math.sqrt(hits * 2)))
+}
+
+const labelOf = (score) => (score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral')
+
+const topicsOf = (tokens) => {
+  const joined = ` ${tokens.join(' ')}`
+  return Object.keys(TOPICS).filter(topic =>
+    TOPICS[topic].stems.some(stem => joined.includes(` ${stem}`))
+  )
+}
+
+// Temas mencionados en un texto libre (claves de TOPICS)
+export const detectTopics = (text) => topicsOf(tokenize(text))
+
+// Sentimiento de una reseña y de cada tema mencionado en ella
+export function analyzeReview(review) {
+  const clauses = splitClauses(review.text).map(clause => {
+    const tokens = tokenize(clause)
+    const score = scoreTokens(tokens)
+    return { text: clause, score, topics: topicsOf(tokens) }
+  })
+
+  const scored = clauses.filter(c => c.score !== 0)
+  let score = scored.length ? scored.reduce((sum, c) => sum + c.score, 0) / scored.length : 0
+
+  // Sin palabras con carga, la calificación decide (4-5 positiva, 1-2 negativa)
+  if (scored.length === 0 && review.rating !== null && review.rating !== undefined) {
+    score = review.rating >= 4 ? 0.5 : review.rating <= 2 ? -0.5 : 0
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    label: labelOf(score),
+    topics: clauses.flatMap(c => c.topics.map(topic => ({
+      topic,
+      label: labelOf(c.score || score),
+      text: c.text
+    })))
+  }
+}
+
+// Resumen de todas las reseñas de un producto
+export function analyzeReviews(reviews, { examples = 2 } = {}) {
+  const sentiment = { positive: 0, neutral: 0, negative: 0, score: 0 }
+  const languages = {}
+  const topics = {}
+
+  for (const review of reviews) {
+    const result = analyzeReview(review)
+    sentiment[result.label]++
+    sentiment.score += result.score
+    if (review.language) languages[review.language] = (languages[review.language] || 0) + 1
+
+    // Un tema cuenta una vez por reseña y polaridad
+    const counted = new Set()
+    for (const mention of result.topics) {
+      const key = `${mention.topic}:${mention.label}`
+      if (counted.has(key)) continue
+      counted.add(key)
+
+      topics[mention.topic] ||= { positive: [], negative: [], neutral: [] }
+      topics[mention.topic][mention.label].push(mention.text)
+    }
+  }
+
+  const ranked = (label) => Object.entries(topics)
+    .filter(([, mentions]) => mentions[label].length > 0)
+    .map(([topic, mentions]) => ({
+      topic,
+      label: TOPICS[topic].label,
+      mentions: mentions[label].length,
+      share: Math.round((mentions[label].length / reviews.length) * 100),
+      examples: mentions[label].slice(0, examples)
+    }))
+    .sort((a, b) => b.mentions - a.mentions)
+
+  const rated = reviews.filter(r => r.rating !== null && r.rating !== undefined)
+
+  return {
+    reviewCount: reviews.length,
+    averageRating: rated.length ? Math.round((rated.reduce((sum, r) => sum + r.rating, 0) / rated.length) * 10) / 10 : null,
+    ratings: ratingDistribution(reviews),
+    sentiment: {
+      ...sentiment,
+      score: reviews.length ? Math.round((sentiment.score / reviews.length) * 100) / 100 : 0
+    },
+    languages,
+    complaints: ranked('negative'),
+    praises: ranked('positive')
+  }
+}
@@ -0,0 +1,42 @@
+// ============================================
+// STORAGE - Selección del adaptador de persistencia
+// ============================================
+//
+// Todos los adaptadores exponen la misma interfaz (métodos async):
+//
+//   IDs:         assignMissingIds() (filas agregadas fuera del backend, p. ej. por n8n;
+//                los listados omiten las filas sin ID hasta entonces)
+//   Productos:   listProducts(), addProducts(urls), deleteProduct(id),
+//                updateProductDetails(id, { title?, price?, currency?, image? })
+//   Reseñas:     listReviews(productId), saveReviews(productId, reviews)
+//                (reseña: { id, productId, rating, date, author, text, language, source })
+//   Marketing:   listMarketingResults(), countMarketingResults(),
+//                addMarketingResult(result), updateMarketingStatus(id, status),
+//                linkMarketingResult(id, productId), updateMarketingEdits(id, edits),
+//                addMarketingEdit(edit), listMarketingEdits(analysisId),
+//                setMarketingInstruction(id, instruction), setMarketingAds(id, ads),
+//                setMarketingPrompts(id, prompts), setMarketingSupplier(id, supplier),
+//                setMarketingMatch(id, match),
+//                setMarketingPublished(id, { published, wooProductId })
+//   Scraping:    listJobs(), saveJob(job), listRuns(), saveRun(run)
+//   Prompts:     listPromptVersions(), addPromptVersion(template) -> versión guardada
+//   Publicación: addPublishRecord(record), listPublishRecords(),
+//                listPublishTasks(), savePublishTask(task)
+//
+// STORAGE_DRIVER=sheets usa Google Sheets y cae a SQLite si no hay conexión.
+// STORAGE_DRIVER=sqlite funciona completamente offline.
+import { createSheetsStorage } from './sheets.js'
+import { createSqliteStorage } from './sqlite.js'
+
+export async function initStorage(config) {
+  if (config.driver === 'sheets') {
+    const sheets = await createSheetsStorage({ spreadsheetId: config.sheetsId })
+    if (sheets) return sheets
+
+    console.log('Storage: Google Sheets unavailable, falling back to SQLite')
+  } else if (config.driver !== 'sqlite') {
+    console.log(`Storage: Unknown driver "${config.driver}", using SQLite`)
+  }
+
+  return createSqliteStorage({ file: config.sqliteFile })
+}
@@ -0,0 +1,744 @@
+// ============================================
+// STORAGE - Adaptador Google Sheets
+// ============================================
+import { google } from 'googleapis'
+import crypto from 'crypto'
+import { parseLegacyReviews } from '../reviews.js'
+
+const PRODUCTS_SHEET = 'Raw_Resenas'
+const MARKETING_SHEET = 'Marketing_Analisis'
+const PRODUCTS_ID_COLUMN = 'H'
+// I = precio en el marketplace, J = moneda, K = imagen
+const PRODUCTS_LAST_COLUMN = 'K'
+const MARKETING_ID_COLUMN = 'I'
+const MARKETING_PRODUCT_COLUMN = 'J'
+// K = edición (JSON), L = editado_por, M = editado_en, N = instrucción del re-análisis,
+// O = anuncios por plataforma (JSON), P = versiones de prompts que lo generaron (JSON),
+// Q = proveedor de Dropi elegido (JSON), R = coincidencia con el catálogo de Dropi (JSON)
+const MARKETING_INSTRUCTION_COLUMN = 'N'
+const MARKETING_ADS_COLUMN = 'O'
+const MARKETING_PROMPTS_COLUMN = 'P'
+const MARKETING_SUPPLIER_COLUMN = 'Q'
+const MARKETING_MATCH_COLUMN = 'R'
+const MARKETING_LAST_COLUMN = 'R'
+const PUBLISH_SHEET = 'Publicaciones'
+const JOBS_SHEET = 'Scraping_Jobs'
+const JOBS_HEADERS = ['id', 'run_id', 'product_id', 'url', 'status', 'attempts', 'max_attempts', 'error', 'task_id', 'created_at', 'started_at', 'updated_at', 'finished_at', 'completion', 'instruction', 'analysis_id']
+const RUNS_SHEET = 'Scraping_Runs'
+const RUNS_HEADERS = ['id', 'started_by', 'product_ids', 'status', 'completion', 'total', 'done', 'failed', 'cancelled', 'result_count_at_start', 'started_at', 'finished_at', 'duration_ms', 'prompts']
+const REVIEWS_SHEET = 'Resenas'
+const REVIEWS_HEADERS = ['id', 'product_id', 'rating', 'date', 'author', 'text', 'language', 'source']
+const EDITS_SHEET = 'Marketing_Ediciones'
+const EDITS_HEADERS = ['id', 'analysis_id', 'field', 'previous', 'value', 'user', 'created_at']
+const PROMPTS_SHEET = 'Prompts'
+const PROMPTS_HEADERS = ['id', 'name', 'version', 'system', 'user', 'note', 'created_by', 'created_at']
+const QUEUE_SHEET = 'Cola_Publicacion'
+const QUEUE_HEADERS = ['id', 'key', 'kind', 'reference', 'name', 'payload', 'status', 'attempts', 'max_attempts', 'next_attempt_at', 'errors', 'result', 'requested_by', 'created_at', 'updated_at', 'finished_at']
+const PUBLISH_HEADERS = ['Fecha', 'Origen', 'Referencia', 'ID Externo', 'Nombre', 'Precio', 'Estado', 'Error', 'Usuario']
+
+// Construir credenciales desde variables de entorno individuales
+function buildCredentialsFromEnv() {
+  const requiredVars = [
+    'GOOGLE_TYPE',
+    'GOOGLE_PROJECT_ID',
+    'GOOGLE_PRIVATE_KEY_ID',
+    'GOOGLE_PRIVATE_KEY',
+    'GOOGLE_CLIENT_EMAIL',
+    'GOOGLE_CLIENT_ID'
+  ]
+
+  // Verificar que al menos las variables requeridas estén presentes
+  const hasRequiredVars = requiredVars.every(varName => process.env[varName])
+
+  if (!hasRequiredVars) {
+    return null
+  }
+
+  // La private_key viene con \n escapados, hay que convertirlos a saltos de línea reales
+  let privateKey = process.env.GOOGLE_PRIVATE_KEY
+  if (privateKey) {
+    // Reemplazar \n literales por saltos de línea reales
+    privateKey = privateKey.replace(/\\n/g, '\n')
+  }
+
+  return {
+    type: process.env.GOOGLE_TYPE || 'service_account',
+    project_id: process.env.GOOGLE_PROJECT_ID,
+    private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
+    private_key: privateKey,
+    client_email: process.env.GOOGLE_CLIENT_EMAIL,
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    auth_uri: process.env.GOOGLE_AUTH_URI || 'https://accounts.google.com/o/oauth2/auth',
+    token_uri: process.env.GOOGLE_TOKEN_URI || 'https://oauth2.googleapis.com/token',
+    auth_provider_x509_cert_url: process.env.GOOGLE_AUTH_PROVIDER_CERT_URL || 'https://www.googleapis.com/oauth2/v1/certs',
+    client_x509_cert_url: process.env.GOOGLE_CLIENT_CERT_URL,
+    universe_domain: process.env.GOOGLE_UNIVERSE_DOMAIN || 'googleapis.com'
+  }
+}
+
+async function connect(spreadsheetId) {
+  try {
+    let auth;
+    let credentials = null;
+
+    // Opción 1: Variables de entorno individuales (RECOMENDADO para repos públicos)
+    credentials = buildCredentialsFromEnv()
+    if (credentials) {
+      console.log('Google Sheets: Using credentials from individual ENV variables')
+      console.log('  Project ID:', credentials.project_id)
+      console.log('  Client Email:', credentials.client_email)
+
+      auth = new google.auth.GoogleAuth({
+        credentials: credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      })
+    }
+    // Opción 2: Archivo de credenciales (GOOGLE_APPLICATION_CREDENTIALS)
+    else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      console.log('Google Sheets: Using credentials file:', process.env.GOOGLE_APPLICATION_CREDENTIALS)
+      auth = new google.auth.GoogleAuth({
+        keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      })
+    }
+    // Opción 3: JSON completo en variable de entorno (GOOGLE_SERVICE_ACCOUNT_KEY)
+    else if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+      console.log('Google Sheets: Using credentials from GOOGLE_SERVICE_ACCOUNT_KEY env var')
+
+      try {
+        // Intentar parsear directamente
+        credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY)
+      } catch (parseError) {
+        // Si falla, intentar decodificar de base64
+        try {
+          const decoded = Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT_KEY, 'base64').toString('utf8')
+          credentials = JSON.parse(decoded)
+          console.log('Google Sheets: Credentials decoded from base64')
+        } catch (base64Error) {
+          throw new Error('Could not parse GOOGLE_SERVICE_ACCOUNT_KEY as JSON or base64')
+        }
+      }
+
+      auth = new google.auth.GoogleAuth({
+        credentials: credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      })
+    }
+    else {
+      console.log('Google Sheets: No credentials provided')
+      console.log('  Option 1: Set individual GOOGLE_* env variables (recommended)')
+      console.log('  Option 2: Set GOOGLE_APPLICATION_CREDENTIALS file path')
+      console.log('  Option 3: Set GOOGLE_SERVICE_ACCOUNT_KEY as JSON/base64')
+      return null
+    }
+
+    const client = google.sheets({ version: 'v4', auth })
+
+    // Test connection
+    await client.spreadsheets.get({ spreadsheetId })
+
+    console.log('Google Sheets: Connected successfully ✓')
+    return client
+  } catch (error) {
+    console.error('Google Sheets: Connection failed -', error.message)
+    return null
+  }
+}
+
+// Devuelve null si no hay credenciales o la planilla no responde
+export async function createSheetsStorage({ spreadsheetId }) {
+  const client = await connect(spreadsheetId)
+  if (!client) return null
+
+  const getRows = async (range) => {
+    const response = await client.spreadsheets.values.get({ spreadsheetId, range })
+    return response.data.values || []
+  }
+
+  // Todo se escribe en RAW: los valores llegan de usuarios, marketplaces y modelos,
+  // y un texto que empiece con "=" no debe tomarse como fórmula. La planilla no usa fórmulas.
+  const updateCell = (range, value) => client.spreadsheets.values.update({
+    spreadsheetId,
+    range,
+    valueInputOption: 'RAW',
+    requestBody: { values: [[value]] }
+  })
+
+  const appendRows = (range, values) => client.spreadsheets.values.append({
+    spreadsheetId,
+    range,
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values }
+  })
+
+  // Crear la pestaña con sus encabezados si todavía no existe
+  const ensureSheet = async (title, headers) => {
+    const spreadsheet = await client.spreadsheets.get({ spreadsheetId })
+    const exists = spreadsheet.data.sheets.some(s => s.properties.title === title)
+    if (exists) return
+
+    await client.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title } } }] }
+    })
+    await appendRows(`${title}!A1`, [headers])
+    console.log(`Google Sheets: Created sheet ${title}`)
+  }
+
+  const columnIndex = (letter) => letter.charCodeAt(0) - 'A'.charCodeAt(0)
+
+  // Asigna un UUID a cada fila con datos que todavía no tenga ID
+  const backfillIds = async (sheet, idColumn, rows) => {
+    const idIndex = columnIndex(idColumn)
+    const data = []
+
+    if (rows.length > 0 && rows[0][idIndex] !== 'id') {
+      data.push({ range: `${sheet}!${idColumn}1`, values: [['id']] })
+    }
+
+    rows.forEach((row, i) => {
+      if (i === 0 || row[idIndex] || !row.some(Boolean)) return
+      row[idIndex] = crypto.randomUUID()
+      data.push({ range: `${sheet}!${idColumn}${i + 1}`, values: [[row[idIndex]]] })
+    })
+
+    if (data.length > 0) {
+      await client.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: { valueInputOption: 'RAW', data }
+      })
+      console.log(`Google Sheets: Backfilled IDs in ${sheet} (${data.length} cells)`)
+    }
+
+    return rows
+  }
+
+  const ensureHeader = async (sheet, column, name) => {
+    const rows = await getRows(`${sheet}!${column}1`)
+    if (rows[0]?.[0] === name) return
+    await updateCell(`${sheet}!${column}1`, name)
+  }
+
+  // Número de fila (1-based) del registro con ese ID, o null si no existe
+  const findRowNumber = async (sheet, idColumn, id) => {
+    const rows = await getRows(`${sheet}!${idColumn}:${idColumn}`)
+    const index = rows.findIndex((row, i) => i > 0 && row[0] === id)
+    return index === -1 ? null : index + 1
+  }
+
+  for (const [title, headers] of [[PUBLISH_SHEET, PUBLISH_HEADERS], [JOBS_SHEET, JOBS_HEADERS], [RUNS_SHEET, RUNS_HEADERS], [REVIEWS_SHEET, REVIEWS_HEADERS], [EDITS_SHEET, EDITS_HEADERS], [PROMPTS_SHEET, PROMPTS_HEADERS], [QUEUE_SHEET, QUEUE_HEADERS]]) {
+    try {
+      await ensureSheet(title, headers)
+    } catch (error) {
+      console.error(`Google Sheets: Could not prepare ${title} -`, error.message)
+    }
+  }
+
+  // Cubre la migración inicial y las filas que n8n agrega sin ID. Las lecturas no escriben
+  // y las asignaciones van de a una: dos pedidos simultáneos no pueden darle IDs distintos
+  // a la misma fila.
+  let assigning = Promise.resolve()
+  const assignMissingIds = () => {
+    const assign = assigning.then(async () => {
+      await backfillIds(PRODUCTS_SHEET, PRODUCTS_ID_COLUMN, await getRows(`${PRODUCTS_SHEET}!A:${PRODUCTS_ID_COLUMN}`))
+      await backfillIds(MARKETING_SHEET, MARKETING_ID_COLUMN, await getRows(`${MARKETING_SHEET}!A:${MARKETING_ID_COLUMN}`))
+    })
+    assigning = assign.catch(() => {})
+    return assign
+  }
+
+  try {
+    await assignMissingIds()
+  } catch (error) {
+    console.error('Google Sheets: ID migration failed -', error.message)
+  }
+
+  try {
+    await ensureHeader(MARKETING_SHEET, MARKETING_PRODUCT_COLUMN, 'product_id')
+    await ensureHeader(MARKETING_SHEET, 'K', 'edicion')
+    await ensureHeader(MARKETING_SHEET, 'L', 'editado_por')
+    await ensureHeader(MARKETING_SHEET, 'M', 'editado_en')
+    await ensureHeader(MARKETING_SHEET, MARKETING_INSTRUCTION_COLUMN, 'instruccion')
+    await ensureHeader(MARKETING_SHEET, MARKETING_ADS_COLUMN, 'anuncios')
+    await ensureHeader(MARKETING_SHEET, MARKETING_PROMPTS_COLUMN, 'prompts')
+    await ensureHeader(MARKETING_SHEET, MARKETING_SUPPLIER_COLUMN, 'proveedor')
+    await ensureHeader(MARKETING_SHEET, MARKETING_MATCH_COLUMN, 'coincidencia')
+  } catch (error) {
+    console.error('Google Sheets: Could not prepare Marketing_Analisis columns -', error.message)
+  }
+
+  try {
+    await ensureHeader(JOBS_SHEET, 'N', 'completion')
+    await ensureHeader(JOBS_SHEET, 'O', 'instruction')
+    await ensureHeader(JOBS_SHEET, 'P', 'analysis_id')
+  } catch (error) {
+    console.error('Google Sheets: Could not prepare Scraping_Jobs columns -', error.message)
+  }
+
+  try {
+    await ensureHeader(RUNS_SHEET, 'N', 'prompts')
+  } catch (error) {
+    console.error('Google Sheets: Could not prepare Scraping_Runs columns -', error.message)
+  }
+
+  // Inserta o reemplaza la fila con ese ID (columna A)
+  const upsertRow = async (sheet, lastColumn, values) => {
+    const row = await findRowNumber(sheet, 'A', values[0])
+
+    if (!row) {
+      await appendRows(`${sheet}!A:${lastColumn}`, [values])
+      return
+    }
+
+    await client.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${sheet}!A${row}:${lastColumn}${row}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [values] }
+    })
+  }
+
+  // Borra filas (índices 0-based) de abajo hacia arriba para no desplazar las pendientes
+  const deleteRows = async (title, indexes) => {
+    if (indexes.length === 0) return
+
+    const spreadsheet = await client.spreadsheets.get({ spreadsheetId })
+    const { sheetId } = spreadsheet.data.sheets.find(s => s.properties.title === title).properties
+    const requests = [...indexes].sort((a, b) => b - a).map(index => ({
+      deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 } }
+    }))
+    await client.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } })
+  }
+
+  const toProduct = (row) => ({
+    id: row[columnIndex(PRODUCTS_ID_COLUMN)] || '',
+    url: row[0] || '',
+    title: row[1] || '',
+    rating: row[2] || '',
+    date: row[3] || '',
+    status: row[6] || 'pending',
+    price: row[8] === undefined || row[8] === '' ? null : Number(row[8]),
+    currency: row[9] || '',
+    image: row[10] || ''
+  })
+
+  const toReview = (row) => ({
+    id: row[0] || '',
+    productId: row[1] || '',
+    rating: row[2] === undefined || row[2] === '' ? null : Number(row[2]),
+    date: row[3] || '',
+    author: row[4] || '',
+    text: row[5] || '',
+    language: row[6] || '',
+    source: row[7] || ''
+  })
+
+  const toMarketingResult = (row) => ({
+    id: row[columnIndex(MARKETING_ID_COLUMN)] || '',
+    Producto: row[0] || '',
+    'Puntos de Dolor': row[1] || '',
+    'Insights': row[2] || '',
+    'Gancho (Hook)': row[3] || '',
+    Fecha: row[4] || '',
+    estado_aprobacion: row[5] || 'pendiente',
+    publicado: row[6] || 'no',
+    woo_product_id: row[7] || '',
+    productId: row[columnIndex(MARKETING_PRODUCT_COLUMN)] || '',
+    edited: row[10] || '',
+    editedBy: row[11] || '',
+    editedAt: row[12] || '',
+    instruction: row[13] || '',
+    ads: row[14] || '',
+    prompts: row[15] || '',
+    supplier: row[16] || '',
+    supplierMatch: row[17] || ''
+  })
+
+  return {
+    name: 'sheets',
+
+    assignMissingIds,
+
+    // Las filas que todavía no tienen ID se listan después de assignMissingIds()
+    async listProducts() {
+      const rows = await getRows(`${PRODUCTS_SHEET}!A:${PRODUCTS_LAST_COLUMN}`)
+      console.log('Rows from sheet:', rows.length)
+
+      return rows.slice(1)
+        .map(toProduct)
+        .filter(p => p.status !== 'deleted' && p.url && p.id)
+    },
+
+    async addProducts(urls) {
+      const date = new Date().toISOString()
+      const products = urls.map(url => ({
+        id: crypto.randomUUID(),
+        url,
+        title: '',
+        rating: '',
+        date,
+        status: 'pending',
+        price: null,
+        currency: '',
+        image: ''
+      }))
+
+      const rows = products.map(p => [p.url, '', '', date, '', '', 'pending', p.id])
+      const response = await appendRows(`${PRODUCTS_SHEET}!A:${PRODUCTS_ID_COLUMN}`, rows)
+      console.log('Sheet append SUCCESS:', response.data.updates)
+
+      return products
+    },
+
+    async deleteProduct(id) {
+      const row = await findRowNumber(PRODUCTS_SHEET, PRODUCTS_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${PRODUCTS_SHEET}!G${row}`, 'deleted')
+      console.log('Marked as deleted in sheet, row:', row)
+      return true
+    },
+
+    // B = título, I = precio, J = moneda, K = imagen; solo cambia los campos indicados
+    async updateProductDetails(id, { title, price, currency, image }) {
+      const row = await findRowNumber(PRODUCTS_SHEET, PRODUCTS_ID_COLUMN, id)
+      if (!row) return false
+
+      const columns = { B: title, I: price, J: currency, K: image }
+      for (const [column, value] of Object.entries(columns)) {
+        if (value !== undefined) await updateCell(`${PRODUCTS_SHEET}!${column}${row}`, value)
+      }
+      return true
+    },
+
+    // Una fila por reseña en Resenas. Los productos con reseñas solo en el
+    // formato antiguo (Raw_Resenas E/F) se migran la primera vez que se leen.
+    async listReviews(productId) {
+      const rows = await getRows(`${REVIEWS_SHEET}!A:H`)
+      const reviews = rows.slice(1).filter(row => row[1] === productId).map(toReview)
+      if (reviews.length > 0) return reviews
+
+      const row = await findRowNumber(PRODUCTS_SHEET, PRODUCTS_ID_COLUMN, productId)
+      if (!row) return []
+
+      const [text = '', json = ''] = (await getRows(`${PRODUCTS_SHEET}!E${row}:F${row}`))[0] || []
+      const legacy = parseLegacyReviews(text, json)
+      if (legacy.length === 0) return []
+
+      const migrated = legacy.map(r => ({ id: crypto.randomUUID(), productId, ...r }))
+      await this.saveReviews(productId, migrated)
+      console.log(`Google Sheets: Migrated ${migrated.length} legacy review(s) of product ${productId}`)
+      return migrated
+    },
+
+    async saveReviews(productId, reviews) {
+      const row = await findRowNumber(PRODUCTS_SHEET, PRODUCTS_ID_COLUMN, productId)
+      if (!row) return false
+
+      const rows = await getRows(`${REVIEWS_SHEET}!B:B`)
+      await deleteRows(REVIEWS_SHEET, rows.map((r, i) => (i > 0 && r[0] === productId ? i : -1)).filter(i => i > 0))
+
+      if (reviews.length > 0) {
+        await client.spreadsheets.values.append({
+          spreadsheetId,
+          range: `${REVIEWS_SHEET}!A:H`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: {
+            values: reviews.map(r => [
+              r.id || crypto.randomUUID(), productId, r.rating ?? '', r.date || '',
+              r.author || '', r.text, r.language || '', r.source || ''
+            ])
+          }
+        })
+      }
+
+      // E/F se mantienen porque los flujos de n8n leen las reseñas desde ahí
+      await client.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${PRODUCTS_SHEET}!E${row}:F${row}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [[reviews.map(r => r.text).join('\n'), JSON.stringify(reviews)]] }
+      })
+      return true
+    },
+
+    async listMarketingResults() {
+      const rows = await getRows(`${MARKETING_SHEET}!A:${MARKETING_LAST_COLUMN}`)
+      return rows.slice(1).filter(row => row.some(Boolean)).map(toMarketingResult).filter(r => r.id)
+    },
+
+    async countMarketingResults() {
+      const rows = await getRows(`${MARKETING_SHEET}!A:A`)
+      return Math.max(rows.length - 1, 0) // -1 por header
+    },
+
+    async addMarketingResult(result) {
+      const id = crypto.randomUUID()
+      await appendRows(`${MARKETING_SHEET}!A:${MARKETING_PRODUCT_COLUMN}`, [[
+        result.Producto || '',
+        result['Puntos de Dolor'] || '',
+        result['Insights'] || '',
+        result['Gancho (Hook)'] || '',
+        result.Fecha || new Date().toISOString(),
+        result.estado_aprobacion || 'pendiente',
+        result.publicado || 'no',
+        result.woo_product_id || '',
+        id,
+        result.productId || ''
+      ]])
+      return id
+    },
+
+    async updateMarketingStatus(id, status) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!F${row}`, status)
+      return true
+    },
+
+    async linkMarketingResult(id, productId) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_PRODUCT_COLUMN}${row}`, productId)
+      return true
+    },
+
+    async updateMarketingEdits(id, { edited, editedBy, editedAt }) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await client.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${MARKETING_SHEET}!K${row}:M${row}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [[JSON.stringify(edited), editedBy, editedAt]] }
+      })
+      return true
+    },
+
+    async addMarketingEdit(edit) {
+      await client.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${EDITS_SHEET}!A:G`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+          values: [[edit.id, edit.analysisId, edit.field, JSON.stringify(edit.previous), JSON.stringify(edit.value), edit.user, edit.createdAt]]
+        }
+      })
+    },
+
+    async listMarketingEdits(analysisId) {
+      const rows = await getRows(`${EDITS_SHEET}!A:G`)
+      return rows.slice(1).filter(row => row[1] === analysisId).map(row => ({
+        id: row[0],
+        analysisId: row[1],
+        field: row[2] || '',
+        previous: JSON.parse(row[3] || 'null'),
+        value: JSON.parse(row[4] || 'null'),
+        user: row[5] || '',
+        createdAt: row[6] || ''
+      }))
+    },
+
+    async setMarketingInstruction(id, instruction) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_INSTRUCTION_COLUMN}${row}`, instruction)
+      return true
+    },
+
+    async setMarketingAds(id, ads) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_ADS_COLUMN}${row}`, JSON.stringify(ads))
+      return true
+    },
+
+    async setMarketingPrompts(id, prompts) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_PROMPTS_COLUMN}${row}`, JSON.stringify(prompts))
+      return true
+    },
+
+    // G = publicado, H = woo_product_id
+    async setMarketingPublished(id, { published, wooProductId }) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await client.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${MARKETING_SHEET}!G${row}:H${row}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [[published, String(wooProductId || '')]] }
+      })
+      return true
+    },
+
+    async setMarketingSupplier(id, supplier) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_SUPPLIER_COLUMN}${row}`, supplier ? JSON.stringify(supplier) : '')
+      return true
+    },
+
+    async setMarketingMatch(id, match) {
+      const row = await findRowNumber(MARKETING_SHEET, MARKETING_ID_COLUMN, id)
+      if (!row) return false
+
+      await updateCell(`${MARKETING_SHEET}!${MARKETING_MATCH_COLUMN}${row}`, match ? JSON.stringify(match) : '')
+      return true
+    },
+
+    async listPromptVersions() {
+      const rows = await getRows(`${PROMPTS_SHEET}!A:H`)
+      return rows.slice(1).filter(row => row[0]).map(row => ({
+        id: row[0],
+        name: row[1] || '',
+        version: parseInt(row[2]) || 0,
+        system: row[3] || '',
+        user: row[4] || '',
+        note: row[5] || '',
+        createdBy: row[6] || '',
+        createdAt: row[7] || ''
+      }))
+    },
+
+    // La planilla no tiene transacciones: el número de versión lo asigna el prompt store,
+    // que guarda de a uno.
+    async addPromptVersion(template) {
+      await appendRows(`${PROMPTS_SHEET}!A:H`, [[
+        template.id, template.name, template.version, template.system, template.user,
+        template.note, template.createdBy, template.createdAt
+      ]])
+      return template.version
+    },
+
+    async listJobs() {
+      const rows = await getRows(`${JOBS_SHEET}!A:P`)
+      return rows.slice(1).filter(row => row[0]).map(row => ({
+        id: row[0],
+        runId: row[1] || '',
+        productId: row[2] || '',
+        url: row[3] || '',
+        status: row[4] || '',
+        attempts: parseInt(row[5]) || 0,
+        maxAttempts: parseInt(row[6]) || 0,
+        error: row[7] || '',
+        taskId: row[8] || '',
+        createdAt: row[9] || '',
+        startedAt: row[10] || '',
+        updatedAt: row[11] || '',
+        finishedAt: row[12] || '',
+        completion: row[13] || '',
+        instruction: row[14] || '',
+        analysisId: row[15] || ''
+      }))
+    },
+
+    async saveJob(job) {
+      await upsertRow(JOBS_SHEET, 'P', [
+        job.id, job.runId, job.productId, job.url, job.status, job.attempts, job.maxAttempts,
+        job.error, job.taskId, job.createdAt, job.startedAt, job.updatedAt, job.finishedAt, job.completion || '',
+        job.instruction || '', job.analysisId || ''
+      ])
+    },
+
+    async listRuns() {
+      const rows = await getRows(`${RUNS_SHEET}!A:N`)
+      return rows.slice(1).filter(row => row[0]).map(row => ({
+        id: row[0],
+        startedBy: row[1] || '',
+        productIds: row[2] ? row[2].split(',') : [],
+        status: row[3] || '',
+        completion: row[4] || '',
+        total: parseInt(row[5]) || 0,
+        done: parseInt(row[6]) || 0,
+        failed: parseInt(row[7]) || 0,
+        cancelled: parseInt(row[8]) || 0,
+        resultCountAtStart: parseInt(row[9]) || 0,
+        startedAt: row[10] || '',
+        finishedAt: row[11] || '',
+        durationMs: row[12] ? parseInt(row[12]) : null,
+        prompts: JSON.parse(row[13] || '{}')
+      }))
+    },
+
+    async saveRun(run) {
+      await upsertRow(RUNS_SHEET, 'N', [
+        run.id, run.startedBy || '', run.productIds.join(','), run.status, run.completion, run.total,
+        run.done, run.failed, run.cancelled, run.resultCountAtStart, run.startedAt, run.finishedAt, run.durationMs ?? '',
+        JSON.stringify(run.prompts || {})
+      ])
+    },
+
+    async listPublishTasks() {
+      const rows = await getRows(`${QUEUE_SHEET}!A:P`)
+      return rows.slice(1).filter(row => row[0]).map(row => ({
+        id: row[0],
+        key: row[1] || '',
+        kind: row[2] || '',
+        reference: row[3] || '',
+        name: row[4] || '',
+        payload: JSON.parse(row[5] || '{}'),
+        status: row[6] || '',
+        attempts: parseInt(row[7]) || 0,
+        maxAttempts: parseInt(row[8]) || 0,
+        nextAttemptAt: row[9] || '',
+        errors: JSON.parse(row[10] || '[]'),
+        result: row[11] ? JSON.parse(row[11]) : null,
+        requestedBy: row[12] || '',
+        createdAt: row[13] || '',
+        updatedAt: row[14] || '',
+        finishedAt: row[15] || ''
+      }))
+    },
+
+    async savePublishTask(task) {
+      await upsertRow(QUEUE_SHEET, 'P', [
+        task.id, task.key, task.kind, task.reference, task.name, JSON.stringify(task.payload || {}),
+        task.status, task.attempts, task.maxAttempts, task.nextAttemptAt, JSON.stringify(task.errors || []),
+        task.result ? JSON.stringify(task.result) : '', task.requestedBy || '', task.createdAt, task.updatedAt, task.finishedAt
+      ])
+    },
+
+    async addPublishRecord(record) {
+      await appendRows(`${PUBLISH_SHEET}!A:I`, [[
+        new Date().toISOString(),
+        record.source,
+        String(record.reference ?? ''),
+        String(record.externalId ?? ''),
+        record.name || '',
+        record.price ?? '',
+        record.status,
+        record.error || '',
+        record.user || ''
+      ]])
+    },
+
+    async listPublishRecords() {
+      const rows = await getRows(`${PUBLISH_SHEET}!A:I`)
+      return rows.slice(1).map((row, index) => ({
+        id: index,
+        createdAt: row[0] || '',
+        source: row[1] || '',
+        reference: row[2] || '',
+        externalId: row[3] || '',
+        name: row[4] || '',
+        price: row[5] || '',
+        status: row[6] || '',
+        error: row[7] || '',
+        user: row[8] || ''
+      }))
+    }
+  }
+}
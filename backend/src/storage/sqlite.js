@@ -0,0 +1,609 @@
+// ============================================
+// STORAGE - Adaptador SQLite local
+// ============================================
+import Database from 'better-sqlite3'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+const INITIAL_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    title TEXT NOT NULL DEFAULT '',
+    rating TEXT NOT NULL DEFAULT '',
+    date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+  );
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    text TEXT NOT NULL,
+    rating REAL,
+    author TEXT,
+    date TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS marketing_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    producto TEXT NOT NULL DEFAULT '',
+    puntos_dolor TEXT NOT NULL DEFAULT '',
+    insights TEXT NOT NULL DEFAULT '',
+    hook TEXT NOT NULL DEFAULT '',
+    fecha TEXT NOT NULL,
+    estado_aprobacion TEXT NOT NULL DEFAULT 'pendiente',
+    publicado TEXT NOT NULL DEFAULT 'no',
+    woo_product_id TEXT NOT NULL DEFAULT ''
+  );
+
+  CREATE TABLE IF NOT EXISTS publish_records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    source TEXT NOT NULL,
+    reference TEXT NOT NULL DEFAULT '',
+    external_id TEXT NOT NULL DEFAULT '',
+    name TEXT NOT NULL DEFAULT '',
+    price REAL,
+    status TEXT NOT NULL,
+    error TEXT NOT NULL DEFAULT '',
+    user TEXT NOT NULL DEFAULT ''
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reviews_product ON reviews(product_id);
+`
+
+// Cada migración se aplica una sola vez, controlada con PRAGMA user_version
+const MIGRATIONS = [
+  (db) => db.exec(INITIAL_SCHEMA),
+
+  // IDs estables (UUID) expuestos en la API; el id entero queda como clave interna
+  (db) => {
+    for (const table of ['products', 'marketing_results']) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN uid TEXT`)
+      const update = db.prepare(`UPDATE ${table} SET uid = ? WHERE id = ?`)
+      for (const { id } of db.prepare(`SELECT id FROM ${table}`).all()) {
+        update.run(crypto.randomUUID(), id)
+      }
+      db.exec(`CREATE UNIQUE INDEX idx_${table}_uid ON ${table}(uid)`)
+    }
+  },
+
+  // Relación análisis -> producto de origen
+  (db) => db.exec('ALTER TABLE marketing_results ADD COLUMN product_uid TEXT'),
+
+  // Cola de scraping: un job por producto
+  (db) => db.exec(`
+    CREATE TABLE scraping_jobs (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      error TEXT NOT NULL DEFAULT '',
+      task_id TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      started_at TEXT NOT NULL DEFAULT '',
+      updated_at TEXT NOT NULL,
+      finished_at TEXT NOT NULL DEFAULT ''
+    );
+    CREATE INDEX idx_scraping_jobs_run ON scraping_jobs(run_id);
+  `),
+
+  // Historial de ejecuciones y cómo terminó cada job
+  (db) => db.exec(`
+    ALTER TABLE scraping_jobs ADD COLUMN completion TEXT NOT NULL DEFAULT '';
+    CREATE TABLE scraping_runs (
+      id TEXT PRIMARY KEY,
+      started_by TEXT NOT NULL DEFAULT '',
+      product_ids TEXT NOT NULL DEFAULT '[]',
+      status TEXT NOT NULL,
+      completion TEXT NOT NULL DEFAULT '',
+      total INTEGER NOT NULL DEFAULT 0,
+      done INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      cancelled INTEGER NOT NULL DEFAULT 0,
+      result_count_at_start INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT NOT NULL,
+      finished_at TEXT NOT NULL DEFAULT '',
+      duration_ms INTEGER
+    );
+  `),
+
+  // Reseñas estructuradas: ID estable, idioma y marketplace de origen
+  (db) => {
+    db.exec(`
+      ALTER TABLE reviews ADD COLUMN uid TEXT;
+      ALTER TABLE reviews ADD COLUMN language TEXT NOT NULL DEFAULT '';
+      ALTER TABLE reviews ADD COLUMN source TEXT NOT NULL DEFAULT '';
+    `)
+    const update = db.prepare('UPDATE reviews SET uid = ? WHERE id = ?')
+    for (const { id } of db.prepare('SELECT id FROM reviews').all()) {
+      update.run(crypto.randomUUID(), id)
+    }
+    db.exec('CREATE UNIQUE INDEX idx_reviews_uid ON reviews(uid)')
+  },
+
+  // Ediciones humanas del análisis y su auditoría
+  (db) => db.exec(`
+    ALTER TABLE marketing_results ADD COLUMN edited TEXT NOT NULL DEFAULT '';
+    ALTER TABLE marketing_results ADD COLUMN edited_by TEXT NOT NULL DEFAULT '';
+    ALTER TABLE marketing_results ADD COLUMN edited_at TEXT NOT NULL DEFAULT '';
+    CREATE TABLE marketing_edits (
+      id TEXT PRIMARY KEY,
+      analysis_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      previous TEXT NOT NULL DEFAULT '',
+      value TEXT NOT NULL DEFAULT '',
+      user TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_marketing_edits_analysis ON marketing_edits(analysis_id);
+  `),
+
+  // Re-análisis de un producto con instrucción opcional
+  (db) => db.exec(`
+    ALTER TABLE scraping_jobs ADD COLUMN instruction TEXT NOT NULL DEFAULT '';
+    ALTER TABLE scraping_jobs ADD COLUMN analysis_id TEXT NOT NULL DEFAULT '';
+    ALTER TABLE marketing_results ADD COLUMN instruction TEXT NOT NULL DEFAULT '';
+  `),
+
+  // Copy de anuncios por plataforma (JSON)
+  (db) => db.exec(`ALTER TABLE marketing_results ADD COLUMN ads TEXT NOT NULL DEFAULT ''`),
+
+  // Plantillas de prompts versionadas y versiones usadas por cada ejecución y análisis
+  (db) => db.exec(`
+    CREATE TABLE prompt_versions (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      system TEXT NOT NULL DEFAULT '',
+      user TEXT NOT NULL,
+      note TEXT NOT NULL DEFAULT '',
+      created_by TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      UNIQUE (name, version)
+    );
+    ALTER TABLE scraping_runs ADD COLUMN prompts TEXT NOT NULL DEFAULT '{}';
+    ALTER TABLE marketing_results ADD COLUMN prompts TEXT NOT NULL DEFAULT '';
+  `),
+
+  // Proveedor de Dropi elegido para el análisis (JSON)
+  (db) => db.exec(`ALTER TABLE marketing_results ADD COLUMN supplier TEXT NOT NULL DEFAULT ''`),
+
+  // Cola de publicación: una tarea por clave de idempotencia
+  (db) => db.exec(`
+    CREATE TABLE publish_tasks (
+      id TEXT PRIMARY KEY,
+      idempotency_key TEXT NOT NULL UNIQUE,
+      kind TEXT NOT NULL,
+      reference TEXT NOT NULL DEFAULT '',
+      name TEXT NOT NULL DEFAULT '',
+      payload TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT '',
+      errors TEXT NOT NULL DEFAULT '[]',
+      result TEXT NOT NULL DEFAULT '',
+      requested_by TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT '',
+      finished_at TEXT NOT NULL DEFAULT ''
+    );
+  `),
+
+  // Precio, moneda e imagen del producto en el marketplace y coincidencia con Dropi (JSON)
+  (db) => db.exec(`
+    ALTER TABLE products ADD COLUMN price REAL;
+    ALTER TABLE products ADD COLUMN currency TEXT NOT NULL DEFAULT '';
+    ALTER TABLE products ADD COLUMN image TEXT NOT NULL DEFAULT '';
+    ALTER TABLE marketing_results ADD COLUMN supplier_match TEXT NOT NULL DEFAULT '';
+  `)
+]
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true })
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      MIGRATIONS[version](db)
+      db.pragma(`user_version = ${version + 1}`)
+    })()
+    console.log(`SQLite: Applied migration ${version + 1}`)
+  }
+}
+
+export function createSqliteStorage({ file }) {
+  const dir = path.dirname(file)
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true })
+  }
+
+  const db = new Database(file)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+  migrate(db)
+
+  console.log('SQLite: Database ready at', file)
+
+  const toProduct = (row) => ({
+    id: row.uid,
+    url: row.url,
+    title: row.title,
+    rating: row.rating,
+    date: row.date,
+    status: row.status,
+    price: row.price,
+    currency: row.currency,
+    image: row.image
+  })
+
+  const toMarketingResult = (row) => ({
+    id: row.uid,
+    Producto: row.producto,
+    'Puntos de Dolor': row.puntos_dolor,
+    'Insights': row.insights,
+    'Gancho (Hook)': row.hook,
+    Fecha: row.fecha,
+    estado_aprobacion: row.estado_aprobacion,
+    publicado: row.publicado,
+    woo_product_id: row.woo_product_id,
+    productId: row.product_uid || '',
+    edited: row.edited,
+    editedBy: row.edited_by,
+    editedAt: row.edited_at,
+    instruction: row.instruction,
+    ads: row.ads,
+    prompts: row.prompts,
+    supplier: row.supplier,
+    supplierMatch: row.supplier_match
+  })
+
+  const toReview = (row) => ({
+    id: row.uid,
+    productId: row.product_uid,
+    rating: row.rating,
+    date: row.date || '',
+    author: row.author || '',
+    text: row.text,
+    language: row.language,
+    source: row.source
+  })
+
+  const insertProduct = db.prepare('INSERT INTO products (uid, url, date) VALUES (?, ?, ?)')
+  const insertReview = db.prepare(`
+    INSERT INTO reviews (uid, product_id, text, rating, author, date, language, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `)
+
+  return {
+    name: 'sqlite',
+
+    // Las filas siempre se crean con ID
+    async assignMissingIds() {},
+
+    async listProducts() {
+      return db.prepare("SELECT * FROM products WHERE status != 'deleted' ORDER BY id").all().map(toProduct)
+    },
+
+    async addProducts(urls) {
+      const date = new Date().toISOString()
+      const insertAll = db.transaction((list) => list.map(url => {
+        const id = crypto.randomUUID()
+        insertProduct.run(id, url, date)
+        return { id, url, title: '', rating: '', date, status: 'pending', price: null, currency: '', image: '' }
+      }))
+      return insertAll(urls)
+    },
+
+    async deleteProduct(id) {
+      const { changes } = db.prepare("UPDATE products SET status = 'deleted' WHERE uid = ?").run(id)
+      return changes > 0
+    },
+
+    // Solo cambia los campos indicados
+    async updateProductDetails(id, { title, price, currency, image }) {
+      const { changes } = db.prepare(`
+        UPDATE products SET title = COALESCE(?, title), price = COALESCE(?, price),
+          currency = COALESCE(?, currency), image = COALESCE(?, image)
+        WHERE uid = ?
+      `).run(title ?? null, price ?? null, currency ?? null, image ?? null, id)
+      return changes > 0
+    },
+
+    async listReviews(productId) {
+      return db.prepare(`
+        SELECT r.*, p.uid AS product_uid FROM reviews r
+        JOIN products p ON p.id = r.product_id
+        WHERE p.uid = ? ORDER BY r.id
+      `).all(productId).map(toReview)
+    },
+
+    async saveReviews(productId, reviews) {
+      const product = db.prepare('SELECT id FROM products WHERE uid = ?').get(productId)
+      if (!product) return false
+
+      db.transaction(() => {
+        db.prepare('DELETE FROM reviews WHERE product_id = ?').run(product.id)
+        for (const r of reviews) {
+          insertReview.run(
+            r.id || crypto.randomUUID(), product.id, r.text, r.rating ?? null,
+            r.author ?? null, r.date ?? null, r.language || '', r.source || ''
+          )
+        }
+      })()
+      return true
+    },
+
+    async listMarketingResults() {
+      return db.prepare('SELECT * FROM marketing_results ORDER BY id').all().map(toMarketingResult)
+    },
+
+    async countMarketingResults() {
+      return db.prepare('SELECT COUNT(*) AS count FROM marketing_results').get().count
+    },
+
+    async addMarketingResult(result) {
+      const id = crypto.randomUUID()
+      db.prepare(`
+        INSERT INTO marketing_results (uid, producto, puntos_dolor, insights, hook, fecha, estado_aprobacion, publicado, woo_product_id, product_uid)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        result.Producto || '',
+        result['Puntos de Dolor'] || '',
+        result['Insights'] || '',
+        result['Gancho (Hook)'] || '',
+        result.Fecha || new Date().toISOString(),
+        result.estado_aprobacion || 'pendiente',
+        result.publicado || 'no',
+        result.woo_product_id || '',
+        result.productId || null
+      )
+      return id
+    },
+
+    async updateMarketingStatus(id, status) {
+      const { changes } = db.prepare('UPDATE marketing_results SET estado_aprobacion = ? WHERE uid = ?').run(status, id)
+      return changes > 0
+    },
+
+    async linkMarketingResult(id, productId) {
+      const { changes } = db.prepare('UPDATE marketing_results SET product_uid = ? WHERE uid = ?').run(productId, id)
+      return changes > 0
+    },
+
+    async updateMarketingEdits(id, { edited, editedBy, editedAt }) {
+      const { changes } = db.prepare(`
+        UPDATE marketing_results SET edited = ?, edited_by = ?, edited_at = ? WHERE uid = ?
+      `).run(JSON.stringify(edited), editedBy, editedAt, id)
+      return changes > 0
+    },
+
+    async addMarketingEdit(edit) {
+      db.prepare(`
+        INSERT INTO marketing_edits (id, analysis_id, field, previous, value, user, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(edit.id, edit.analysisId, edit.field, JSON.stringify(edit.previous), JSON.stringify(edit.value), edit.user, edit.createdAt)
+    },
+
+    async listMarketingEdits(analysisId) {
+      return db.prepare('SELECT * FROM marketing_edits WHERE analysis_id = ? ORDER BY created_at').all(analysisId).map(row => ({
+        id: row.id,
+        analysisId: row.analysis_id,
+        field: row.field,
+        previous: JSON.parse(row.previous || 'null'),
+        value: JSON.parse(row.value || 'null'),
+        user: row.user,
+        createdAt: row.created_at
+      }))
+    },
+
+    async setMarketingInstruction(id, instruction) {
+      const { changes } = db.prepare('UPDATE marketing_results SET instruction = ? WHERE uid = ?').run(instruction, id)
+      return changes > 0
+    },
+
+    async setMarketingAds(id, ads) {
+      const { changes } = db.prepare('UPDATE marketing_results SET ads = ? WHERE uid = ?').run(JSON.stringify(ads), id)
+      return changes > 0
+    },
+
+    async setMarketingPrompts(id, prompts) {
+      const { changes } = db.prepare('UPDATE marketing_results SET prompts = ? WHERE uid = ?').run(JSON.stringify(prompts), id)
+      return changes > 0
+    },
+
+    async setMarketingPublished(id, { published, wooProductId }) {
+      const { changes } = db.prepare('UPDATE marketing_results SET publicado = ?, woo_product_id = ? WHERE uid = ?').run(published, String(wooProductId || ''), id)
+      return changes > 0
+    },
+
+    async setMarketingSupplier(id, supplier) {
+      const { changes } = db.prepare('UPDATE marketing_results SET supplier = ? WHERE uid = ?').run(supplier ? JSON.stringify(supplier) : '', id)
+      return changes > 0
+    },
+
+    async setMarketingMatch(id, match) {
+      const { changes } = db.prepare('UPDATE marketing_results SET supplier_match = ? WHERE uid = ?').run(match ? JSON.stringify(match) : '', id)
+      return changes > 0
+    },
+
+    async listPromptVersions() {
+      return db.prepare('SELECT * FROM prompt_versions ORDER BY name, version').all().map(row => ({
+        id: row.id,
+        name: row.name,
+        version: row.version,
+        system: row.system,
+        user: row.user,
+        note: row.note,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+      }))
+    },
+
+    // La versión se toma en el mismo INSERT: la siguiente a la última guardada de la plantilla
+    async addPromptVersion(template) {
+      const { version } = db.prepare(`
+        INSERT INTO prompt_versions (id, name, version, system, user, note, created_by, created_at)
+        SELECT @id, @name, COALESCE(MAX(version), 0) + 1, @system, @user, @note, @createdBy, @createdAt
+        FROM prompt_versions WHERE name = @name
+        RETURNING version
+      `).get(template)
+      return version
+    },
+
+    async listJobs() {
+      return db.prepare('SELECT * FROM scraping_jobs ORDER BY created_at').all().map(row => ({
+        id: row.id,
+        runId: row.run_id,
+        productId: row.product_id,
+        url: row.url,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        error: row.error,
+        taskId: row.task_id,
+        completion: row.completion,
+        instruction: row.instruction,
+        analysisId: row.analysis_id,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        updatedAt: row.updated_at,
+        finishedAt: row.finished_at
+      }))
+    },
+
+    async saveJob(job) {
+      db.prepare(`
+        INSERT INTO scraping_jobs (id, run_id, product_id, url, status, attempts, max_attempts, error, task_id, completion, instruction, analysis_id, created_at, started_at, updated_at, finished_at)
+        VALUES (@id, @runId, @productId, @url, @status, @attempts, @maxAttempts, @error, @taskId, @completion, @instruction, @analysisId, @createdAt, @startedAt, @updatedAt, @finishedAt)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          attempts = excluded.attempts,
+          error = excluded.error,
+          task_id = excluded.task_id,
+          completion = excluded.completion,
+          started_at = excluded.started_at,
+          updated_at = excluded.updated_at,
+          finished_at = excluded.finished_at
+      `).run({ completion: '', instruction: '', analysisId: '', ...job })
+    },
+
+    async listRuns() {
+      return db.prepare('SELECT * FROM scraping_runs ORDER BY started_at').all().map(row => ({
+        id: row.id,
+        startedBy: row.started_by,
+        productIds: JSON.parse(row.product_ids),
+        status: row.status,
+        completion: row.completion,
+        total: row.total,
+        done: row.done,
+        failed: row.failed,
+        cancelled: row.cancelled,
+        resultCountAtStart: row.result_count_at_start,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.duration_ms,
+        prompts: JSON.parse(row.prompts || '{}')
+      }))
+    },
+
+    async saveRun(run) {
+      db.prepare(`
+        INSERT INTO scraping_runs (id, started_by, product_ids, status, completion, total, done, failed, cancelled, result_count_at_start, started_at, finished_at, duration_ms, prompts)
+        VALUES (@id, @startedBy, @productIds, @status, @completion, @total, @done, @failed, @cancelled, @resultCountAtStart, @startedAt, @finishedAt, @durationMs, @prompts)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          completion = excluded.completion,
+          done = excluded.done,
+          failed = excluded.failed,
+          cancelled = excluded.cancelled,
+          finished_at = excluded.finished_at,
+          duration_ms = excluded.duration_ms
+      `).run({ ...run, startedBy: run.startedBy || '', productIds: JSON.stringify(run.productIds), prompts: JSON.stringify(run.prompts || {}) })
+    },
+
+    async listPublishTasks() {
+      return db.prepare('SELECT * FROM publish_tasks ORDER BY created_at').all().map(row => ({
+        id: row.id,
+        key: row.idempotency_key,
+        kind: row.kind,
+        reference: row.reference,
+        name: row.name,
+        payload: JSON.parse(row.payload || '{}'),
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        nextAttemptAt: row.next_attempt_at,
+        errors: JSON.parse(row.errors || '[]'),
+        result: row.result ? JSON.parse(row.result) : null,
+        requestedBy: row.requested_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        finishedAt: row.finished_at
+      }))
+    },
+
+    async savePublishTask(task) {
+      db.prepare(`
+        INSERT INTO publish_tasks (id, idempotency_key, kind, reference, name, payload, status, attempts, max_attempts, next_attempt_at, errors, result, requested_by, created_at, updated_at, finished_at)
+        VALUES (@id, @key, @kind, @reference, @name, @payload, @status, @attempts, @maxAttempts, @nextAttemptAt, @errors, @result, @requestedBy, @createdAt, @updatedAt, @finishedAt)
+        ON CONFLICT(id) DO UPDATE SET
+          kind = excluded.kind,
+          reference = excluded.reference,
+          name = excluded.name,
+          payload = excluded.payload,
+          status = excluded.status,
+          attempts = excluded.attempts,
+          max_attempts = excluded.max_attempts,
+          next_attempt_at = excluded.next_attempt_at,
+          errors = excluded.errors,
+          result = excluded.result,
+          requested_by = excluded.requested_by,
+          updated_at = excluded.updated_at,
+          finished_at = excluded.finished_at
+      `).run({
+        ...task,
+        payload: JSON.stringify(task.payload || {}),
+        errors: JSON.stringify(task.errors || []),
+        result: task.result ? JSON.stringify(task.result) : ''
+      })
+    },
+
+    async addPublishRecord(record) {
+      db.prepare(`
+        INSERT INTO publish_records (created_at, source, reference, external_id, name, price, status, error, user)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        new Date().toISOString(),
+        record.source,
+        String(record.reference ?? ''),
+        String(record.externalId ?? ''),
+        record.name || '',
+        record.price ?? null,
+        record.status,
+        record.error || '',
+        record.user || ''
+      )
+    },
+
+    async listPublishRecords() {
+      return db.prepare('SELECT * FROM publish_records ORDER BY id DESC').all().map(row => ({
+        id: row.id,
+        createdAt: row.created_at,
+        source: row.source,
+        reference: row.reference,
+        externalId: row.external_id,
+        name: row.name,
+        price: row.price,
+        status: row.status,
+        error: row.error,
+        user: row.user
+      }))
+    }
+  }
+}
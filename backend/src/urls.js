@@ -0,0 +1,114 @@
+// ============================================
+// URLS - Normalización y detección de duplicados
+// ============================================
+import { detectMarketplace } from './marketplaces.js'
+
+// Parámetros de tracking que no cambian el producto
+const TRACKING_PARAMS = [
+  /^utm_/, /^gclid$/, /^fbclid$/, /^msclkid$/, /^ref$/, /^ref_$/, /^spm$/, /^scm$/, /^_trkparms$/,
+  /^aff_/, /^algo_/, /^pf_rd_/, /^pd_rd_/, /^tracking_id$/, /^matt_/, /^gatewayadapt$/
+]
+
+// URL sin tracking, sin fragmento y con host en minúsculas
+function stripTracking(url) {
+  const clean = new URL(url.href)
+  clean.hash = ''
+  clean.hostname = clean.hostname.toLowerCase()
+
+  for (const key of [...clean.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase()))) {
+      clean.searchParams.delete(key)
+    }
+  }
+
+  let href = clean.toString()
+  if (clean.pathname.length > 1 && href.endsWith('/') && !clean.search) href = href.slice(0, -1)
+  return href
+}
+
+// Devuelve { url, key, listingId } o null si la URL no es válida.
+// key identifica la publicación: dos URLs con la misma key son el mismo producto.
+export function canonicalizeUrl(input) {
+  let url
+  try {
+    url = new URL(String(input).trim())
+  } catch {
+    return null
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null
+
+  // Marketplaces del registro con ID de publicación reconocible
+  const marketplace = detectMarketplace(url.href)
+  if (marketplace.listingId) {
+    return { url: marketplace.canonicalUrl, key: `${marketplace.id}:${marketplace.listingId}`, listingId: marketplace.listingId }
+  }
+
+  const clean = stripTracking(url)
+  return { url: clean, key: clean.replace(/^https?:\/\/(www\.)?/, ''), listingId: null }
+}
+
+// Clasifica las URLs enviadas frente a los productos existentes:
+//   added:   publicación nueva (se guarda su URL canónica)
+//   merged:  URL distinta que corresponde a un producto existente o a otra URL del envío
+//   skipped: URL inválida o idéntica (letra por letra) a una ya registrada o enviada
+// toAdd son las URLs canónicas a guardar; addIndex en el reporte apunta a su posición.
+export function planProductIntake(urls, existingProducts) {
+  const known = new Map()
+  for (const product of existingProducts) {
+    const canonical = canonicalizeUrl(product.url)
+    if (canonical && !known.has(canonical.key)) {
+      known.set(canonical.key, { productId: product.id, url: product.url })
+    }
+  }
+
+  const toAdd = []
+  const report = []
+  const batch = new Map()
+  const seen = new Set()
+
+  for (const raw of urls) {
+    const url = String(raw).trim()
+    const canonical = canonicalizeUrl(url)
+
+    if (!canonical) {
+      report.push({ url, status: 'skipped', reason: 'URL inválida' })
+      continue
+    }
+
+    const repeated = seen.has(url)
+    seen.add(url)
+
+    const existing = known.get(canonical.key)
+    if (existing) {
+      const identical = repeated || existing.url === url
+      report.push({
+        url,
+        canonicalUrl: canonical.url,
+        listingId: canonical.listingId,
+        productId: existing.productId,
+        status: identical ? 'skipped' : 'merged',
+        reason: identical ? 'Ya está registrada' : 'Misma publicación que un producto existente'
+      })
+      continue
+    }
+
+    const earlier = batch.get(canonical.key)
+    if (earlier) {
+      report.push({
+        url,
+        canonicalUrl: canonical.url,
+        listingId: canonical.listingId,
+        status: repeated ? 'skipped' : 'merged',
+        reason: repeated ? 'Repetida en el envío' : 'Misma publicación que otra URL del envío',
+        addIndex: earlier.addIndex
+      })
+      continue
+    }
+
+    batch.set(canonical.key, { addIndex: toAdd.length })
+    report.push({ url, canonicalUrl: canonical.url, listingId: canonical.listingId, status: 'added', addIndex: toAdd.length })
+    toAdd.push(canonical.url)
+  }
+
+  return { toAdd, report }
+}
@@ -0,0 +1,74 @@
+// ============================================
+// WEBHOOKS - Firma HMAC de callbacks entrantes
+// ============================================
+//
+// Quien llama (n8n, scraper API) firma cada request con el secreto compartido:
+//
+//   X-DSM-Timestamp: <unix en segundos>
+//   X-DSM-Signature: sha256=<hex de HMAC-SHA256(secret, "<timestamp>.<body crudo>")>
+//
+// Se rechazan firmas inválidas, timestamps fuera de la tolerancia y firmas repetidas.
+import crypto from 'crypto'
+
+const SIGNATURE_HEADER = 'x-dsm-signature'
+const TIMESTAMP_HEADER = 'x-dsm-timestamp'
+
+export function signPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  return `sha256=${hmac}`
+}
+
+// Usar con express.json({ verify: captureRawBody }) para conservar el body original
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8')
+}
+
+export function createWebhookVerifier({ secret, tolerance = 300 }) {
+  // Firmas ya aceptadas -> expiración (ms); pasada la tolerancia el timestamp ya no sirve
+  const seen = new Map()
+
+  const reject = (req, res, status, reason) => {
+    console.warn(`Webhook rejected (${reason}): ${req.method} ${req.originalUrl} from ${req.ip}`)
+    return res.status(status).json({ error: 'Firma de webhook inválida' })
+  }
+
+  const forgetExpired = (now) => {
+    for (const [signature, expiresAt] of seen) {
+      if (expiresAt < now) seen.delete(signature)
+    }
+  }
+
+  return function verifyWebhook(req, res, next) {
+    if (!secret) {
+      console.warn(`Webhook rejected (WEBHOOK_SECRET not configured): ${req.method} ${req.originalUrl}`)
+      return res.status(503).json({ error: 'Webhooks deshabilitados: falta WEBHOOK_SECRET' })
+    }
+
+    const signature = req.get(SIGNATURE_HEADER)
+    const timestamp = req.get(TIMESTAMP_HEADER)
+
+    if (!signature || !timestamp) {
+      return reject(req, res, 401, 'missing signature headers')
+    }
+
+    const now = Date.now()
+    const sentAt = parseInt(timestamp) * 1000
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > tolerance * 1000) {
+      return reject(req, res, 401, 'timestamp outside tolerance')
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, req.rawBody || ''))
+    const received = Buffer.from(signature)
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return reject(req, res, 401, 'bad signature')
+    }
+
+    forgetExpired(now)
+    if (seen.has(signature)) {
+      return reject(req, res, 409, 'replayed request')
+    }
+    seen.set(signature, sentAt + tolerance * 1000)
+
+    next()
+  }
+}
@@ -0,0 +1,218 @@
+// ============================================
+// WOOCOMMERCE - Productos de la tienda desde los análisis aprobados
+// ============================================
+//
+// buildWooProduct() arma el producto con el contenido del análisis (título,
+// descripción con insights y puntos de dolor, descripción corta con el hook) y
+// los datos de venta (precio, SKU, imágenes, categorías y etiquetas).
+// createWooClient() habla con la API REST v3 de la tienda; categorías y etiquetas
+// se buscan por nombre y se crean si no existen. Para desarrollar sin tienda:
+// npm run mock:woo (scripts/mock-woocommerce.js) y WOO_URL=http://localhost:8089.
+
+// Error de la tienda con el status HTTP (null si no hubo respuesta)
+export class WooError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message)
+    this.status = status
+  }
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const htmlList = (items) => `<ul>\n${items.map(item => `  <li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>`
+
+// Descripción larga: beneficios (insights) y respuesta a los puntos de dolor
+export function buildDescription(analysis) {
+  const sections = []
+  if (analysis.insights.length > 0) {
+    sections.push(`<h3>Por qué te va a gustar</h3>\n${htmlList(analysis.insights.map(i => i.text))}`)
+  }
+  if (analysis.painPoints.length > 0) {
+    sections.push(`<h3>Lo que más preocupa a los compradores</h3>\n${htmlList(analysis.painPoints.map(p => p.text))}`)
+  }
+  return sections.join('\n\n')
+}
+
+// Texto del modelo (plantilla de prompt "description") -> HTML de la ficha: las líneas
+// con viñeta forman una lista y el resto, párrafos separados por líneas en blanco
+export function descriptionHtml(text) {
+  const blocks = []
+  for (const line of String(text || '').split('\n').map(l => l.trim())) {
+    const item = line.match(/^(?:[-*•]|\d+[.)])\s+(.*)/)
+    const last = blocks.at(-1)
+    if (item) {
+      if (last?.type === 'list') last.items.push(item[1])
+      else blocks.push({ type: 'list', items: [item[1]] })
+    } else if (!line) {
+      if (last?.type === 'paragraph') blocks.push({ type: 'break' })
+    } else if (last?.type === 'paragraph') {
+      last.lines.push(line)
+    } else {
+      blocks.push({ type: 'paragraph', lines: [line] })
+    }
+  }
+  return blocks
+    .filter(block => block.type !== 'break')
+    .map(block => (block.type === 'list' ? htmlList(block.items) : `<p>${escapeHtml(block.lines.join(' '))}</p>`))
+    .join('\n\n')
+}
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+  .map(item => String(item).trim())
+  .filter(Boolean)
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+// Campos propuestos para publicar un análisis estructurado, en la misma forma que
+// acepta buildWooProduct (el dashboard los muestra para revisarlos antes de publicar)
+export function proposeWooProduct(analysis) {
+  const supplier = analysis.supplier || {}
+  return {
+    name: analysis.Producto || '',
+    price: supplier.price || null,
+    sku: supplier.sku || `DSM-${analysis.id.slice(0, 8).toUpperCase()}`,
+    status: 'publish',
+    description: buildDescription(analysis),
+    shortDescription: analysis.hooks[0] ? `<p>${escapeHtml(analysis.hooks[0])}</p>` : '',
+    images: supplier.image ? [supplier.image] : [],
+    categories: [],
+    tags: []
+  }
+}
+
+// Producto de la tienda; options sobrescribe los campos de proposeWooProduct.
+// Devuelve { product } o { error }; categories y tags quedan como nombres.
+export function buildWooProduct(analysis, options = {}) {
+  const fields = { ...proposeWooProduct(analysis), ...options }
+
+  const name = String(fields.name || '').trim()
+  if (!name) return { error: 'El producto necesita un nombre' }
+
+  const price = Number(fields.price)
+  if (!(price > 0)) return { error: 'Indica un precio de venta mayor que 0 (o elige un proveedor de Dropi)' }
+
+  if (!['publish', 'draft'].includes(fields.status)) return { error: 'status debe ser publish o draft' }
+
+  const images = splitList(fields.images)
+  const invalid = images.find(src => !isHttpUrl(src))
+  if (invalid) return { error: `URL de imagen no válida: ${invalid}` }
+
+  return {
+    product: {
+      name,
+      type: 'simple',
+      status: fields.status,
+      regular_price: String(Math.round(price)),
+      sku: String(fields.sku || '').trim(),
+      description: String(fields.description || ''),
+      short_description: String(fields.shortDescription || ''),
+      images: images.map(src => ({ src })),
+      categories: splitList(fields.categories),
+      tags: splitList(fields.tags),
+      meta_data: [
+        { key: '_dsm_analysis_id', value: analysis.id },
+        ...(analysis.supplier?.id ? [{ key: '_dropi_product_id', value: analysis.supplier.id }] : [])
+      ]
+    }
+  }
+}
+
+// ============================================
+// CLIENTE
+// ============================================
+
+// null si falta WOO_URL o las credenciales
+export function createWooClient({ url, consumerKey, consumerSecret, timeout = 30000 }) {
+  if (!url || !consumerKey) return null
+
+  let api = null
+  const connect = async () => {
+    if (!api) {
+      // El paquete se resuelve a su versión CommonJS: la clase queda en default.default
+      const module = (await import('@woocommerce/woocommerce-rest-api')).default
+      const WooCommerceRestApi = module.default || module
+      api = new WooCommerceRestApi({ url, consumerKey, consumerSecret, version: 'wc/v3', timeout })
+    }
+    return api
+  }
+
+  async function request(method, endpoint, ...args) {
+    try {
+      const response = await (await connect())[method](endpoint, ...args)
+      return response.data
+    } catch (error) {
+      if (error.response) {
+        const detail = error.response.data?.message || error.message
+        throw new WooError(`WooCommerce respondió ${error.response.status}: ${detail}`, { status: error.response.status })
+      }
+      throw new WooError(`No se pudo conectar con WooCommerce: ${error.message}`)
+    }
+  }
+
+  // IDs de categorías o etiquetas por nombre (taxonomy: 'categories' | 'tags')
+  async function termIds(taxonomy, names) {
+    const ids = []
+    for (const name of names) {
+      const found = await request('get', `products/${taxonomy}`, { search: name, per_page: 100 })
+      const existing = found.find(term => term.name.toLowerCase() === name.toLowerCase())
+      const term = existing || await request('post', `products/${taxonomy}`, { name })
+      ids.push({ id: term.id })
+    }
+    return ids
+  }
+
+  return {
+    url,
+
+    getProduct: (id) => request('get', `products/${id}`),
+
+    // Productos por ID, de a 100 por consulta; los borrados no vienen en la respuesta
+    async listProducts(ids) {
+      const products = []
+      for (let i = 0; i < ids.length; i += 100) {
+        const batch = ids.slice(i, i + 100)
+        products.push(...await request('get', 'products', { include: batch.join(','), per_page: 100, status: 'any' }))
+      }
+      return products
+    },
+
+    setStatus: (id, status) => request('put', `products/${id}`, { status }),
+
+    // Producto creado por la tarea de la cola con esa clave (meta _dsm_publish_key), buscado
+    // por SKU o, sin SKU, por nombre; null si no existe. Evita duplicarlo cuando la tienda
+    // lo creó pero la respuesta no llegó.
+    async findByPublishKey(key, { sku, name }) {
+      const found = await request('get', 'products', { ...(sku ? { sku } : { search: name }), status: 'any', per_page: 100 })
+      return found.find(p => p.meta_data?.some(m => m.key === '_dsm_publish_key' && m.value === key)) || null
+    },
+
+    // product: de buildWooProduct, con categorías y etiquetas por nombre.
+    // Si el producto a actualizar ya no existe en la tienda se crea de nuevo.
+    async saveProduct(product, existingId = null) {
+      const data = {
+        ...product,
+        categories: await termIds('categories', product.categories || []),
+        tags: await termIds('tags', product.tags || [])
+      }
+      if (existingId) {
+        try {
+          return await request('put', `products/${existingId}`, data)
+        } catch (error) {
+          if (error.status !== 404) throw error
+          console.log(`WooCommerce: product ${existingId} no longer exists, creating it again`)
+        }
+      }
+      return request('post', 'products', data)
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// ============================================
+// SINCRONIZACIÓN WOOCOMMERCE - Estado de los productos publicados
+// ============================================
+//
+// Lee de la tienda el estado, precio, stock y enlace de cada woo_product_id y lo
+// compara con lo que registró el dashboard (publicado y el precio de la última
+// publicación). Las diferencias quedan en drift de cada producto:
+//   deleted      el producto ya no existe en la tienda (o está en la papelera)
+//   price        el precio de la tienda no es el que se publicó
+//   draft        marcado como publicado pero en la tienda es borrador, pendiente o privado
+//   live         despublicado en el dashboard pero visible en la tienda
+//   missing      marcado como publicado sin ID de la tienda (los antiguos "demo-")
+
+export const DRIFT_TYPES = {
+  deleted: 'Eliminado de la tienda',
+  price: 'Precio cambiado en la tienda',
+  draft: 'Nunca quedó visible en la tienda',
+  live: 'Sigue visible en la tienda',
+  missing: 'Sin producto en la tienda'
+}
+
+const HIDDEN_STATUSES = ['draft', 'pending', 'private']
+
+const isStoreId = (value) => /^\d+$/.test(String(value || ''))
+
+// Precio de la última publicación correcta de cada análisis (records: listPublishRecords)
+export function lastPublishedPrices(records) {
+  const prices = {}
+  const sorted = records
+    .filter(r => r.source === 'woocommerce' && r.status !== 'error' && Number(r.price) > 0)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+  for (const record of sorted) {
+    prices[record.reference] = Number(record.price)
+  }
+  return prices
+}
+
+// Lo que muestra el dashboard de un producto de la tienda
+const storeFields = (product) => ({
+  status: product.status,
+  price: Number(product.price) || null,
+  regularPrice: Number(product.regular_price) || null,
+  salePrice: Number(product.sale_price) || null,
+  stockStatus: product.stock_status || null,
+  stockQuantity: product.stock_quantity ?? null,
+  permalink: product.permalink || null,
+  modifiedAt: product.date_modified_gmt ? `${product.date_modified_gmt}Z` : null
+})
+
+// result: análisis con publicado / woo_product_id; store: storeFields() o null si no está
+export function detectDrift(result, store, expectedPrice) {
+  const published = result.publicado === 'si'
+  const drift = []
+  const add = (type, detail) => drift.push({ type, label: DRIFT_TYPES[type], detail })
+
+  if (!isStoreId(result.woo_product_id)) {
+    if (published) add('missing', result.woo_product_id ? `ID ${result.woo_product_id}` : '')
+    return drift
+  }
+
+  if (!store || store.status === 'trash') {
+    add('deleted', `Producto ${result.woo_product_id}`)
+    return drift
+  }
+
+  if (published && HIDDEN_STATUSES.includes(store.status)) add('draft', `Estado: ${store.status}`)
+  if (!published && store.status === 'publish') add('live', 'Despublícalo de nuevo o vuelve a publicarlo')
+  if (expectedPrice && store.regularPrice !== expectedPrice) {
+    add('price', `Publicado a ${expectedPrice}, en la tienda ${store.regularPrice ?? 'sin precio'}`)
+  }
+  return drift
+}
+
+// load() devuelve { results, records }: los análisis y el historial de publicaciones.
+// onSync(state) se llama después de cada sincronización.
+export function createWooSync({ woo, load, onSync = () => {} }) {
+  let timer = null
+  let running = null
+  let state = { syncedAt: null, error: null, products: [] }
+
+  async function sync() {
+    const { results, records } = await load()
+    const tracked = results.filter(r => r.publicado === 'si' || isStoreId(r.woo_product_id))
+    const ids = [...new Set(tracked.map(r => r.woo_product_id).filter(isStoreId))]
+
+    const store = new Map()
+    for (const product of await woo.listProducts(ids)) {
+      store.set(String(product.id), storeFields(product))
+    }
+
+    const prices = lastPublishedPrices(records)
+    const products = tracked.map(result => {
+      const fields = isStoreId(result.woo_product_id) ? store.get(String(result.woo_product_id)) || null : null
+      return {
+        analysisId: result.id,
+        productId: result.productId || null,
+        name: result.Producto || '',
+        wooProductId: result.woo_product_id || null,
+        published: result.publicado === 'si',
+        store: fields,
+        publishedPrice: prices[result.id] || null,
+        drift: detectDrift(result, fields, prices[result.id])
+      }
+    })
+
+    const withDrift = products.filter(p => p.drift.length > 0).length
+    console.log(`WooCommerce sync: ${products.length} product(s), ${withDrift} with drift`)
+    return { syncedAt: new Date().toISOString(), error: null, products }
+  }
+
+  // Las sincronizaciones no se superponen: si hay una en curso se espera esa
+  function run() {
+    if (!running) {
+      running = sync()
+        .catch(error => {
+          console.error('WooCommerce sync error:', error.message)
+          return { ...state, error: error.message }
+        })
+        .then(next => {
+          state = next
+          onSync(state)
+          return state
+        })
+        .finally(() => { running = null })
+    }
+    return running
+  }
+
+  return {
+    run,
+
+    get state() {
+      return state
+    },
+
+    // interval en ms; 0 solo sincroniza a pedido
+    start(interval) {
+      if (timer || !interval) return
+      timer = setInterval(run, interval)
+      timer.unref()
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react'
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react'
 import { 
   Package, 
   Plus, 
@@ -36,6 +36,21 @@ import {
   Check,
   ChevronLeft,
   Store,
+  Star,
+  Link2,
+  StopCircle,
+  ShoppingBag,
+  Globe,
+  Tag,
+  BarChart3,
+  ThumbsUp,
+  ThumbsDown,
+  Pencil,
+  History,
+  RotateCcw,
+  Save,
+  Copy,
+  Megaphone,
   Image as ImageIcon
 } from 'lucide-react'
 
@@ -173,43 +188,102 @@ function useApi() {
 // ============================================
 // TIMER HOOK
 // ============================================
-function useTimer() {
-  const [seconds, setSeconds] = useState(0)
-  const [isRunning, setIsRunning] = useState(false)
-  const intervalRef = useRef(null)
+// Hora actual que se refresca cada segundo mientras active sea true
+function useNow(active) {
+  const [now, setNow] = useState(() => Date.now())
 
-  const start = () => {
-    setSeconds(0)
-    setIsRunning(true)
-  }
+  useEffect(() => {
+    if (!active) return
+    setNow(Date.now())
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [active])
 
-  const stop = () => {
-    setIsRunning(false)
-  }
+  return now
+}
 
-  const reset = () => {
-    setSeconds(0)
-    setIsRunning(false)
-  }
+// ============================================
+// EVENT STREAM HOOK
+// ============================================
+// Suscripción SSE a /api/events; handlers es { tipoDeEvento: (data) => ... }.
+// EventSource reconecta solo tras un corte; si el servidor rechaza la conexión
+// (reinicio, token vencido) se reintenta cada 5 segundos.
+function useEventStream(handlers) {
+  const { token } = useAuth()
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
 
   useEffect(() => {
-    if (isRunning) {
-      intervalRef.current = setInterval(() => {
-        setSeconds(s => s + 1)
-      }, 1000)
-    } else {
-      clearInterval(intervalRef.current)
+    if (!token) return
+    let source = null
+    let retry = null
+
+    const open = () => {
+      source = new EventSource(`${API_URL}/events?token=${encodeURIComponent(token)}`)
+      for (const type of Object.keys(handlersRef.current)) {
+        source.addEventListener(type, (event) => handlersRef.current[type]?.(JSON.parse(event.data)))
+      }
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          retry = setTimeout(open, 5000)
+        }
+      }
     }
-    return () => clearInterval(intervalRef.current)
-  }, [isRunning])
 
-  const formatTime = () => {
-    const mins = Math.floor(seconds / 60)
-    const secs = seconds % 60
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
-  }
+    open()
+    return () => {
+      clearTimeout(retry)
+      source?.close()
+    }
+  }, [token])
+}
+
+// ============================================
+// MARKETPLACES
+// ============================================
+// Metadatos del registro del backend (/api/marketplaces): nombre, ícono y color
+const MARKETPLACE_ICONS = { ShoppingBag, ShoppingCart, Package, Store, Tag, Globe }
+
+// El registro no cambia en la sesión: se pide una sola vez y se comparte
+let marketplacesRequest = null
+
+function useMarketplaces() {
+  const { token } = useAuth()
+  const [marketplaces, setMarketplaces] = useState([])
+
+  useEffect(() => {
+    if (!token) return
+    marketplacesRequest = marketplacesRequest || fetch(`${API_URL}/marketplaces`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`Error: ${response.status}`)))
+      .then(data => data.marketplaces)
+      .catch(err => {
+        marketplacesRequest = null
+        console.error('Error loading marketplaces:', err)
+        return []
+      })
+    marketplacesRequest.then(setMarketplaces)
+  }, [token])
+
+  const getMarketplace = (id) =>
+    marketplaces.find(m => m.id === id) || { id, name: id || 'Otro', icon: 'Globe', color: '#64748b' }
+
+  return { marketplaces, getMarketplace }
+}
 
-  return { seconds, isRunning, start, stop, reset, formatTime }
+function MarketplaceBadge({ id, country }) {
+  const { getMarketplace } = useMarketplaces()
+  const marketplace = getMarketplace(id)
+  const Icon = MARKETPLACE_ICONS[marketplace.icon] || Globe
+
+  return (
+    <span className="badge badge-neutral gap-1">
+      <Icon className="w-3 h-3" style={{ color: marketplace.color }} />
+      {marketplace.name}
+      {country && <span className="text-surface-400">{country}</span>}
+    </span>
+  )
 }
 
 // ============================================
@@ -585,6 +659,426 @@ function UserManagementModal({ isOpen, onClose, addNotification }) {
   )
 }
 
+// ============================================
+// PROMPT SETTINGS MODAL
+// ============================================
+const PROMPT_LABELS = { 'pain-points': 'Puntos de dolor', insights: 'Insights', hooks: 'Hooks' }
+
+// Versiones de prompts con que se generó un análisis o ejecución ({ plantilla: versión })
+function PromptVersions({ prompts }) {
+  const entries = Object.entries(prompts || {})
+  if (entries.length === 0) return null
+
+  return (
+    <span className="text-xs text-surface-500">
+      Prompts: {entries.map(([name, version]) => `${PROMPT_LABELS[name] || name} ${version === 0 ? 'predet.' : `v${version}`}`).join(' · ')}
+    </span>
+  )
+}
+
+function PromptSettingsModal({ isOpen, onClose, addNotification }) {
+  const api = useApi()
+  const [prompts, setPrompts] = useState([])
+  const [llmEnabled, setLlmEnabled] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [draft, setDraft] = useState({ system: '', user: '', note: '' })
+  const [versions, setVersions] = useState([])
+  const [products, setProducts] = useState([])
+  const [sampleId, setSampleId] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) loadPrompts()
+  }, [isOpen])
+
+  const loadPrompts = async (keep) => {
+    setLoading(true)
+    try {
+      const [data, productData] = await Promise.all([api.request('/prompts'), api.request('/products')])
+      setPrompts(data.prompts || [])
+      setLlmEnabled(data.llm)
+      setProducts(productData.products || [])
+      const prompt = data.prompts.find(p => p.name === keep) || data.prompts[0]
+      if (prompt) selectPrompt(prompt)
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Error cargando los prompts' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectPrompt = async (prompt) => {
+    setSelected(prompt)
+    setDraft({ system: prompt.current.system, user: prompt.current.user, note: '' })
+    setPreview(null)
+    try {
+      const data = await api.request(`/prompts/${prompt.name}/versions`)
+      setVersions(data.versions || [])
+    } catch (error) {
+      addNotification({ type: 'error', message: error.message })
+    }
+  }
+
+  const handleSave = async (content = draft) => {
+    setBusy('save')
+    try {
+      const data = await api.request(`/prompts/${selected.name}`, { method: 'POST', body: JSON.stringify(content) })
+      addNotification({ type: 'success', message: `${selected.label}: versión ${data.template.version} guardada` })
+      await loadPrompts(selected.name)
+    } catch (error) {
+      addNotification({ type: 'error', message: error.message })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  // Restaurar crea una versión nueva con el contenido de la anterior
+  const handleRestore = (version) => {
+    if (!confirm(`¿Restaurar la ${version.version === 0 ? 'versión predeterminada' : `versión ${version.version}`}?`)) return
+    handleSave({ system: version.system, user: version.user, note: `Restaurada ${version.version === 0 ? 'predeterminada' : `v${version.version}`}` })
+  }
+
+  const handlePreview = async (run = false) => {
+    setBusy(run ? 'run' : 'preview')
+    try {
+      const data = await api.request(`/prompts/${selected.name}/preview`, {
+        method: 'POST',
+        body: JSON.stringify({ system: draft.system, user: draft.user, productId: sampleId || undefined, run })
+      })
+      setPreview(data)
+    } catch (error) {
+      addNotification({ type: 'error', message: error.message })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const changed = selected && (draft.system !== selected.current.system || draft.user !== selected.current.user)
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
+      <div className="card w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col animate-fade-in">
+        <div className="p-6 border-b flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+              <Settings className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+            </div>
+            <div>
+              <h2 className="font-display font-semibold text-xl">Prompts de IA</h2>
+              <p className="text-sm text-surface-500">Cada cambio se guarda como una versión nueva</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="btn-ghost p-2 rounded-xl">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {loading && !selected ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+          </div>
+        ) : selected && (
+          <div className="flex-1 overflow-y-auto p-6 grid md:grid-cols-4 gap-6">
+            <div className="space-y-1">
+              {prompts.map(prompt => (
+                <button
+                  key={prompt.name}
+                  onClick={() => selectPrompt(prompt)}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-all ${
+                    prompt.name === selected.name
+                      ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                      : 'hover:bg-surface-100 dark:hover:bg-surface-800'
+                  }`}
+                >
+                  <p className="font-medium">{prompt.label}</p>
+                  <p className="text-xs text-surface-500">{prompt.current.version === 0 ? 'Predeterminada' : `Versión ${prompt.current.version}`}</p>
+                </button>
+              ))}
+            </div>
+
+            <div className="md:col-span-3 space-y-4">
+              <div>
+                <h3 className="font-medium">{selected.label}</h3>
+                <p className="text-sm text-surface-500">{selected.description}</p>
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {selected.variables.map(v => <code key={v} className="badge badge-neutral">{`{{${v}}}`}</code>)}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-xs font-medium uppercase text-surface-500">Sistema</label>
+                <textarea
+                  value={draft.system}
+                  onChange={(e) => setDraft({ ...draft, system: e.target.value })}
+                  className="input font-mono text-sm"
+                  rows={3}
+                />
+                <label className="text-xs font-medium uppercase text-surface-500">Prompt</label>
+                <textarea
+                  value={draft.user}
+                  onChange={(e) => setDraft({ ...draft, user: e.target.value })}
+                  className="input font-mono text-sm"
+                  rows={12}
+                />
+                <input
+                  value={draft.note}
+                  onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                  placeholder="Nota de la versión (qué cambió)"
+                  className="input"
+                  maxLength={200}
+                />
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => handleSave()} disabled={!changed || busy} className="btn-primary">
+                  {busy === 'save' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />} Guardar versión
+                </button>
+                {changed && (
+                  <button onClick={() => setDraft({ system: selected.current.system, user: selected.current.user, note: '' })} className="btn-secondary">
+                    <RotateCcw className="w-4 h-4" /> Descartar cambios
+                  </button>
+                )}
+              </div>
+
+              {/* Vista previa con un producto real */}
+              <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Eye className="w-4 h-4 text-surface-500" />
+                  <select value={sampleId} onChange={(e) => setSampleId(e.target.value)} className="input w-auto flex-1 text-sm">
+                    <option value="">Primer producto</option>
+                    {products.map(p => <option key={p.id} value={p.id}>{p.title || p.url}</option>)}
+                  </select>
+                  <button onClick={() => handlePreview(false)} disabled={busy} className="btn-secondary text-sm">
+                    {busy === 'preview' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />} Vista previa
+                  </button>
+                  <button onClick={() => handlePreview(true)} disabled={busy || !llmEnabled} className="btn-secondary text-sm" title={llmEnabled ? undefined : 'Configura LLM_BASE_URL en el backend'}>
+                    {busy === 'run' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />} Probar con IA
+                  </button>
+                </div>
+                {preview && (
+                  <div className="space-y-2 text-sm">
+                    <p className="text-xs text-surface-500">
+                      Con {preview.product.title || preview.product.url}{preview.analysisId ? ' y su último análisis' : ' (sin análisis)'}
+                    </p>
+                    {preview.system && <pre className="whitespace-pre-wrap p-3 rounded-lg bg-white dark:bg-surface-900 text-surface-500">{preview.system}</pre>}
+                    <pre className="whitespace-pre-wrap p-3 rounded-lg bg-white dark:bg-surface-900 max-h-72 overflow-y-auto">{preview.user}</pre>
+                    {preview.output && (
+                      <>
+                        <p className="text-xs font-medium uppercase text-surface-500">
+                          Respuesta del modelo · {preview.output.usage.promptTokens + preview.output.usage.completionTokens} tokens
+                        </p>
+                        <pre className="whitespace-pre-wrap p-3 rounded-lg bg-primary-50 dark:bg-primary-900/20 max-h-72 overflow-y-auto">{preview.output.text}</pre>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Historial de versiones */}
+              <div>
+                <h4 className="text-sm font-medium mb-2 flex items-center gap-2"><History className="w-4 h-4" /> Versiones</h4>
+                <div className="space-y-1">
+                  {versions.map(version => (
+                    <div key={version.version} className="flex items-center gap-3 text-sm p-2 rounded-lg hover:bg-surface-50 dark:hover:bg-surface-800">
+                      <span className="badge badge-neutral">{version.version === 0 ? 'Predet.' : `v${version.version}`}</span>
+                      <span className="flex-1 min-w-0 truncate">
+                        {version.note || 'Sin nota'}
+                        {version.createdBy && <span className="text-surface-500"> · {version.createdBy} · {new Date(version.createdAt).toLocaleString('es-CL')}</span>}
+                      </span>
+                      {version.version === selected.current.version ? (
+                        <span className="badge badge-success">Vigente</span>
+                      ) : (
+                        <>
+                          <button onClick={() => setDraft({ system: version.system, user: version.user, note: '' })} className="btn-ghost text-xs">
+                            <Eye className="w-3 h-3" /> Ver
+                          </button>
+                          <button onClick={() => handleRestore(version)} disabled={busy} className="btn-ghost text-xs">
+                            <RotateCcw className="w-3 h-3" /> Restaurar
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// PUBLISH QUEUE MODAL
+// ============================================
+const TASK_STATUS_LABELS = {
+  queued: { label: 'En cola', badge: 'badge-info' },
+  running: { label: 'Publicando', badge: 'badge-info' },
+  done: { label: 'Publicada', badge: 'badge-success' },
+  dead: { label: 'Fallida', badge: 'badge-error' },
+  discarded: { label: 'Descartada', badge: 'badge-neutral' }
+}
+
+const TASK_KIND_LABELS = { analysis: 'Análisis', dropi: 'Dropi' }
+
+// Cola de publicación (solo admin): dead letter con el error de cada intento, reintentar y descartar
+function PublishQueueModal({ isOpen, onClose, addNotification }) {
+  const api = useApi()
+  const [tasks, setTasks] = useState([])
+  const [counts, setCounts] = useState({})
+  const [status, setStatus] = useState('dead')
+  const [expandedId, setExpandedId] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) loadTasks()
+  }, [isOpen, status])
+
+  const loadTasks = async () => {
+    setLoading(true)
+    try {
+      const data = await api.request(`/publish-queue${status ? `?status=${status}` : ''}`)
+      setTasks(data.tasks || [])
+      setCounts(data.counts || {})
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Error cargando la cola de publicación' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAction = async (task, action) => {
+    if (action === 'discard' && !confirm(`¿Descartar la publicación de "${task.name || task.reference}"? No se volverá a intentar.`)) return
+    setBusyId(task.id)
+    try {
+      const data = await api.request(`/publish-queue/${task.id}/${action}`, { method: 'POST' })
+      addNotification({
+        type: action === 'replay' && data.queued ? 'info' : 'success',
+        message: action === 'replay' ? data.message : 'Publicación descartada'
+      })
+    } catch (error) {
+      addNotification({ type: 'error', message: error.message })
+    } finally {
+      setBusyId(null)
+      loadTasks()
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
+      <div className="card w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col animate-fade-in">
+        <div className="p-6 border-b flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+              <Upload className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+            </div>
+            <div>
+              <h2 className="font-display font-semibold text-xl">Cola de publicación</h2>
+              <p className="text-sm text-surface-500">Publicaciones en la tienda con reintentos automáticos</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="btn-ghost p-2 rounded-xl">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 pt-4 flex items-center gap-2 overflow-x-auto">
+          {[{ id: 'dead', label: 'Fallidas' }, { id: 'queued', label: 'En cola' }, { id: 'done', label: 'Publicadas' }, { id: 'discarded', label: 'Descartadas' }, { id: '', label: 'Todas' }].map(f => (
+            <button
+              key={f.id}
+              onClick={() => setStatus(f.id)}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-all ${
+                status === f.id
+                  ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                  : 'bg-surface-100 dark:bg-surface-800 text-surface-600'
+              }`}
+            >
+              {f.label}
+              {f.id && <span className="px-2 py-0.5 rounded-full bg-white dark:bg-surface-900 text-xs">{counts[f.id] || 0}</span>}
+            </button>
+          ))}
+          <button onClick={loadTasks} className="btn-ghost p-2 rounded-xl ml-auto" title="Actualizar">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-2">
+          {!loading && tasks.length === 0 && (
+            <p className="text-center text-surface-500 py-8">No hay publicaciones en esta lista</p>
+          )}
+          {tasks.map(task => {
+            const status = TASK_STATUS_LABELS[task.status] || { label: task.status, badge: 'badge-neutral' }
+            const lastError = task.errors[task.errors.length - 1]
+
+            return (
+              <div key={task.id} className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-2">
+                <div className="flex items-start gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <p className="font-medium truncate">{task.name || task.reference}</p>
+                      <span className={`badge ${status.badge}`}>{status.label}</span>
+                      <span className="badge badge-neutral">{TASK_KIND_LABELS[task.kind] || task.kind}</span>
+                    </div>
+                    <p className="text-xs text-surface-500 font-mono truncate" title="Clave de idempotencia">{task.key}</p>
+                    <p className="text-xs text-surface-500">
+                      {task.attempts} de {task.maxAttempts} intento(s)
+                      {task.requestedBy && ` · ${task.requestedBy}`}
+                      {` · ${new Date(task.updatedAt || task.createdAt).toLocaleString('es-CL')}`}
+                      {task.status === 'queued' && task.nextAttemptAt && ` · próximo intento ${new Date(task.nextAttemptAt).toLocaleTimeString('es-CL')}`}
+                      {task.result?.wooProductId && ` · WooCommerce #${task.result.wooProductId}`}
+                    </p>
+                    {lastError && task.status !== 'done' && (
+                      <p className="text-sm text-red-600 dark:text-red-400 mt-1">{lastError.message}</p>
+                    )}
+                  </div>
+                  <div className="flex gap-1 flex-shrink-0">
+                    {task.errors.length > 0 && (
+                      <button onClick={() => setExpandedId(expandedId === task.id ? null : task.id)} className="btn-ghost text-xs">
+                        <History className="w-3 h-3" /> Intentos ({task.errors.length})
+                      </button>
+                    )}
+                    {['dead', 'discarded'].includes(task.status) && (
+                      <button onClick={() => handleAction(task, 'replay')} disabled={busyId === task.id} className="btn-secondary text-xs py-1.5">
+                        {busyId === task.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <RotateCcw className="w-3 h-3" />} Reintentar
+                      </button>
+                    )}
+                    {task.status === 'dead' && (
+                      <button onClick={() => handleAction(task, 'discard')} disabled={busyId === task.id} className="btn-ghost text-xs">
+                        <Trash2 className="w-3 h-3" /> Descartar
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expandedId === task.id && (
+                  <div className="space-y-1 text-xs">
+                    {task.errors.map((error, i) => (
+                      <div key={i} className="flex gap-2 p-2 rounded-lg bg-white dark:bg-surface-900">
+                        <span className="text-surface-500 whitespace-nowrap">#{error.attempt} · {new Date(error.at).toLocaleString('es-CL')}</span>
+                        {error.status && <span className="badge badge-neutral">HTTP {error.status}</span>}
+                        <span className="flex-1">{error.message}</span>
+                      </div>
+                    ))}
+                    <pre className="p-2 rounded-lg bg-white dark:bg-surface-900 text-surface-500 whitespace-pre-wrap max-h-40 overflow-y-auto">{JSON.stringify(task.payload, null, 2)}</pre>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
 // ============================================
 // CHANGE PASSWORD MODAL
 // ============================================
@@ -705,66 +1199,313 @@ function ChangePasswordModal({ isOpen, onClose, addNotification }) {
 // ============================================
 // DROPI PRODUCT MODAL
 // ============================================
-function DropiProductModal({ isOpen, onClose, product, addNotification }) {
-  const api = useApi()
-  const [loading, setLoading] = useState(false)
-  const [searching, setSearching] = useState(false)
-  const [dropiProducts, setDropiProducts] = useState([])
-  const [selectedProducts, setSelectedProducts] = useState({})
-  const [prices, setPrices] = useState({})
-  const [publishing, setPublishing] = useState(false)
-  const [publishResults, setPublishResults] = useState([])
+// Origen de los productos: ejemplos sin Dropi configurado, o el catálogo local con su
+// última recarga (y el error si la última recarga falló)
+function DropiSourceNotice({ results }) {
+  if (!results) return null
 
-  useEffect(() => {
-    if (isOpen && product) {
-      searchDropiProducts()
-    }
-  }, [isOpen, product])
+  if (results.source === 'demo') {
+    return (
+      <div className="p-3 rounded-xl bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300 flex items-start gap-2">
+        <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <span><strong>Datos de ejemplo.</strong> {results.message} No son productos reales de Dropi.</span>
+      </div>
+    )
+  }
 
-  const searchDropiProducts = async () => {
-    setSearching(true)
-    try {
-      // Llamar al API para buscar productos en Dropi
-      const data = await api.request(`/dropi/search?query=${encodeURIComponent(product?.Producto || '')}`)
-      const products = data.products || []
-      setDropiProducts(products)
-      
-      // Inicializar precios con los sugeridos
-      const initialPrices = {}
-      products.forEach(p => {
-        initialPrices[p.id] = p.suggestedPrice || p.price || 0
-      })
-      setPrices(initialPrices)
-    } catch (error) {
-      // Si no hay API de Dropi configurada, mostrar datos demo
-      const demoProducts = [
-        { id: 1, name: product?.Producto || 'Producto Similar 1', image: null, price: 15990, suggestedPrice: 29990, sku: 'DRP-001' },
-        { id: 2, name: `${product?.Producto || 'Producto'} Premium`, image: null, price: 19990, suggestedPrice: 39990, sku: 'DRP-002' },
-        { id: 3, name: `${product?.Producto || 'Producto'} Básico`, image: null, price: 9990, suggestedPrice: 19990, sku: 'DRP-003' },
-      ]
-      setDropiProducts(demoProducts)
-      const initialPrices = {}
-      demoProducts.forEach(p => {
-        initialPrices[p.id] = p.suggestedPrice
-      })
-      setPrices(initialPrices)
-    } finally {
-      setSearching(false)
-    }
+  const { catalog } = results
+  if (catalog?.error) {
+    return (
+      <div className="p-3 rounded-xl bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300 flex items-start gap-2">
+        <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <span>
+          No se pudo actualizar el catálogo de Dropi ({catalog.error}). Se muestra el catálogo guardado
+          el {new Date(catalog.syncedAt).toLocaleString('es-CL')}: precios y stock pueden haber cambiado.
+        </span>
+      </div>
+    )
   }
 
-  const toggleProduct = (productId) => {
-    setSelectedProducts(prev => ({
-      ...prev,
-      [productId]: !prev[productId]
+  return (
+    <p className="text-xs text-surface-500 flex items-center gap-1">
+      <CheckCircle className="w-3 h-3 text-green-600" />
+      {results.matched
+        ? `Sugeridos para este análisis: ${results.total} candidato(s) de ${catalog?.count} productos en Dropi`
+        : `Catálogo de Dropi: ${results.total} resultado(s) de ${catalog?.count} productos`}
+      {catalog?.syncedAt && `, actualizado ${new Date(catalog.syncedAt).toLocaleString('es-CL')}`}
+      {catalog?.truncated && ' (catálogo incompleto: DROPI_CATALOG_MAX_PAGES)'}
+    </p>
+  )
+}
+
+const MATCH_LEVEL_BADGES = {
+  high: 'badge-success',
+  medium: 'badge-warning',
+  low: 'badge-neutral'
+}
+
+// Confianza de la coincidencia con el producto analizado y sus motivos (título,
+// atributos, precio, imagen), lo que más aporta primero
+function MatchConfidence({ match }) {
+  return (
+    <div className="mt-2 text-xs text-surface-500">
+      <span className={`badge ${MATCH_LEVEL_BADGES[match.level] || 'badge-neutral'}`}>
+        Coincidencia {match.confidence}%
+      </span>
+      <ul className="mt-1 space-y-0.5">
+        {match.reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+      </ul>
+    </div>
+  )
+}
+
+// Detalle de un producto de Dropi leído en el momento: imágenes, variantes y stock por bodega
+function DropiProductDetail({ productId }) {
+  const api = useApi()
+  const [detail, setDetail] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    api.request(`/dropi/products/${encodeURIComponent(productId)}`)
+      .then(setDetail)
+      .catch(e => setError(e.message))
+  }, [productId])
+
+  if (error) return <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+  if (!detail) return <Loader2 className="mt-3 w-4 h-4 animate-spin text-surface-400" />
+
+  const { product } = detail
+  return (
+    <div className="mt-4 pt-4 border-t border-surface-200 dark:border-surface-700 space-y-3 text-sm cursor-default" onClick={(e) => e.stopPropagation()}>
+      {detail.stale && (
+        <p className="text-xs text-amber-700 dark:text-amber-400">
+          Dropi no respondió ({detail.error}); datos del catálogo guardado el {new Date(detail.syncedAt).toLocaleString('es-CL')}
+        </p>
+      )}
+      {product.images.length > 0 && (
+        <div className="flex gap-2 overflow-x-auto">
+          {product.images.map(src => <img key={src} src={src} alt={product.name} className="w-20 h-20 object-cover rounded-lg flex-shrink-0" />)}
+        </div>
+      )}
+      {product.description && <p className="text-surface-600 dark:text-surface-400">{product.description}</p>}
+      {product.variants.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-surface-500 mb-1">Variantes</p>
+          {product.variants.map(v => (
+            <p key={v.id} className="text-xs">
+              {v.name} <span className="text-surface-500">· {v.sku}{v.price ? ` · $${v.price.toLocaleString()}` : ''} · Stock: {v.stock}</span>
+            </p>
+          ))}
+        </div>
+      )}
+      {product.warehouses.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-surface-500 mb-1">Bodegas</p>
+          {product.warehouses.map(w => (
+            <p key={w.id || w.name} className="text-xs">
+              {w.name}{w.city && ` (${w.city})`} <span className="text-surface-500">· Stock: {w.stock}</span>
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Reglas de precios vigentes (PRICING_RULES y PRICING_FLOORS en el backend)
+function PricingRulesSummary({ rules, floors }) {
+  const value = (id) => rules.find(r => r.id === id)?.value ?? 0
+  const parts = [
+    `margen ${value('margin')}%`,
+    value('shipping') > 0 && `envío $${value('shipping').toLocaleString()}`,
+    `pasarela ${value('gatewayPercent')}%${value('gatewayFixed') > 0 ? ` + $${value('gatewayFixed').toLocaleString()}` : ''}`,
+    `IVA ${value('iva')}%`,
+    value('ending') > 0 && `terminado en ${value('ending')}`
+  ].filter(Boolean)
+  const floorList = Object.entries(floors || {})
+
+  return (
+    <div className="p-3 rounded-xl bg-surface-50 dark:bg-surface-800 text-xs text-surface-500">
+      <span className="font-medium text-surface-700 dark:text-surface-300">Reglas de precio:</span> {parts.join(' · ')}
+      {floorList.length > 0 && (
+        <span> · mínimos: {floorList.map(([category, price]) => `${category} $${price.toLocaleString()}`).join(', ')}</span>
+      )}
+    </div>
+  )
+}
+
+// Ganancia al precio que se está editando y el precio recomendado por las reglas
+function PriceBreakdown({ quote, price, onApply }) {
+  if (!quote) return null
+  if (quote.error) return <p className="text-xs text-surface-500 mt-2">{quote.error}</p>
+
+  const { breakdown, recommended } = quote
+  // Mientras llega el desglose del precio nuevo se muestra el anterior atenuado
+  const stale = breakdown.price !== Math.round(price)
+
+  return (
+    <div className={`mt-2 text-xs space-y-1 transition-opacity ${stale ? 'opacity-50' : ''}`} onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className={`font-medium ${breakdown.profit > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          Ganancia <span className="font-mono">${breakdown.profit.toLocaleString()}</span> ({breakdown.margin}%)
+        </span>
+        {quote.belowTarget && <span className="badge badge-warning">Bajo el margen objetivo</span>}
+        {quote.belowFloor && <span className="badge badge-warning">Bajo el mínimo de la categoría</span>}
+        {recommended.price && recommended.price !== breakdown.price && (
+          <button onClick={() => onApply(recommended.price)} className="text-primary-600 dark:text-primary-400 hover:underline">
+            Usar recomendado ${recommended.price.toLocaleString()}
+          </button>
+        )}
+        {recommended.error && <span className="text-surface-500">{recommended.error}</span>}
+      </div>
+      <p className="text-surface-500">
+        IVA ${breakdown.iva.toLocaleString()} · Pasarela ${breakdown.gatewayFee.toLocaleString()}
+        {breakdown.shipping > 0 && ` · Envío $${breakdown.shipping.toLocaleString()}`}
+        {` · Costo $${breakdown.cost.toLocaleString()}`}
+        {recommended.floor && ` · Mínimo ${recommended.floor.category} $${recommended.floor.price.toLocaleString()}`}
+      </p>
+    </div>
+  )
+}
+
+function DropiProductModal({ isOpen, onClose, product, addNotification, onSelectSupplier }) {
+  const api = useApi()
+  const [loading, setLoading] = useState(false)
+  const [searching, setSearching] = useState(false)
+  const [dropiProducts, setDropiProducts] = useState([])
+  const [selectedProducts, setSelectedProducts] = useState({})
+  const [prices, setPrices] = useState({})
+  const [publishing, setPublishing] = useState(false)
+  const [publishResults, setPublishResults] = useState([])
+  const [supplierId, setSupplierId] = useState(null)
+  const [quotes, setQuotes] = useState({})
+  const [pricing, setPricing] = useState(null)
+  const quoteTimers = useRef({})
+  const pricesRef = useRef(prices)
+  pricesRef.current = prices
+
+  const [search, setSearch] = useState({ query: '', category: '' })
+  const [results, setResults] = useState(null)
+  const [searchError, setSearchError] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [detailId, setDetailId] = useState(null)
+  const [matches, setMatches] = useState({})
+
+  useEffect(() => {
+    if (isOpen && product) {
+      const initial = { query: product.product?.title || product.Producto || '', category: '' }
+      setSupplierId(product.supplier?.id || null)
+      setSearch(initial)
+      matchDropiProducts(initial)
+      api.request('/dropi/categories').then(data => setCategories(data.categories || [])).catch(() => setCategories([]))
+    }
+  }, [isOpen, product])
+
+  // Al cerrar el modal no quedan cotizaciones pendientes
+  useEffect(() => {
+    if (!isOpen) return
+    return () => {
+      Object.values(quoteTimers.current).forEach(clearTimeout)
+      quoteTimers.current = {}
+    }
+  }, [isOpen])
+
+  // Precio recomendado por las reglas de precios y desglose de ganancia (al precio
+  // indicado o, sin precio, al recomendado)
+  const requestQuotes = async (items) => {
+    const data = await api.request('/pricing/quote', { method: 'POST', body: JSON.stringify({ items }) })
+    // Si el precio cambió mientras se cotizaba, la respuesta llega tarde y se descarta
+    const requested = Object.fromEntries(items.map(item => [item.id, item.price]))
+    const current = data.quotes.filter(q => requested[q.id] === undefined || requested[q.id] === pricesRef.current[q.id])
+    setPricing({ rules: data.rules, floors: data.floors })
+    setQuotes(prev => ({ ...prev, ...Object.fromEntries(current.map(q => [q.id, q])) }))
+    return data.quotes
+  }
+
+  const quoteItem = (dropiProduct, price) => ({ id: dropiProduct.id, cost: dropiProduct.price, category: dropiProduct.category, price })
+
+  // Inicializar precios con los recomendados (o el sugerido por Dropi si no hay costo)
+  const initialPrices = async (products) => {
+    const recommended = products.length ? await requestQuotes(products.map(p => quoteItem(p))).catch(() => []) : []
+    return Object.fromEntries(products.map(p => {
+      const quote = recommended.find(q => q.id === p.id)
+      return [p.id, quote?.recommended?.price || p.suggestedPrice || p.price || 0]
+    }))
+  }
+
+  // Candidatos ordenados por su coincidencia con el producto analizado (título,
+  // atributos, precio e imagen); si el análisis no alcanza para compararlo se
+  // busca por el nombre como antes
+  const matchDropiProducts = async (initial) => {
+    setSearching(true)
+    setSearchError(null)
+    try {
+      const data = await api.request(`/marketing/${product.id}/match`, { method: 'POST', body: JSON.stringify({}) })
+      const products = data.candidates.map(c => c.product)
+      setMatches(Object.fromEntries(data.candidates.map(({ product: candidate, ...match }) => [candidate.id, match])))
+      setDropiProducts(products)
+      setResults({ source: data.source, message: data.message, catalog: data.catalog, total: products.length, page: 1, pages: 1, matched: true })
+      setPrices(await initialPrices(products))
+      setSearching(false)
+    } catch (error) {
+      console.error('Supplier match failed:', error.message)
+      searchDropiProducts(initial)
+    }
+  }
+
+  // Busca en el catálogo de Dropi (o los productos de ejemplo, con source 'demo');
+  // page > 1 agrega la página siguiente a la lista
+  const searchDropiProducts = async ({ query, category }, page = 1) => {
+    setSearching(page === 1)
+    setLoading(page > 1)
+    setSearchError(null)
+    if (page === 1) setMatches({})
+    try {
+      const params = new URLSearchParams({ query, category, page })
+      const data = await api.request(`/dropi/search?${params}`)
+      const products = data.products || []
+      setDropiProducts(prev => (page === 1 ? products : [...prev, ...products]))
+      setResults({ source: data.source, message: data.message, catalog: data.catalog, total: data.total, page: data.page, pages: data.pages })
+      
+      const prices = await initialPrices(products)
+      setPrices(prev => (page === 1 ? prices : { ...prev, ...prices }))
+    } catch (error) {
+      if (page === 1) {
+        setDropiProducts([])
+        setResults(null)
+      }
+      setSearchError(error.message)
+    } finally {
+      setSearching(false)
+      setLoading(false)
+    }
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setSelectedProducts({})
+    setDetailId(null)
+    searchDropiProducts(search)
+  }
+
+  const toggleProduct = (productId) => {
+    setSelectedProducts(prev => ({
+      ...prev,
+      [productId]: !prev[productId]
     }))
   }
 
-  const updatePrice = (productId, price) => {
+  // El desglose se recalcula en el backend mientras se escribe (con una pausa corta)
+  const updatePrice = (dropiProduct, price) => {
+    const value = parseFloat(price) || 0
     setPrices(prev => ({
       ...prev,
-      [productId]: parseFloat(price) || 0
+      [dropiProduct.id]: value
     }))
+    clearTimeout(quoteTimers.current[dropiProduct.id])
+    if (value > 0) {
+      quoteTimers.current[dropiProduct.id] = setTimeout(() => requestQuotes([quoteItem(dropiProduct, value)]).catch(() => {}), 250)
+    }
   }
 
   const handlePublish = async () => {
@@ -777,19 +1518,20 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
     setPublishing(true)
     const results = []
 
-    for (const product of selected) {
+    for (const dropiProduct of selected) {
       try {
-        await api.request('/dropi/publish', {
+        const data = await api.request('/dropi/publish', {
           method: 'POST',
           body: JSON.stringify({
-            dropiProductId: product.id,
-            price: prices[product.id],
-            name: product.name
+            dropiProductId: dropiProduct.id,
+            price: prices[dropiProduct.id],
+            name: dropiProduct.name,
+            analysisId: product?.id
           })
         })
-        results.push({ ...product, success: true })
+        results.push({ ...dropiProduct, success: true, queued: data.queued, message: data.message })
       } catch (error) {
-        results.push({ ...product, success: false, error: error.message })
+        results.push({ ...dropiProduct, success: false, error: error.message })
       }
     }
 
@@ -805,7 +1547,21 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
     }
   }
 
+  // El proveedor del análisis da el margen del puntaje de oportunidad (costo vs. precio de venta)
+  const handleSupplier = async (dropiProduct) => {
+    const supplier = {
+      id: dropiProduct.id,
+      name: dropiProduct.name,
+      sku: dropiProduct.sku,
+      image: dropiProduct.image,
+      cost: dropiProduct.price,
+      price: prices[dropiProduct.id]
+    }
+    if (await onSelectSupplier(product.id, supplier)) setSupplierId(String(dropiProduct.id))
+  }
+
   const selectedCount = Object.values(selectedProducts).filter(Boolean).length
+  const isDemo = results?.source === 'demo'
 
   if (!isOpen) return null
 
@@ -820,7 +1576,9 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
             </div>
             <div>
               <h2 className="font-display font-semibold text-xl">Cargar a Tienda (Dropi)</h2>
-              <p className="text-sm text-surface-500">Productos similares encontrados</p>
+              <p className="text-sm text-surface-500">
+                {results?.matched ? 'Sugeridos para este análisis, los más parecidos primero' : 'Productos similares encontrados'}
+              </p>
             </div>
           </div>
           <button onClick={onClose} className="btn-ghost p-2 rounded-xl">
@@ -828,6 +1586,32 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
           </button>
         </div>
 
+        {/* Search */}
+        {publishResults.length === 0 && (
+          <form onSubmit={handleSearch} className="px-6 pt-4 flex gap-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-400" />
+              <input
+                value={search.query}
+                onChange={(e) => setSearch(prev => ({ ...prev, query: e.target.value }))}
+                placeholder="Buscar en el catálogo de Dropi"
+                className="input pl-9"
+              />
+            </div>
+            {categories.length > 0 && (
+              <select
+                value={search.category}
+                onChange={(e) => setSearch(prev => ({ ...prev, category: e.target.value }))}
+                className="input w-44"
+              >
+                <option value="">Todas las categorías</option>
+                {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            )}
+            <button type="submit" disabled={searching} className="btn-secondary">Buscar</button>
+          </form>
+        )}
+
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-6">
           {searching ? (
@@ -850,7 +1634,7 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
                   <div className="flex-1">
                     <p className="font-medium">{result.name}</p>
                     <p className="text-sm text-surface-500">
-                      {result.success ? 'Cargado correctamente' : result.error}
+                      {result.success ? (result.queued ? result.message : 'Cargado correctamente') : result.error}
                     </p>
                   </div>
                   <span className="font-mono font-medium">
@@ -862,19 +1646,31 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
                 Cerrar
               </button>
             </div>
+          ) : searchError && dropiProducts.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-center">
+              <AlertCircle className="w-12 h-12 text-red-400 mb-4" />
+              <p className="font-medium">No se pudo buscar en Dropi</p>
+              <p className="text-sm text-surface-500 mt-1 max-w-md">{searchError}</p>
+              <button onClick={() => searchDropiProducts(search)} className="btn-secondary mt-4">
+                <RefreshCw className="w-4 h-4" /> Reintentar
+              </button>
+            </div>
           ) : dropiProducts.length === 0 ? (
             <div className="flex flex-col items-center justify-center py-12">
               <Search className="w-12 h-12 text-surface-300 mb-4" />
               <p className="text-surface-500">No se encontraron productos similares</p>
+              {results?.catalog && <p className="text-xs text-surface-400 mt-1">Catálogo de Dropi: {results.catalog.count} productos</p>}
               <button onClick={onClose} className="btn-secondary mt-4">
                 <ChevronLeft className="w-4 h-4" /> Volver
               </button>
             </div>
           ) : (
             <div className="space-y-4">
+              <DropiSourceNotice results={results} />
               <p className="text-sm text-surface-500">
                 Selecciona los productos que deseas cargar a tu tienda. Puedes ajustar el precio de venta.
               </p>
+              {pricing && <PricingRulesSummary rules={pricing.rules} floors={pricing.floors} />}
               
               {dropiProducts.map((dropiProduct) => (
                 <div
@@ -909,13 +1705,52 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
 
                     {/* Info */}
                     <div className="flex-1 min-w-0">
-                      <h4 className="font-medium truncate">{dropiProduct.name}</h4>
-                      <p className="text-sm text-surface-500">SKU: {dropiProduct.sku}</p>
-                      <div className="flex items-center gap-4 mt-2">
+                      <div className="flex items-center gap-2">
+                        <h4 className="font-medium truncate">{dropiProduct.name}</h4>
+                        {isDemo && <span className="badge badge-warning flex-shrink-0">Ejemplo</span>}
+                      </div>
+                      <p className="text-sm text-surface-500">
+                        SKU: {dropiProduct.sku}
+                        {dropiProduct.category && ` · ${dropiProduct.category}`}
+                        {dropiProduct.stock !== null && ` · Stock: ${dropiProduct.stock}`}
+                      </p>
+                      <div className="flex items-center gap-4 mt-2 flex-wrap">
                         <span className="text-sm text-surface-500">
                           Costo: <span className="font-mono">${dropiProduct.price?.toLocaleString()}</span>
                         </span>
+                        {dropiProduct.suggestedPrice > 0 && (
+                          <span className="text-sm text-surface-500">
+                            Sugerido Dropi: <span className="font-mono">${dropiProduct.suggestedPrice.toLocaleString()}</span>
+                          </span>
+                        )}
+                        {onSelectSupplier && (
+                          String(dropiProduct.id) === String(supplierId) ? (
+                            <span className="badge badge-success">Proveedor</span>
+                          ) : (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); handleSupplier(dropiProduct) }}
+                              disabled={!(dropiProduct.price > 0 && prices[dropiProduct.id] > 0)}
+                              className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                            >
+                              Usar como proveedor
+                            </button>
+                          )
+                        )}
+                        <button
+                          onClick={(e) => { e.stopPropagation(); setDetailId(detailId === dropiProduct.id ? null : dropiProduct.id) }}
+                          className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          {detailId === dropiProduct.id ? 'Ocultar detalle' : 'Ver detalle'}
+                        </button>
                       </div>
+                      {matches[dropiProduct.id] && <MatchConfidence match={matches[dropiProduct.id]} />}
+                      {prices[dropiProduct.id] > 0 && (
+                        <PriceBreakdown
+                          quote={quotes[dropiProduct.id]}
+                          price={prices[dropiProduct.id]}
+                          onApply={(price) => updatePrice(dropiProduct, price)}
+                        />
+                      )}
                     </div>
 
                     {/* Price input */}
@@ -926,15 +1761,25 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
                         <input
                           type="number"
                           value={prices[dropiProduct.id] || ''}
-                          onChange={(e) => updatePrice(dropiProduct.id, e.target.value)}
+                          onChange={(e) => updatePrice(dropiProduct, e.target.value)}
                           className="input pl-9 w-32 text-right font-mono"
                           min="0"
                         />
                       </div>
                     </div>
                   </div>
+
+                  {detailId === dropiProduct.id && <DropiProductDetail productId={dropiProduct.id} />}
                 </div>
               ))}
+
+              {searchError && <p className="text-sm text-red-600 dark:text-red-400">{searchError}</p>}
+              {results && results.page < results.pages && (
+                <button onClick={() => searchDropiProducts(search, results.page + 1)} disabled={loading} className="btn-secondary w-full">
+                  {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                  Cargar más ({dropiProducts.length} de {results.total})
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -947,11 +1792,11 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
             </button>
             <div className="flex items-center gap-4">
               <span className="text-sm text-surface-500">
-                {selectedCount} producto(s) seleccionado(s)
+                {isDemo ? 'Los productos de ejemplo no se pueden cargar' : `${selectedCount} producto(s) seleccionado(s)`}
               </span>
               <button
                 onClick={handlePublish}
-                disabled={selectedCount === 0 || publishing}
+                disabled={isDemo || selectedCount === 0 || publishing}
                 className="btn-primary"
               >
                 {publishing ? (
@@ -968,6 +1813,261 @@ function DropiProductModal({ isOpen, onClose, product, addNotification }) {
   )
 }
 
+// ============================================
+// WOOCOMMERCE PUBLISH MODAL
+// ============================================
+// Revisa y ajusta el producto que se arma con el análisis aprobado antes de enviarlo a la tienda
+function WooPublishModal({ result, onClose, onPublish }) {
+  const api = useApi()
+  const [preview, setPreview] = useState(null)
+  const [fields, setFields] = useState(null)
+  const [error, setError] = useState(null)
+  const [publishing, setPublishing] = useState(false)
+  const [writing, setWriting] = useState(false)
+
+  useEffect(() => {
+    if (!result) return
+    setFields(null)
+    setError(null)
+    api.request(`/marketing/${result.id}/publish`)
+      .then(data => {
+        setPreview(data)
+        setFields({
+          ...data.fields,
+          price: data.fields.price || '',
+          images: data.fields.images.join('\n'),
+          categories: data.fields.categories.join(', '),
+          tags: data.fields.tags.join(', ')
+        })
+      })
+      .catch(err => setError(err.message))
+  }, [result?.id])
+
+  if (!result) return null
+
+  const update = (key) => (e) => setFields(prev => ({ ...prev, [key]: e.target.value }))
+
+  // Descripción escrita por la IA con la plantilla de prompt "Descripción de producto"
+  const writeDescription = async () => {
+    setWriting(true)
+    setError(null)
+    try {
+      const data = await api.request(`/marketing/${result.id}/description`, { method: 'POST', body: JSON.stringify({ fresh: true }) })
+      setFields(prev => ({ ...prev, description: data.description }))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setWriting(false)
+    }
+  }
+
+  const handlePublish = async () => {
+    setPublishing(true)
+    setError(null)
+    const response = await onPublish(result.id, { ...fields, price: Number(fields.price) })
+    setPublishing(false)
+    if (response.success) onClose()
+    else setError(response.error)
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
+      <div className="card w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col animate-fade-in">
+        <div className="p-6 border-b flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+              <ShoppingCart className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+            </div>
+            <div>
+              <h2 className="font-display font-semibold text-xl">
+                {preview?.wooProductId ? 'Actualizar en WooCommerce' : 'Publicar en WooCommerce'}
+              </h2>
+              <p className="text-sm text-surface-500">
+                {preview?.wooProductId ? `Producto #${preview.wooProductId} de la tienda` : 'Contenido del análisis aprobado'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="btn-ghost p-2 rounded-xl">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {error && (
+            <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-400 flex items-start gap-2">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" /> {error}
+            </div>
+          )}
+          {preview && !preview.configured && (
+            <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-700 dark:text-amber-400">
+              WooCommerce no está configurado en el backend (WOO_URL, WOO_CONSUMER_KEY, WOO_CONSUMER_SECRET).
+            </div>
+          )}
+
+          {!fields ? (
+            !error && (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+              </div>
+            )
+          ) : (
+            <div className="grid sm:grid-cols-2 gap-3">
+              <label className="sm:col-span-2 text-sm space-y-1">
+                <span className="text-surface-500">Título</span>
+                <input value={fields.name} onChange={update('name')} className="input" />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-surface-500">Precio de venta</span>
+                <input type="number" min="0" value={fields.price} onChange={update('price')} className="input font-mono" />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-surface-500">SKU</span>
+                <input value={fields.sku} onChange={update('sku')} className="input font-mono" />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-surface-500">Categorías (separadas por coma)</span>
+                <input value={fields.categories} onChange={update('categories')} className="input" />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-surface-500">Etiquetas (separadas por coma)</span>
+                <input value={fields.tags} onChange={update('tags')} className="input" />
+              </label>
+              <label className="sm:col-span-2 text-sm space-y-1">
+                <span className="text-surface-500">Imágenes (una URL por línea)</span>
+                <textarea value={fields.images} onChange={update('images')} className="input text-sm font-mono" rows={2} />
+              </label>
+              <label className="sm:col-span-2 text-sm space-y-1">
+                <span className="text-surface-500">Descripción corta (hook)</span>
+                <textarea value={fields.shortDescription} onChange={update('shortDescription')} className="input text-sm" rows={2} />
+              </label>
+              <label className="sm:col-span-2 text-sm space-y-1">
+                <span className="flex items-center justify-between">
+                  <span className="text-surface-500">Descripción (insights y puntos de dolor, HTML)</span>
+                  {preview?.llm && (
+                    <button
+                      type="button"
+                      onClick={writeDescription}
+                      disabled={writing}
+                      className="text-sm text-primary-600 dark:text-primary-400 hover:underline flex items-center gap-1"
+                    >
+                      {writing ? <Loader2 className="w-3 h-3 animate-spin" /> : <Sparkles className="w-3 h-3" />}
+                      Escribir con IA
+                    </button>
+                  )}
+                </span>
+                <textarea value={fields.description} onChange={update('description')} className="input text-sm font-mono" rows={8} />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-surface-500">Estado en la tienda</span>
+                <select value={fields.status} onChange={update('status')} className="input">
+                  <option value="publish">Publicado</option>
+                  <option value="draft">Borrador</option>
+                </select>
+              </label>
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t flex items-center justify-between bg-surface-50 dark:bg-surface-800/50">
+          <button onClick={onClose} className="btn-secondary">
+            <ChevronLeft className="w-4 h-4" /> Cancelar
+          </button>
+          <button onClick={handlePublish} disabled={!fields || publishing || !preview?.configured} className="btn-primary">
+            {publishing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            {preview?.wooProductId ? 'Actualizar producto' : 'Publicar'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// WOOCOMMERCE SYNC
+// ============================================
+const STORE_STATUS_LABELS = {
+  publish: 'Publicado',
+  draft: 'Borrador',
+  pending: 'Pendiente',
+  private: 'Privado',
+  trash: 'En la papelera'
+}
+
+const STOCK_LABELS = { instock: 'En stock', outofstock: 'Sin stock', onbackorder: 'Bajo pedido' }
+
+// Última lectura de la tienda (woosync.js) y botón para sincronizar ahora
+function StoreSyncBar({ sync, onSync }) {
+  const [syncing, setSyncing] = useState(false)
+  const withDrift = sync.products?.filter(p => p.drift.length > 0).length || 0
+
+  const handleSync = async () => {
+    setSyncing(true)
+    await onSync()
+    setSyncing(false)
+  }
+
+  return (
+    <div className="card p-3 flex items-center gap-3 flex-wrap text-sm">
+      <ShoppingCart className="w-4 h-4 text-surface-500" />
+      <span>WooCommerce: {sync.products?.length || 0} producto(s) vinculados</span>
+      {withDrift > 0
+        ? <span className="badge badge-warning"><AlertCircle className="w-3 h-3" /> {withDrift} con diferencias</span>
+        : sync.syncedAt && <span className="badge badge-success">Todo sincronizado</span>}
+      {sync.error && <span className="text-red-500">{sync.error}</span>}
+      <span className="text-surface-500 ml-auto">
+        {sync.syncedAt ? `Revisado ${new Date(sync.syncedAt).toLocaleString('es-CL')}` : 'Sin revisar'}
+      </span>
+      <button onClick={handleSync} disabled={syncing} className="btn-secondary py-1.5">
+        <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} /> Sincronizar
+      </button>
+    </div>
+  )
+}
+
+// Estado del producto en la tienda y las diferencias con lo publicado desde el dashboard
+function StoreStatus({ entry }) {
+  if (!entry) return null
+  const { store } = entry
+
+  return (
+    <div className={`p-4 rounded-xl space-y-2 ${entry.drift.length > 0 ? 'bg-amber-50 dark:bg-amber-900/20' : 'bg-surface-50 dark:bg-surface-800'}`}>
+      <div className="flex items-center gap-2 flex-wrap">
+        <ShoppingCart className="w-4 h-4 text-surface-500" />
+        <h5 className="font-medium text-surface-700 dark:text-surface-300">En la tienda</h5>
+        {entry.wooProductId && <span className="text-xs font-mono text-surface-500">#{entry.wooProductId}</span>}
+      </div>
+      {store && (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-surface-600 dark:text-surface-300">
+          <span className={`badge ${store.status === 'publish' ? 'badge-success' : 'badge-neutral'}`}>{STORE_STATUS_LABELS[store.status] || store.status}</span>
+          {store.regularPrice !== null && (
+            <span className="flex items-center gap-1">
+              <DollarSign className="w-4 h-4" /> {store.regularPrice.toLocaleString()}
+              {store.salePrice !== null && <span className="text-surface-500"> (oferta {store.salePrice.toLocaleString()})</span>}
+            </span>
+          )}
+          {store.stockStatus && (
+            <span className="flex items-center gap-1">
+              <Package className="w-4 h-4" /> {STOCK_LABELS[store.stockStatus] || store.stockStatus}
+              {store.stockQuantity !== null && ` (${store.stockQuantity})`}
+            </span>
+          )}
+          {store.permalink && (
+            <a href={store.permalink} target="_blank" rel="noreferrer" className="text-primary-600 dark:text-primary-400 hover:underline flex items-center gap-1">
+              Ver en la tienda <ExternalLink className="w-3 h-3" />
+            </a>
+          )}
+        </div>
+      )}
+      {entry.drift.map(drift => (
+        <p key={drift.type} className="text-sm text-amber-700 dark:text-amber-400 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span><span className="font-medium">{drift.label}</span>{drift.detail && ` · ${drift.detail}`}</span>
+        </p>
+      ))}
+    </div>
+  )
+}
+
 // ============================================
 // HEADER
 // ============================================
@@ -975,18 +2075,23 @@ function Header({ darkMode, setDarkMode, activeTab, setActiveTab }) {
   const { user, logout, isAdmin } = useAuth()
   const [showUserMenu, setShowUserMenu] = useState(false)
   const [showUserManagement, setShowUserManagement] = useState(false)
+  const [showPromptSettings, setShowPromptSettings] = useState(false)
+  const [showPublishQueue, setShowPublishQueue] = useState(false)
   const [showChangePassword, setShowChangePassword] = useState(false)
   const { notifications, addNotification } = useNotifications()
 
   const tabs = [
     { id: 'products', label: 'Productos', icon: Package },
     { id: 'results', label: 'Resultados', icon: TrendingUp },
+    { id: 'history', label: 'Historial', icon: Clock },
   ]
 
   return (
     <>
       <Notifications notifications={notifications} />
       <UserManagementModal isOpen={showUserManagement} onClose={() => setShowUserManagement(false)} addNotification={addNotification} />
+      <PromptSettingsModal isOpen={showPromptSettings} onClose={() => setShowPromptSettings(false)} addNotification={addNotification} />
+      <PublishQueueModal isOpen={showPublishQueue} onClose={() => setShowPublishQueue(false)} addNotification={addNotification} />
       <ChangePasswordModal isOpen={showChangePassword} onClose={() => setShowChangePassword(false)} addNotification={addNotification} />
 
       <header className="glass sticky top-0 z-40 border-b">
@@ -1049,6 +2154,22 @@ function Header({ darkMode, setDarkMode, activeTab, setActiveTab }) {
                         <Users className="w-4 h-4" /> <span className="text-sm">Gestión de Usuarios</span>
                       </button>
                     )}
+                    {isAdmin && (
+                      <button
+                        onClick={() => { setShowUserMenu(false); setShowPromptSettings(true) }}
+                        className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-100 dark:hover:bg-surface-800 transition-colors"
+                      >
+                        <Settings className="w-4 h-4" /> <span className="text-sm">Prompts de IA</span>
+                      </button>
+                    )}
+                    {isAdmin && (
+                      <button
+                        onClick={() => { setShowUserMenu(false); setShowPublishQueue(true) }}
+                        className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-100 dark:hover:bg-surface-800 transition-colors"
+                      >
+                        <Upload className="w-4 h-4" /> <span className="text-sm">Cola de publicación</span>
+                      </button>
+                    )}
                     <button
                       onClick={() => { setShowUserMenu(false); setShowChangePassword(true) }}
                       className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-100 dark:hover:bg-surface-800 transition-colors"
@@ -1093,11 +2214,18 @@ function Header({ darkMode, setDarkMode, activeTab, setActiveTab }) {
 // ============================================
 // PRODUCT FORM
 // ============================================
+const INTAKE_STATUS_LABELS = {
+  added: { label: 'Agregada', badge: 'badge-success' },
+  merged: { label: 'Combinada', badge: 'badge-info' },
+  skipped: { label: 'Omitida', badge: 'badge-neutral' }
+}
+
 function ProductForm({ onAddProduct, loading }) {
   const [urls, setUrls] = useState('')
   const [error, setError] = useState('')
+  const [report, setReport] = useState(null)
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault()
     const urlList = urls.split(/[\n,]/).map(url => url.trim()).filter(url => url.length > 0)
 
@@ -1121,8 +2249,11 @@ function ProductForm({ onAddProduct, loading }) {
     }
 
     setError('')
-    onAddProduct(urlList)
-    setUrls('')
+    const data = await onAddProduct(urlList)
+    if (data) {
+      setReport(data.results || [])
+      setUrls('')
+    }
   }
 
   return (
@@ -1156,36 +2287,78 @@ function ProductForm({ onAddProduct, loading }) {
         <button type="submit" disabled={loading} className="btn-primary w-full">
           {loading ? <><Loader2 className="w-4 h-4 animate-spin" /> Agregando...</> : <><Plus className="w-4 h-4" /> Agregar Productos</>}
         </button>
-      </div>
-    </form>
-  )
-}
 
-// ============================================
-// PRODUCT LIST WITH TIMER
-// ============================================
-function ProductList({ products, onRunScraping, onRemoveProduct, scrapingStatus, setScrapingStatus, loading, addNotification, onComplete }) {
-  const timer = useTimer()
-  const api = useApi()
+        {/* Reporte por URL del último envío */}
+        {report && report.length > 0 && (
+          <div className="rounded-xl border divide-y">
+            <div className="px-3 py-2 flex items-center justify-between">
+              <p className="text-sm font-medium">Resultado del último envío</p>
+              <button type="button" onClick={() => setReport(null)} className="btn-ghost p-1 rounded-lg">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            {report.map((entry, index) => {
+              const status = INTAKE_STATUS_LABELS[entry.status]
+              return (
+                <div key={index} className="px-3 py-2">
+                  <div className="flex items-center gap-2">
+                    <span className={`badge ${status.badge}`}>{status.label}</span>
+                    <p className="font-mono text-xs truncate flex-1" title={entry.url}>{entry.url}</p>
+                  </div>
+                  {(entry.reason || (entry.canonicalUrl && entry.canonicalUrl !== entry.url)) && (
+                    <p className="mt-1 text-xs text-surface-500 truncate">
+                      {entry.reason}
+                      {entry.reason && entry.canonicalUrl && ' · '}
+                      {entry.canonicalUrl && entry.canonicalUrl !== entry.url && <span className="font-mono">{entry.canonicalUrl}</span>}
+                    </p>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </form>
+  )
+}
 
-  useEffect(() => {
-    if (scrapingStatus === 'processing' && !timer.isRunning) {
-      timer.start()
-    } else if (scrapingStatus === 'completed' || scrapingStatus === 'error') {
-      timer.stop()
-    }
-  }, [scrapingStatus])
+// ============================================
+// PRODUCT LIST WITH JOB PROGRESS
+// ============================================
+const JOB_STATUS_LABELS = {
+  queued: { label: 'En cola', badge: 'badge-neutral' },
+  scraping: { label: 'Scraping', badge: 'badge-info' },
+  analyzing: { label: 'Analizando', badge: 'badge-info' },
+  done: { label: 'Listo', badge: 'badge-success' },
+  failed: { label: 'Error', badge: 'badge-error' },
+  cancelled: { label: 'Cancelado', badge: 'badge-warning' }
+}
 
-  const handleRunScraping = () => {
-    timer.reset()
-    onRunScraping()
+function formatElapsed(ms) {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0)
+  const mins = Math.floor(totalSeconds / 60)
+  const secs = totalSeconds % 60
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+}
+
+function ProductList({ products, onRunScraping, onCancelScraping, onRemoveProduct, onOpenProduct, scrapingStatus, setScrapingStatus, scrapingJobs, scrapingSummary, loading, addNotification, onComplete }) {
+  const now = useNow(scrapingStatus === 'processing')
+  const api = useApi()
+  const [cancelling, setCancelling] = useState(false)
+  const [marketplaceFilter, setMarketplaceFilter] = useState('')
+  const { getMarketplace } = useMarketplaces()
+
+  const handleCancel = async () => {
+    if (!confirm('¿Cancelar el análisis en curso? Los productos pendientes no se procesarán.')) return
+    setCancelling(true)
+    await onCancelScraping()
+    setCancelling(false)
   }
 
   const handleMarkComplete = async () => {
     try {
       await api.request('/scraping/mark-complete', { method: 'POST' })
       setScrapingStatus('completed')
-      timer.stop()
       addNotification({ type: 'success', message: '¡Marcado como completado!' })
       
       // Cargar resultados y cambiar a la pestaña de resultados
@@ -1197,142 +2370,1233 @@ function ProductList({ products, onRunScraping, onRemoveProduct, scrapingStatus,
     }
   }
 
-  if (products.length === 0) {
-    return (
-      <div className="card p-8 text-center">
-        <div className="w-16 h-16 mx-auto mb-4 rounded-2xl bg-surface-100 dark:bg-surface-800 flex items-center justify-center">
-          <Package className="w-8 h-8 text-surface-400" />
-        </div>
-        <h3 className="font-display font-semibold text-lg mb-2">Sin productos</h3>
-        <p className="text-surface-500 dark:text-surface-400">Agrega URLs de productos para comenzar</p>
-      </div>
-    )
+  if (products.length === 0) {
+    return (
+      <div className="card p-8 text-center">
+        <div className="w-16 h-16 mx-auto mb-4 rounded-2xl bg-surface-100 dark:bg-surface-800 flex items-center justify-center">
+          <Package className="w-8 h-8 text-surface-400" />
+        </div>
+        <h3 className="font-display font-semibold text-lg mb-2">Sin productos</h3>
+        <p className="text-surface-500 dark:text-surface-400">Agrega URLs de productos para comenzar</p>
+      </div>
+    )
+  }
+
+  const finished = (scrapingSummary?.done || 0) + (scrapingSummary?.failed || 0) + (scrapingSummary?.cancelled || 0)
+
+  // Marketplaces presentes en la lista, para los filtros
+  const marketplaceCounts = products.reduce((counts, p) => ({ ...counts, [p.marketplace]: (counts[p.marketplace] || 0) + 1 }), {})
+  const activeFilter = marketplaceCounts[marketplaceFilter] ? marketplaceFilter : ''
+  const visibleProducts = activeFilter ? products.filter(p => p.marketplace === activeFilter) : products
+  const progress = scrapingSummary?.total ? Math.round((finished / scrapingSummary.total) * 100) : 0
+
+  return (
+    <div className="card overflow-hidden">
+      <div className="p-4 border-b flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-accent-100 dark:bg-accent-900/30 flex items-center justify-center">
+            <Package className="w-5 h-5 text-accent-600 dark:text-accent-400" />
+          </div>
+          <div>
+            <h3 className="font-display font-semibold">Productos Pendientes</h3>
+            <p className="text-sm text-surface-500">{products.length} producto(s)</p>
+          </div>
+        </div>
+
+        {scrapingStatus === 'processing' ? (
+          <button onClick={handleCancel} disabled={cancelling} className="btn-danger">
+            {cancelling ? <><Loader2 className="w-4 h-4 animate-spin" /> Cancelando...</> : <><StopCircle className="w-4 h-4" /> Cancelar</>}
+          </button>
+        ) : (
+          <button onClick={onRunScraping} disabled={loading} className="btn-accent">
+            <Play className="w-4 h-4" /> Analizar Todos
+          </button>
+        )}
+      </div>
+
+      {scrapingStatus === 'processing' && (
+        <div className="p-6 bg-gradient-to-r from-accent-50 to-primary-50 dark:from-accent-900/20 dark:to-primary-900/20 border-b">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <p className="font-semibold text-accent-700 dark:text-accent-300 text-lg">Analizando productos...</p>
+              <p className="text-sm text-accent-600 dark:text-accent-400">
+                {finished} de {scrapingSummary?.total || 0} terminados
+                {scrapingSummary?.failed > 0 && ` · ${scrapingSummary.failed} con error`}
+              </p>
+            </div>
+            <p className="text-3xl font-mono font-bold text-accent-700 dark:text-accent-300">{progress}%</p>
+          </div>
+          <div className="h-2 rounded-full bg-accent-200 dark:bg-accent-800 overflow-hidden">
+            <div className="h-full bg-accent-500 transition-all duration-500" style={{ width: `${progress}%` }}></div>
+          </div>
+          
+          {/* Botón para marcar como completado manualmente */}
+          <div className="flex items-center justify-between pt-4 mt-4 border-t border-accent-200 dark:border-accent-800">
+            <p className="text-sm text-accent-600 dark:text-accent-400">
+              ¿El flujo n8n ya terminó?
+            </p>
+            <button 
+              onClick={handleMarkComplete}
+              className="px-4 py-2 rounded-lg bg-white dark:bg-surface-800 text-accent-700 dark:text-accent-300 font-medium text-sm hover:bg-accent-100 dark:hover:bg-accent-900/30 transition-colors flex items-center gap-2"
+            >
+              <CheckCircle className="w-4 h-4" />
+              Marcar como completado
+            </button>
+          </div>
+        </div>
+      )}
+
+      {scrapingStatus === 'completed' && (
+        <div className="p-4 bg-green-50 dark:bg-green-900/20 border-b">
+          <div className="flex items-center gap-3">
+            <CheckCircle className="w-6 h-6 text-green-600" />
+            <div>
+              <p className="font-medium text-green-700 dark:text-green-300">¡Análisis completado!</p>
+              <p className="text-sm text-green-600">
+                {scrapingSummary?.done || 0} listo(s){scrapingSummary?.failed > 0 && `, ${scrapingSummary.failed} con error`} - Ve a la pestaña Resultados
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {scrapingStatus === 'cancelled' && (
+        <div className="p-4 bg-amber-50 dark:bg-amber-900/20 border-b">
+          <div className="flex items-center gap-3">
+            <StopCircle className="w-6 h-6 text-amber-600" />
+            <div>
+              <p className="font-medium text-amber-700 dark:text-amber-300">Análisis cancelado</p>
+              <p className="text-sm text-amber-600">
+                {scrapingSummary?.done || 0} listo(s) antes de cancelar, {scrapingSummary?.cancelled || 0} cancelado(s)
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {Object.keys(marketplaceCounts).length > 1 && (
+        <div className="px-4 py-3 border-b flex items-center gap-2 overflow-x-auto">
+          {[['', products.length], ...Object.entries(marketplaceCounts)].map(([id, count]) => {
+            const marketplace = id ? getMarketplace(id) : null
+            const Icon = marketplace ? MARKETPLACE_ICONS[marketplace.icon] || Globe : Package
+            return (
+              <button
+                key={id || 'all'}
+                onClick={() => setMarketplaceFilter(id)}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-xl text-sm font-medium whitespace-nowrap transition-all ${
+                  activeFilter === id
+                    ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                    : 'bg-surface-100 dark:bg-surface-800 text-surface-600'
+                }`}
+              >
+                <Icon className="w-4 h-4" style={marketplace ? { color: marketplace.color } : undefined} />
+                {marketplace ? marketplace.name : 'Todos'}
+                <span className="px-2 py-0.5 rounded-full bg-white dark:bg-surface-900 text-xs">{count}</span>
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      <div className="divide-y max-h-96 overflow-y-auto scrollbar-thin">
+        {visibleProducts.map((product, index) => {
+          const job = scrapingJobs?.[product.id]
+          const jobStatus = job && JOB_STATUS_LABELS[job.status]
+          const isActive = job && ['queued', 'scraping', 'analyzing'].includes(job.status)
+
+          return (
+            <div key={product.id} className="p-4 flex items-center gap-4 hover:bg-surface-50 dark:hover:bg-surface-800/50">
+              <div className="w-10 h-10 rounded-lg bg-surface-100 dark:bg-surface-800 flex items-center justify-center">
+                {isActive && job.status !== 'queued'
+                  ? <Loader2 className="w-4 h-4 animate-spin text-accent-500" />
+                  : <span className="font-mono text-sm">{index + 1}</span>}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="font-mono text-sm truncate">{product.url}</p>
+                <div className="flex items-center gap-2 mt-1 flex-wrap">
+                  <span className={`badge ${
+                    product.status === 'pending' ? 'badge-warning' :
+                    product.status === 'completed' ? 'badge-success' : 'badge-error'
+                  }`}>
+                    {product.status}
+                  </span>
+                  {product.marketplace && <MarketplaceBadge id={product.marketplace} country={product.country} />}
+                  {product.analyses?.length > 0 && (
+                    <span className="badge badge-info">{product.analyses.length} análisis</span>
+                  )}
+                  {jobStatus && <span className={`badge ${jobStatus.badge}`}>{jobStatus.label}</span>}
+                  {isActive && job.startedAt && (
+                    <span className="text-xs font-mono text-surface-500">{formatElapsed(now - new Date(job.startedAt).getTime())}</span>
+                  )}
+                  {job?.attempts > 1 && (
+                    <span className="text-xs text-surface-500">Intento {job.attempts}/{job.maxAttempts}</span>
+                  )}
+                </div>
+                {job?.error && (
+                  <p className="mt-1 text-xs text-red-600 dark:text-red-400 truncate" title={job.error}>{job.error}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <button onClick={() => onOpenProduct(product.id)} className="btn-ghost p-2 rounded-lg" title="Ver reseñas">
+                  <Eye className="w-4 h-4" />
+                </button>
+                <a href={product.url} target="_blank" className="btn-ghost p-2 rounded-lg">
+                  <ExternalLink className="w-4 h-4" />
+                </a>
+                <button onClick={() => onRemoveProduct(product.id)} className="btn-ghost p-2 rounded-lg text-red-600">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// SCRAPING RUN HISTORY
+// ============================================
+const RUN_STATUS_LABELS = {
+  processing: { label: 'En curso', badge: 'badge-info' },
+  completed: { label: 'Completada', badge: 'badge-success' },
+  partial: { label: 'Parcial', badge: 'badge-warning' },
+  failed: { label: 'Fallida', badge: 'badge-error' },
+  cancelled: { label: 'Cancelada', badge: 'badge-neutral' }
+}
+
+const COMPLETION_LABELS = {
+  callback: 'Callback n8n',
+  row_count: 'Conteo de filas',
+  task_poll: 'Scraper API',
+  manual: 'Manual',
+  timeout: 'Tiempo agotado',
+  dispatch: 'Error al enviar',
+  cancelled: 'Cancelación'
+}
+
+function ScrapingHistory() {
+  const api = useApi()
+  const [runs, setRuns] = useState([])
+  const [stats, setStats] = useState(null)
+  const [filters, setFilters] = useState({ status: '', marketplace: '', startedBy: '', from: '', to: '' })
+  const [options, setOptions] = useState({ marketplaces: [], users: [] })
+  const { getMarketplace } = useMarketplaces()
+
+  useEffect(() => {
+    loadRuns()
+  }, [filters])
+
+  const loadRuns = async () => {
+    try {
+      const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString()
+      const data = await api.request(`/scraping/runs${query ? `?${query}` : ''}`)
+      setRuns(data.runs || [])
+      setStats(data.stats || null)
+
+      // Las opciones de los filtros se acumulan para no perderlas al filtrar
+      setOptions(prev => ({
+        marketplaces: [...new Set([...prev.marketplaces, ...data.runs.flatMap(r => r.marketplaces)])].sort(),
+        users: [...new Set([...prev.users, ...data.runs.map(r => r.startedBy).filter(Boolean)])].sort()
+      }))
+    } catch (err) {
+      console.error('Error loading scraping runs:', err)
+    }
+  }
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="font-display font-bold text-2xl">Historial de Análisis</h2>
+          <p className="text-surface-500">Ejecuciones de scraping y su duración</p>
+        </div>
+        <button onClick={loadRuns} className="btn-secondary">
+          <RefreshCw className="w-4 h-4" /> Actualizar
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4 grid sm:grid-cols-2 lg:grid-cols-5 gap-3">
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className="input">
+          <option value="">Todos los estados</option>
+          {Object.entries(RUN_STATUS_LABELS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+        </select>
+        <select value={filters.marketplace} onChange={(e) => setFilter('marketplace', e.target.value)} className="input">
+          <option value="">Todos los marketplaces</option>
+          {options.marketplaces.map(m => <option key={m} value={m}>{getMarketplace(m).name}</option>)}
+        </select>
+        <select value={filters.startedBy} onChange={(e) => setFilter('startedBy', e.target.value)} className="input">
+          <option value="">Todos los usuarios</option>
+          {options.users.map(u => <option key={u} value={u}>{u}</option>)}
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className="input" title="Desde" />
+        <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className="input" title="Hasta" />
+      </div>
+
+      {/* Stats */}
+      {stats && (
+        <div className="grid sm:grid-cols-3 gap-4">
+          <div className="card p-4">
+            <p className="text-sm text-surface-500">Ejecuciones</p>
+            <p className="text-2xl font-display font-bold">{stats.runs}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-surface-500">Duración media por ejecución</p>
+            <p className="text-2xl font-mono font-bold">{stats.avgRunDurationMs != null ? formatElapsed(stats.avgRunDurationMs) : '—'}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-surface-500 mb-2">Duración media por producto</p>
+            {stats.byMarketplace.length === 0 ? (
+              <p className="text-sm text-surface-400">Sin productos terminados</p>
+            ) : (
+              <div className="space-y-1">
+                {stats.byMarketplace.map(m => (
+                  <div key={m.marketplace} className="flex items-center justify-between text-sm">
+                    <span>{getMarketplace(m.marketplace).name} <span className="text-surface-400">({m.jobs})</span></span>
+                    <span className="font-mono">{formatElapsed(m.avgDurationMs)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Runs */}
+      {runs.length === 0 ? (
+        <div className="card p-8 text-center">
+          <div className="w-16 h-16 mx-auto mb-4 rounded-2xl bg-surface-100 dark:bg-surface-800 flex items-center justify-center">
+            <Clock className="w-8 h-8 text-surface-400" />
+          </div>
+          <h3 className="font-display font-semibold text-lg mb-2">Sin ejecuciones</h3>
+          <p className="text-surface-500">Las ejecuciones de "Analizar Todos" aparecerán aquí</p>
+        </div>
+      ) : (
+        <div className="card overflow-hidden divide-y">
+          {runs.map(run => {
+            const status = RUN_STATUS_LABELS[run.status] || { label: run.status, badge: 'badge-neutral' }
+            return (
+              <div key={run.id} className="p-4 flex items-center gap-4 flex-wrap">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className={`badge ${status.badge}`}>{status.label}</span>
+                    {run.marketplaces.map(m => <MarketplaceBadge key={m} id={m} />)}
+                  </div>
+                  <p className="text-sm text-surface-500 mt-1">
+                    {new Date(run.startedAt).toLocaleString('es-CL')}
+                    {run.startedBy && ` · ${run.startedBy}`}
+                    {` · ${run.total} producto(s)`}
+                    {run.completion && ` · ${COMPLETION_LABELS[run.completion] || run.completion}`}
+                  </p>
+                  <PromptVersions prompts={run.prompts} />
+                </div>
+                <div className="text-sm text-right">
+                  <p>
+                    <span className="text-green-600">{run.summary.done} listo(s)</span>
+                    {run.summary.failed > 0 && <span className="text-red-600"> · {run.summary.failed} error</span>}
+                    {run.summary.cancelled > 0 && <span className="text-surface-500"> · {run.summary.cancelled} cancelado(s)</span>}
+                  </p>
+                  <p className="font-mono text-surface-500">{run.durationMs != null ? formatElapsed(run.durationMs) : '—'}</p>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ============================================
+// PRODUCT DETAIL - Reseñas detrás del análisis
+// ============================================
+const LANGUAGE_LABELS = { es: 'Español', en: 'Inglés', pt: 'Portugués' }
+
+function ReviewStars({ rating }) {
+  if (rating === null || rating === undefined) {
+    return <span className="text-xs text-surface-400">Sin calificación</span>
+  }
+  return (
+    <span className="flex items-center gap-0.5" title={`${rating} de 5`}>
+      {[1, 2, 3, 4, 5].map(n => (
+        <Star key={n} className={`w-3.5 h-3.5 ${n <= Math.round(rating) ? 'text-amber-500 fill-amber-500' : 'text-surface-300 dark:text-surface-600'}`} />
+      ))}
+    </span>
+  )
+}
+
+// Números duros de las reseñas para contrastar con los puntos de dolor de la IA
+function ReviewInsights({ productId }) {
+  const api = useApi()
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api.request(`/products/${productId}/sentiment`)
+      .then(setData)
+      .catch(err => setError(err.message))
+  }, [productId])
+
+  if (error) return <div className="card p-4 text-sm text-red-600">{error}</div>
+  if (!data) {
+    return (
+      <div className="card p-4 flex justify-center">
+        <Loader2 className="w-5 h-5 animate-spin text-primary-500" />
+      </div>
+    )
+  }
+  if (data.reviewCount === 0) {
+    return <div className="card p-4 text-sm text-surface-500">Sin reseñas guardadas para calcular estadísticas</div>
+  }
+
+  const percent = (n) => Math.round((n / data.reviewCount) * 100)
+  const maxRating = Math.max(...[1, 2, 3, 4, 5].map(n => data.ratings[n]), 1)
+
+  return (
+    <div className="card p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <BarChart3 className="w-4 h-4 text-surface-500" />
+          <h5 className="font-medium text-surface-700 dark:text-surface-300">Reseñas en números</h5>
+        </div>
+        <span className="text-sm text-surface-500">
+          {data.reviewCount} reseña(s){data.averageRating !== null && <> · <Star className="w-3.5 h-3.5 inline text-amber-500" /> {data.averageRating}</>}
+        </span>
+      </div>
+
+      {/* Sentimiento */}
+      <div>
+        <div className="flex h-2 rounded-full overflow-hidden bg-surface-200 dark:bg-surface-700">
+          <div className="bg-green-500" style={{ width: `${percent(data.sentiment.positive)}%` }}></div>
+          <div className="bg-surface-400" style={{ width: `${percent(data.sentiment.neutral)}%` }}></div>
+          <div className="bg-red-500" style={{ width: `${percent(data.sentiment.negative)}%` }}></div>
+        </div>
+        <div className="flex justify-between text-xs text-surface-500 mt-1">
+          <span className="text-green-600">{percent(data.sentiment.positive)}% positivas</span>
+          <span>{percent(data.sentiment.neutral)}% neutras</span>
+          <span className="text-red-600">{percent(data.sentiment.negative)}% negativas</span>
+        </div>
+      </div>
+
+      {/* Distribución de calificaciones */}
+      <div className="space-y-1">
+        {[5, 4, 3, 2, 1].map(n => (
+          <div key={n} className="flex items-center gap-2 text-xs">
+            <span className="w-6 font-mono text-surface-500">{n}★</span>
+            <div className="flex-1 h-1.5 rounded-full bg-surface-200 dark:bg-surface-700 overflow-hidden">
+              <div className="h-full bg-amber-500" style={{ width: `${(data.ratings[n] / maxRating) * 100}%` }}></div>
+            </div>
+            <span className="w-6 text-right font-mono text-surface-500">{data.ratings[n]}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Temas recurrentes */}
+      <div className="grid sm:grid-cols-2 gap-3 text-sm">
+        {[
+          { title: 'Quejas', icon: ThumbsDown, color: 'text-red-600', topics: data.complaints },
+          { title: 'Elogios', icon: ThumbsUp, color: 'text-green-600', topics: data.praises }
+        ].map(({ title, icon: Icon, color, topics }) => (
+          <div key={title}>
+            <p className={`flex items-center gap-1 font-medium mb-1 ${color}`}>
+              <Icon className="w-4 h-4" /> {title}
+            </p>
+            {topics.length === 0 ? (
+              <p className="text-xs text-surface-400">Sin menciones</p>
+            ) : topics.slice(0, 4).map(t => (
+              <p key={t.topic} className="flex justify-between gap-2" title={t.examples.join('\n')}>
+                <span>{t.label}</span>
+                <span className="font-mono text-surface-500">{t.share}%</span>
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function ProductDetail({ product, analyses, onBack }) {
+  const api = useApi()
+  const [page, setPage] = useState(1)
+  const [rating, setRating] = useState('')
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [data, setData] = useState(null)
+
+  useEffect(() => {
+    loadReviews()
+  }, [product.id, page, rating, query])
+
+  const loadReviews = async () => {
+    try {
+      const params = new URLSearchParams({ page, pageSize: 10 })
+      if (rating) params.set('rating', rating)
+      if (query) params.set('q', query)
+      setData(await api.request(`/products/${product.id}/reviews?${params}`))
+    } catch (err) {
+      console.error('Error loading reviews:', err)
+    }
+  }
+
+  const applyFilter = (setter) => (value) => {
+    setter(value)
+    setPage(1)
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    applyFilter(setQuery)(search.trim())
+  }
+
+  const ratings = data?.ratings || {}
+  const totalReviews = [1, 2, 3, 4, 5].reduce((sum, n) => sum + (ratings[n] || 0), ratings.none || 0)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start gap-4">
+        <button onClick={onBack} className="btn-secondary p-2">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div className="flex-1 min-w-0">
+          <h2 className="font-display font-bold text-2xl truncate">{product.title || 'Detalle del producto'}</h2>
+          <a href={product.url} target="_blank" rel="noreferrer" className="font-mono text-sm text-primary-600 dark:text-primary-400 hover:underline break-all flex items-start gap-1">
+            {product.url} <ExternalLink className="w-3 h-3 mt-1 flex-shrink-0" />
+          </a>
+          <div className="flex flex-wrap items-center gap-3 mt-2 text-sm text-surface-500">
+            {product.marketplace && <MarketplaceBadge id={product.marketplace} country={product.country} />}
+            {product.rating && (
+              <span className="flex items-center gap-1">
+                <Star className="w-4 h-4 text-amber-500" /> {product.rating}
+              </span>
+            )}
+            <span>{totalReviews} reseña(s)</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        {/* Puntos de dolor de cada análisis del producto */}
+        <div className="space-y-4">
+          <ReviewInsights productId={product.id} />
+          {analyses.length === 0 ? (
+            <div className="card p-4 text-sm text-surface-500">Este producto todavía no tiene análisis</div>
+          ) : analyses.map(analysis => (
+            <div key={analysis.id} className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(254, 129, 129, 0.15)' }}>
+              <div className="flex items-center gap-2 mb-2">
+                <Target className="w-4 h-4" style={{ color: '#fe8181' }} />
+                <h5 className="font-medium" style={{ color: '#fe8181' }}>Puntos de Dolor</h5>
+              </div>
+              <PainPointList painPoints={analysis.painPoints} />
+              {analysis.Fecha && <p className="text-xs text-surface-500 mt-2">{analysis.Fecha}</p>}
+            </div>
+          ))}
+        </div>
+
+        {/* Reseñas */}
+        <div className="lg:col-span-2 card overflow-hidden">
+          <div className="p-4 border-b space-y-3">
+            <form onSubmit={handleSearch} className="flex gap-2">
+              <div className="relative flex-1">
+                <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-surface-400" />
+                <input
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Buscar en las reseñas..."
+                  className="input pl-9"
+                />
+              </div>
+              <button type="submit" className="btn-secondary">Buscar</button>
+            </form>
+            <div className="flex items-center gap-2 overflow-x-auto">
+              {[['', 'Todas', totalReviews], ...[5, 4, 3, 2, 1].map(n => [String(n), `${n}★`, ratings[n] || 0])].map(([id, label, count]) => (
+                <button
+                  key={id || 'all'}
+                  onClick={() => applyFilter(setRating)(id)}
+                  className={`flex items-center gap-2 px-3 py-1.5 rounded-xl text-sm font-medium whitespace-nowrap transition-all ${
+                    rating === id
+                      ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                      : 'bg-surface-100 dark:bg-surface-800 text-surface-600'
+                  }`}
+                >
+                  {label}
+                  <span className="px-2 py-0.5 rounded-full bg-white dark:bg-surface-900 text-xs">{count}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {!data ? (
+            <div className="p-8 flex justify-center">
+              <Loader2 className="w-6 h-6 animate-spin text-primary-500" />
+            </div>
+          ) : data.reviews.length === 0 ? (
+            <div className="p-8 text-center text-surface-500">
+              {totalReviews === 0 ? 'Sin reseñas guardadas para este producto' : 'Ninguna reseña coincide con los filtros'}
+            </div>
+          ) : (
+            <div className="divide-y">
+              {data.reviews.map(review => (
+                <div key={review.id} className="p-4">
+                  <div className="flex items-center gap-2 flex-wrap text-sm text-surface-500 mb-1">
+                    <ReviewStars rating={review.rating} />
+                    {review.author && <span className="font-medium text-surface-700 dark:text-surface-300">{review.author}</span>}
+                    {review.date && <span>{review.date}</span>}
+                    {review.language && <span className="badge badge-neutral">{LANGUAGE_LABELS[review.language] || review.language}</span>}
+                    {review.source && <MarketplaceBadge id={review.source} />}
+                  </div>
+                  <p className="text-sm whitespace-pre-line">{review.text}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {data && data.pages > 1 && (
+            <div className="p-4 border-t flex items-center justify-between text-sm">
+              <button onClick={() => setPage(page - 1)} disabled={data.page <= 1} className="btn-ghost">Anterior</button>
+              <span className="text-surface-500">Página {data.page} de {data.pages} · {data.total} reseña(s)</span>
+              <button onClick={() => setPage(page + 1)} disabled={data.page >= data.pages} className="btn-ghost">Siguiente</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// MARKETING RESULTS - COLORES ACTUALIZADOS
+// ============================================
+const SEVERITY_LABELS = {
+  high: { label: 'Alta', badge: 'badge-error' },
+  medium: { label: 'Media', badge: 'badge-warning' },
+  low: { label: 'Baja', badge: 'badge-neutral' }
+}
+
+const INSIGHT_CATEGORY_LABELS = {
+  price: 'Precio',
+  quality: 'Calidad',
+  shipping: 'Envío',
+  usage: 'Uso',
+  other: 'Otro'
+}
+
+// Puntos de dolor con severidad y las citas de reseñas que los respaldan
+function PainPointList({ painPoints }) {
+  if (!painPoints?.length) return <p className="text-sm" style={{ color: '#fe8181' }}>Sin datos</p>
+
+  return (
+    <ul className="space-y-3">
+      {painPoints.map((point, i) => {
+        const severity = SEVERITY_LABELS[point.severity] || SEVERITY_LABELS.medium
+        return (
+          <li key={i} className="text-sm" style={{ color: '#fe8181' }}>
+            <div className="flex items-start gap-2">
+              <span className={`badge ${severity.badge} flex-shrink-0`}>{severity.label}</span>
+              <span>{point.text}</span>
+            </div>
+            {point.quotes.length > 0 && (
+              <div className="mt-1 ml-2 pl-3 border-l-2 space-y-1" style={{ borderColor: 'rgba(254, 129, 129, 0.5)' }}>
+                {point.quotes.map((quote, j) => (
+                  <p key={j} className="text-xs italic text-surface-600 dark:text-surface-300">"{quote}"</p>
+                ))}
+              </div>
+            )}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+function InsightList({ insights }) {
+  if (!insights?.length) return <p className="text-sm" style={{ color: '#03b2cb' }}>Sin datos</p>
+
+  return (
+    <ul className="space-y-2">
+      {insights.map((insight, i) => (
+        <li key={i} className="text-sm flex items-start gap-2" style={{ color: '#03b2cb' }}>
+          <span className="badge badge-info flex-shrink-0">{INSIGHT_CATEGORY_LABELS[insight.category] || insight.category}</span>
+          <span>{insight.text}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function HookList({ hooks }) {
+  if (!hooks?.length) return <p className="text-sm font-medium" style={{ color: '#98c379' }}>Sin datos</p>
+
+  return (
+    <ul className="space-y-2">
+      {hooks.map((hook, i) => (
+        <li key={i} className="text-sm font-medium" style={{ color: '#98c379' }}>"{hook}"</li>
+      ))}
+    </ul>
+  )
+}
+
+// Bloque de color del análisis; con original muestra la versión de la IA al lado de la editada
+function AnalysisSection({ color, background, icon: Icon, title, original, children }) {
+  return (
+    <div className="p-4 rounded-xl" style={{ backgroundColor: background }}>
+      <div className="flex items-center gap-2 mb-2">
+        <Icon className="w-4 h-4" style={{ color }} />
+        <h5 className="font-medium" style={{ color }}>{title}</h5>
+      </div>
+      {original ? (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="opacity-70">
+            <p className="text-xs font-medium uppercase text-surface-500 mb-2">Original IA</p>
+            {original}
+          </div>
+          <div>
+            <p className="text-xs font-medium uppercase text-surface-500 mb-2">Editado</p>
+            {children}
+          </div>
+        </div>
+      ) : children}
+    </div>
+  )
+}
+
+const ANALYSIS_FIELD_LABELS = {
+  painPoints: 'Puntos de Dolor',
+  insights: 'Insights',
+  hooks: 'Ganchos'
+}
+
+// Auditoría: quién cambió qué campo y cuándo
+function AnalysisEditHistory({ resultId }) {
+  const api = useApi()
+  const [edits, setEdits] = useState(null)
+
+  useEffect(() => {
+    api.request(`/marketing/${resultId}/edits`)
+      .then(data => setEdits(data.edits || []))
+      .catch(err => console.error('Error loading edits:', err))
+  }, [resultId])
+
+  if (!edits) return null
+
+  return (
+    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800">
+      <div className="flex items-center gap-2 mb-2">
+        <History className="w-4 h-4 text-surface-500" />
+        <h5 className="font-medium text-surface-700 dark:text-surface-300">Historial de ediciones</h5>
+      </div>
+      {edits.length === 0 ? (
+        <p className="text-sm text-surface-500">Sin ediciones registradas</p>
+      ) : (
+        <ul className="space-y-1 text-sm">
+          {edits.map(edit => (
+            <li key={edit.id} className="flex flex-wrap justify-between gap-2">
+              <span>
+                <span className="font-medium">{edit.user}</span> editó {ANALYSIS_FIELD_LABELS[edit.field] || edit.field}
+                <span className="text-surface-500"> ({edit.previous?.length || 0} → {edit.value?.length || 0} elemento(s))</span>
+              </span>
+              <span className="text-surface-500">{new Date(edit.createdAt).toLocaleString('es-CL')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Modo edición de la tarjeta: listas editables de puntos de dolor, insights y hooks
+function AnalysisEditor({ result, saving, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    painPoints: result.painPoints.map(p => ({ ...p, quotes: p.quotes.join('\n') })),
+    insights: result.insights.map(i => ({ ...i })),
+    hooks: [...result.hooks]
+  }))
+
+  const updateItem = (field, index, value) => setDraft(prev => ({
+    ...prev,
+    [field]: prev[field].map((item, i) => (i === index ? value : item))
+  }))
+  const removeItem = (field, index) => setDraft(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }))
+  const addItem = (field, item) => setDraft(prev => ({ ...prev, [field]: [...prev[field], item] }))
+  const restore = (field) => setDraft(prev => ({
+    ...prev,
+    [field]: field === 'painPoints'
+      ? result.original.painPoints.map(p => ({ ...p, quotes: p.quotes.join('\n') }))
+      : field === 'insights' ? result.original.insights.map(i => ({ ...i })) : [...result.original.hooks]
+  }))
+
+  const handleSave = () => onSave({
+    painPoints: draft.painPoints
+      .filter(p => p.text.trim())
+      .map(p => ({ ...p, text: p.text.trim(), quotes: p.quotes.split('\n').map(q => q.trim()).filter(Boolean) })),
+    insights: draft.insights.filter(i => i.text.trim()).map(i => ({ ...i, text: i.text.trim() })),
+    hooks: draft.hooks.map(h => h.trim()).filter(Boolean)
+  })
+
+  const sectionHeader = (field, color) => (
+    <div className="flex items-center justify-between mb-2">
+      <h5 className="font-medium" style={{ color }}>{ANALYSIS_FIELD_LABELS[field]}</h5>
+      {result.edited?.[field] && (
+        <button onClick={() => restore(field)} className="text-xs text-surface-500 hover:underline flex items-center gap-1">
+          <RotateCcw className="w-3 h-3" /> Restaurar original IA
+        </button>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 rounded-xl space-y-3" style={{ backgroundColor: 'rgba(254, 129, 129, 0.15)' }}>
+        {sectionHeader('painPoints', '#fe8181')}
+        {draft.painPoints.map((point, i) => (
+          <div key={i} className="space-y-2 pb-3 border-b last:border-0">
+            <div className="flex gap-2">
+              <input
+                value={point.text}
+                onChange={(e) => updateItem('painPoints', i, { ...point, text: e.target.value })}
+                className="input flex-1"
+                placeholder="Punto de dolor"
+              />
+              <select
+                value={point.severity}
+                onChange={(e) => updateItem('painPoints', i, { ...point, severity: e.target.value })}
+                className="input w-28"
+              >
+                {Object.entries(SEVERITY_LABELS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+              </select>
+              <button onClick={() => removeItem('painPoints', i)} className="btn-ghost p-2 rounded-lg text-red-600">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <textarea
+              value={point.quotes}
+              onChange={(e) => updateItem('painPoints', i, { ...point, quotes: e.target.value })}
+              className="input text-sm"
+              rows={2}
+              placeholder="Citas de reseñas (una por línea)"
+            />
+          </div>
+        ))}
+        <button onClick={() => addItem('painPoints', { text: '', severity: 'medium', quotes: '' })} className="btn-ghost text-sm">
+          <Plus className="w-4 h-4" /> Agregar punto de dolor
+        </button>
+      </div>
+
+      <div className="p-4 rounded-xl space-y-2" style={{ backgroundColor: 'rgba(3, 178, 203, 0.15)' }}>
+        {sectionHeader('insights', '#03b2cb')}
+        {draft.insights.map((insight, i) => (
+          <div key={i} className="flex gap-2">
+            <input
+              value={insight.text}
+              onChange={(e) => updateItem('insights', i, { ...insight, text: e.target.value })}
+              className="input flex-1"
+              placeholder="Insight"
+            />
+            <select
+              value={insight.category}
+              onChange={(e) => updateItem('insights', i, { ...insight, category: e.target.value })}
+              className="input w-32"
+            >
+              {Object.entries(INSIGHT_CATEGORY_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <button onClick={() => removeItem('insights', i)} className="btn-ghost p-2 rounded-lg text-red-600">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => addItem('insights', { text: '', category: 'other' })} className="btn-ghost text-sm">
+          <Plus className="w-4 h-4" /> Agregar insight
+        </button>
+      </div>
+
+      <div className="p-4 rounded-xl space-y-2" style={{ backgroundColor: 'rgba(152, 195, 121, 0.15)' }}>
+        {sectionHeader('hooks', '#98c379')}
+        {draft.hooks.map((hook, i) => (
+          <div key={i} className="flex gap-2">
+            <input
+              value={hook}
+              onChange={(e) => updateItem('hooks', i, e.target.value)}
+              className="input flex-1"
+              placeholder="Gancho publicitario"
+            />
+            <button onClick={() => removeItem('hooks', i)} className="btn-ghost p-2 rounded-lg text-red-600">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => addItem('hooks', '')} className="btn-ghost text-sm">
+          <Plus className="w-4 h-4" /> Agregar gancho
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={handleSave} disabled={saving} className="btn-primary">
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />} Guardar cambios
+        </button>
+        <button onClick={onCancel} disabled={saving} className="btn-secondary">Cancelar</button>
+      </div>
+    </div>
+  )
+}
+
+// Plataformas de anuncios del backend (/api/ads/platforms): campos y límites de caracteres
+let adPlatformsRequest = null
+
+function useAdPlatforms() {
+  const { token } = useAuth()
+  const [adPlatforms, setAdPlatforms] = useState({ platforms: [], enabled: false })
+
+  useEffect(() => {
+    if (!token) return
+    adPlatformsRequest = adPlatformsRequest || fetch(`${API_URL}/ads/platforms`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`Error: ${response.status}`)))
+      .catch(err => {
+        adPlatformsRequest = null
+        console.error('Error loading ad platforms:', err)
+        return { platforms: [], enabled: false }
+      })
+    adPlatformsRequest.then(setAdPlatforms)
+  }, [token])
+
+  return adPlatforms
+}
+
+function CopyButton({ text, label }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch (err) {
+      console.error('Error copying to clipboard:', err)
+    }
+  }
+
+  return (
+    <button onClick={handleCopy} className="btn-ghost p-1.5 text-xs shrink-0" title="Copiar">
+      {copied ? <Check className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+      {label}
+    </button>
+  )
+}
+
+// Copy de anuncios del análisis: una pestaña por plataforma con sus límites
+function AdVariants({ result, onGenerate }) {
+  const { platforms, enabled } = useAdPlatforms()
+  const [activeId, setActiveId] = useState(null)
+  const [generating, setGenerating] = useState(false)
+
+  if (platforms.length === 0) return null
+
+  const platform = platforms.find(p => p.id === activeId) || platforms[0]
+  const variants = result.ads?.[platform.id]
+
+  // Regenerar pide variantes nuevas aunque el análisis no haya cambiado
+  const handleGenerate = async (ids, fresh = false) => {
+    setGenerating(true)
+    await onGenerate(result.id, ids, fresh)
+    setGenerating(false)
   }
 
   return (
-    <div className="card overflow-hidden">
-      <div className="p-4 border-b flex items-center justify-between">
-        <div className="flex items-center gap-3">
-          <div className="w-10 h-10 rounded-xl bg-accent-100 dark:bg-accent-900/30 flex items-center justify-center">
-            <Package className="w-5 h-5 text-accent-600 dark:text-accent-400" />
-          </div>
-          <div>
-            <h3 className="font-display font-semibold">Productos Pendientes</h3>
-            <p className="text-sm text-surface-500">{products.length} producto(s)</p>
-          </div>
+    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <Megaphone className="w-4 h-4 text-primary-500" />
+          <h5 className="font-medium">Anuncios</h5>
         </div>
+        {enabled ? (
+          <button onClick={() => handleGenerate(platforms.map(p => p.id), Object.keys(result.ads || {}).length > 0)} disabled={generating} className="btn-secondary text-sm">
+            {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+            {Object.keys(result.ads || {}).length > 0 ? 'Regenerar todos' : 'Generar para todas'}
+          </button>
+        ) : (
+          <span className="text-xs text-surface-500">Configura LLM_BASE_URL en el backend para generar anuncios</span>
+        )}
+      </div>
 
-        <button onClick={handleRunScraping} disabled={loading || scrapingStatus === 'processing'} className="btn-accent">
-          {scrapingStatus === 'processing' ? <><Loader2 className="w-4 h-4 animate-spin" /> Procesando...</> : <><Play className="w-4 h-4" /> Analizar Todos</>}
-        </button>
+      <div className="flex gap-2 overflow-x-auto">
+        {platforms.map(p => (
+          <button
+            key={p.id}
+            onClick={() => setActiveId(p.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-all ${
+              p.id === platform.id
+                ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                : 'bg-surface-100 dark:bg-surface-700 text-surface-600'
+            }`}
+          >
+            {p.name}
+            {result.ads?.[p.id]?.issues?.length > 0 && <AlertCircle className="w-3 h-3 inline ml-1 text-amber-500" />}
+          </button>
+        ))}
       </div>
 
-      {scrapingStatus === 'processing' && (
-        <div className="p-6 bg-gradient-to-r from-accent-50 to-primary-50 dark:from-accent-900/20 dark:to-primary-900/20 border-b">
-          <div className="flex items-center justify-between mb-4">
-            <div className="flex items-center gap-4">
-              <div className="relative">
-                <div className="w-16 h-16 rounded-full border-4 border-accent-200 dark:border-accent-800"></div>
-                <div className="absolute inset-0 w-16 h-16 rounded-full border-4 border-accent-500 border-t-transparent animate-spin"></div>
-                <div className="absolute inset-0 flex items-center justify-center">
-                  <Clock className="w-6 h-6 text-accent-600" />
-                </div>
-              </div>
-              <div>
-                <p className="font-semibold text-accent-700 dark:text-accent-300 text-lg">Analizando productos...</p>
-                <p className="text-sm text-accent-600 dark:text-accent-400">El flujo n8n está procesando las reseñas</p>
-              </div>
-            </div>
-            <div className="text-right">
-              <p className="text-3xl font-mono font-bold text-accent-700 dark:text-accent-300">{timer.formatTime()}</p>
-              <p className="text-sm text-accent-600 dark:text-accent-400">Tiempo transcurrido</p>
-            </div>
-          </div>
-          
-          {/* Botón para marcar como completado manualmente */}
-          <div className="flex items-center justify-between pt-4 border-t border-accent-200 dark:border-accent-800">
-            <p className="text-sm text-accent-600 dark:text-accent-400">
-              ¿El flujo n8n ya terminó?
-            </p>
-            <button 
-              onClick={handleMarkComplete}
-              className="px-4 py-2 rounded-lg bg-white dark:bg-surface-800 text-accent-700 dark:text-accent-300 font-medium text-sm hover:bg-accent-100 dark:hover:bg-accent-900/30 transition-colors flex items-center gap-2"
-            >
-              <CheckCircle className="w-4 h-4" />
-              Marcar como completado
+      {!variants ? (
+        <div className="text-center py-4">
+          <p className="text-sm text-surface-500 mb-3">Aún no hay copy para {platform.name}</p>
+          {enabled && (
+            <button onClick={() => handleGenerate([platform.id])} disabled={generating} className="btn-primary text-sm">
+              {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+              Generar para {platform.name}
             </button>
-          </div>
+          )}
         </div>
-      )}
-
-      {scrapingStatus === 'completed' && (
-        <div className="p-4 bg-green-50 dark:bg-green-900/20 border-b">
-          <div className="flex items-center gap-3">
-            <CheckCircle className="w-6 h-6 text-green-600" />
-            <div>
-              <p className="font-medium text-green-700 dark:text-green-300">¡Análisis completado!</p>
-              <p className="text-sm text-green-600">Tiempo total: {timer.formatTime()} - Ve a la pestaña Resultados</p>
+      ) : (
+        <div className="space-y-4">
+          {variants.issues?.length > 0 && (
+            <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-700 dark:text-amber-400">
+              {variants.issues.map((issue, i) => <p key={i}>{issue}</p>)}
             </div>
+          )}
+
+          {platform.fields.map(field => {
+            const texts = variants.fields?.[field.id] || []
+            return (
+              <div key={field.id}>
+                <div className="flex items-center justify-between mb-1">
+                  <p className="text-xs font-medium uppercase text-surface-500">
+                    {field.label} · {texts.length}/{field.count} · máx. {field.max} caracteres
+                  </p>
+                  {texts.length > 1 && <CopyButton text={texts.join('\n')} label="Todo" />}
+                </div>
+                <ul className="space-y-1">
+                  {texts.map((text, i) => {
+                    const length = [...text].length
+                    return (
+                      <li key={i} className="flex items-start gap-2 text-sm">
+                        <span className="flex-1 whitespace-pre-line">{text}</span>
+                        <span className={`text-xs tabular-nums shrink-0 mt-0.5 ${length > field.max ? 'text-red-500 font-medium' : 'text-surface-400'}`}>
+                          {length}/{field.max}
+                        </span>
+                        <CopyButton text={text} />
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )
+          })}
+
+          <div className="flex items-center justify-between text-xs text-surface-500">
+            <span>
+              Generado {new Date(variants.generatedAt).toLocaleString('es-CL')}
+              {variants.generatedBy && ` por ${variants.generatedBy}`}
+              {variants.model && ` · ${variants.model}`}
+            </span>
+            {enabled && (
+              <button onClick={() => handleGenerate([platform.id], true)} disabled={generating} className="btn-ghost text-xs">
+                {generating ? <Loader2 className="w-3 h-3 animate-spin" /> : <RefreshCw className="w-3 h-3" />}
+                Regenerar
+              </button>
+            )}
           </div>
         </div>
       )}
+    </div>
+  )
+}
 
-      <div className="divide-y max-h-96 overflow-y-auto scrollbar-thin">
-        {products.map((product, index) => (
-          <div key={product.id || index} className="p-4 flex items-center gap-4 hover:bg-surface-50 dark:hover:bg-surface-800/50">
-            <div className="w-10 h-10 rounded-lg bg-surface-100 dark:bg-surface-800 flex items-center justify-center">
-              <span className="font-mono text-sm">{index + 1}</span>
-            </div>
-            <div className="flex-1 min-w-0">
-              <p className="font-mono text-sm truncate">{product.url}</p>
-              <div className="flex items-center gap-2 mt-1">
-                <span className={`badge ${
-                  product.status === 'pending' ? 'badge-warning' :
-                  product.status === 'completed' ? 'badge-success' : 'badge-error'
-                }`}>
-                  {product.status}
-                </span>
-                {product.marketplace && <span className="badge badge-neutral">{product.marketplace}</span>}
-              </div>
-            </div>
-            <div className="flex items-center gap-2">
-              <a href={product.url} target="_blank" className="btn-ghost p-2 rounded-lg">
-                <ExternalLink className="w-4 h-4" />
-              </a>
-              <button onClick={() => onRemoveProduct(product.id || index)} className="btn-ghost p-2 rounded-lg text-red-600">
-                <Trash2 className="w-4 h-4" />
-              </button>
+// Puntaje de oportunidad del backend (scoring.js): { score, coverage, factors }
+const scoreBadge = (score) => (score >= 70 ? 'badge-success' : score >= 40 ? 'badge-warning' : 'badge-error')
+
+function OpportunityBadge({ opportunity }) {
+  if (!opportunity || opportunity.score === null) return null
+
+  return (
+    <span className={`badge ${scoreBadge(opportunity.score)}`} title="Puntaje de oportunidad (0-100)">
+      <Target className="w-3 h-3" /> {opportunity.score}
+    </span>
+  )
+}
+
+// Desglose del puntaje: valor de cada factor (0-100 %) y puntos que aporta
+function OpportunityBreakdown({ opportunity, supplier, onChooseSupplier }) {
+  if (!opportunity) return null
+
+  return (
+    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h4 className="font-medium flex items-center gap-2">
+          <Target className="w-4 h-4 text-primary-500" /> Oportunidad
+          {opportunity.score !== null
+            ? <span className={`badge ${scoreBadge(opportunity.score)}`}>{opportunity.score} / 100</span>
+            : <span className="badge badge-neutral">Sin datos</span>}
+        </h4>
+        {opportunity.coverage < 1 && (
+          <span className="text-xs text-surface-500">Calculado con el {Math.round(opportunity.coverage * 100)}% del peso (faltan datos)</span>
+        )}
+      </div>
+      <div className="space-y-2">
+        {opportunity.factors.map(factor => (
+          <div key={factor.id} className="grid grid-cols-12 items-center gap-2 text-sm">
+            <span className="col-span-4 sm:col-span-3">{factor.label} <span className="text-xs text-surface-400">×{factor.weight}</span></span>
+            <div className="col-span-4 sm:col-span-5 h-2 rounded-full bg-surface-200 dark:bg-surface-700 overflow-hidden">
+              {factor.value !== null && (
+                <div className="h-full rounded-full bg-primary-500" style={{ width: `${Math.round(factor.value * 100)}%` }} />
+              )}
             </div>
+            <span className="col-span-3 text-xs text-surface-500 truncate" title={factor.detail}>{factor.detail}</span>
+            <span className="col-span-1 text-xs font-mono text-right">{factor.value !== null ? `+${factor.points}` : '—'}</span>
           </div>
         ))}
       </div>
+      <p className="text-xs text-surface-500">
+        {supplier
+          ? <>Proveedor: {supplier.name || supplier.id} · costo ${supplier.cost.toLocaleString()} · venta ${supplier.price.toLocaleString()} · </>
+          : 'Sin proveedor de Dropi: el margen no cuenta. '}
+        <button onClick={onChooseSupplier} className="text-primary-600 dark:text-primary-400 hover:underline">
+          {supplier ? 'Cambiar' : 'Elegir proveedor'}
+        </button>
+      </p>
     </div>
   )
 }
 
-// ============================================
-// MARKETING RESULTS - COLORES ACTUALIZADOS
-// ============================================
-function MarketingResults({ results, onApprove, onReject, onPublish, loading }) {
+// Versiones de cada producto en el orden en que se generaron; los análisis sin producto van solos
+function groupVersions(results) {
+  const groups = new Map()
+  for (const result of results) {
+    const key = result.productId || result.id
+    if (!groups.has(key)) groups.set(key, { key, versions: [] })
+    groups.get(key).versions.push(result)
+  }
+  return [...groups.values()]
+}
+
+const diffKey = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim()
+
+// Entradas agregadas, quitadas y sin cambios entre dos listas (por texto)
+function diffList(before, after, textOf = (item) => item) {
+  const beforeKeys = new Map(before.map(item => [diffKey(textOf(item)), item]))
+  const afterKeys = new Set(after.map(item => diffKey(textOf(item))))
+  return {
+    added: after.filter(item => !beforeKeys.has(diffKey(textOf(item)))),
+    removed: before.filter(item => !afterKeys.has(diffKey(textOf(item)))),
+    kept: after
+      .filter(item => beforeKeys.has(diffKey(textOf(item))))
+      .map(item => ({ item, previous: beforeKeys.get(diffKey(textOf(item))) }))
+  }
+}
+
+function AnalysisDiff({ from, to, fromLabel, toLabel }) {
+  const sections = [
+    { field: 'painPoints', diff: diffList(from.painPoints, to.painPoints, p => p.text), render: p => p.text },
+    { field: 'insights', diff: diffList(from.insights, to.insights, i => i.text), render: i => `${i.text} (${INSIGHT_CATEGORY_LABELS[i.category] || i.category})` },
+    { field: 'hooks', diff: diffList(from.hooks, to.hooks), render: h => `"${h}"` }
+  ]
+
+  return (
+    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-3 text-sm">
+      <p className="text-surface-500">Cambios de <span className="font-medium">{fromLabel}</span> a <span className="font-medium">{toLabel}</span></p>
+      {sections.map(({ field, diff, render }) => {
+        // En los puntos de dolor también cuenta un cambio de severidad
+        const severityChanges = field === 'painPoints'
+          ? diff.kept.filter(({ item, previous }) => item.severity !== previous.severity)
+          : []
+        const unchanged = diff.kept.length - severityChanges.length
+
+        return (
+          <div key={field}>
+            <h5 className="font-medium mb-1">{ANALYSIS_FIELD_LABELS[field]}</h5>
+            {diff.added.length === 0 && diff.removed.length === 0 && severityChanges.length === 0 ? (
+              <p className="text-surface-400">Sin cambios</p>
+            ) : (
+              <ul className="space-y-1">
+                {diff.added.map((item, i) => (
+                  <li key={`a${i}`} className="text-green-700 dark:text-green-400">+ {render(item)}</li>
+                ))}
+                {diff.removed.map((item, i) => (
+                  <li key={`r${i}`} className="text-red-600 dark:text-red-400 line-through">− {render(item)}</li>
+                ))}
+                {severityChanges.map(({ item, previous }, i) => (
+                  <li key={`s${i}`} className="text-amber-700 dark:text-amber-400">
+                    ~ {item.text}: severidad {SEVERITY_LABELS[previous.severity]?.label} → {SEVERITY_LABELS[item.severity]?.label}
+                  </li>
+                ))}
+                {unchanged > 0 && <li className="text-surface-400">{unchanged} sin cambios</li>}
+              </ul>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function MarketingResults({ results, storeSync, onApprove, onReject, onPublish, onUnpublish, onSyncStore, onEdit, onRegenerate, onGenerateAds, onSetSupplier, onOpenProduct, loading }) {
   const [filter, setFilter] = useState('all')
+  const [sort, setSort] = useState('score')
+  const [minScore, setMinScore] = useState(0)
   const [expandedId, setExpandedId] = useState(null)
   const [dropiModal, setDropiModal] = useState({ open: false, product: null })
+  const [editingId, setEditingId] = useState(null)
+  const [compareId, setCompareId] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [selectedVersions, setSelectedVersions] = useState({})
+  const [diffVersions, setDiffVersions] = useState({})
+  const [regenerate, setRegenerate] = useState({ id: null, instruction: '' })
+  const [publishTarget, setPublishTarget] = useState(null)
   const { notifications, addNotification } = useNotifications()
 
-  const filteredResults = results.filter(result => {
+  // Una tarjeta por producto; el estado que se filtra es el de su última versión
+  const groups = groupVersions(results)
+  const latestStatus = (group) => group.versions[group.versions.length - 1].estado_aprobacion
+  const countStatus = (status) => groups.filter(g => latestStatus(g) === status).length
+
+  // El puntaje de un producto es el de su última versión; los que no tienen van al final
+  const latestScore = (group) => group.versions[group.versions.length - 1].opportunity?.score ?? null
+
+  // Estado en la tienda de cada análisis vinculado a WooCommerce
+  const storeEntries = Object.fromEntries((storeSync?.products || []).map(entry => [entry.analysisId, entry]))
+  const hasDrift = (group) => group.versions.some(v => storeEntries[v.id]?.drift.length > 0)
+
+  const filteredGroups = groups.filter(group => {
+    if (minScore > 0 && !(latestScore(group) >= minScore)) return false
     if (filter === 'all') return true
-    if (filter === 'pending') return result.estado_aprobacion === 'pendiente'
-    if (filter === 'approved') return result.estado_aprobacion === 'aprobado'
-    if (filter === 'rejected') return result.estado_aprobacion === 'rechazado'
+    if (filter === 'drift') return hasDrift(group)
+    if (filter === 'pending') return latestStatus(group) === 'pendiente'
+    if (filter === 'approved') return latestStatus(group) === 'aprobado'
+    if (filter === 'rejected') return latestStatus(group) === 'rechazado'
     return true
   })
 
+  if (sort !== 'recent') {
+    const direction = sort === 'score' ? -1 : 1
+    filteredGroups.sort((a, b) => {
+      const scoreA = latestScore(a)
+      const scoreB = latestScore(b)
+      if (scoreA === null || scoreB === null) return (scoreA === null) - (scoreB === null)
+      return (scoreA - scoreB) * direction
+    })
+  }
+
   const handleApprove = async (resultId, result) => {
     await onApprove(resultId)
     // Abrir modal de Dropi después de aprobar
     setDropiModal({ open: true, product: result })
   }
 
+  const handleRegenerate = async () => {
+    const started = await onRegenerate(regenerate.id, regenerate.instruction)
+    if (started) setRegenerate({ id: null, instruction: '' })
+  }
+
+  const handleSaveEdit = async (resultId, patch) => {
+    setSaving(true)
+    const saved = await onEdit(resultId, patch)
+    setSaving(false)
+    if (saved) setEditingId(null)
+  }
+
   if (results.length === 0) {
     return (
       <div className="card p-8 text-center">
@@ -1352,16 +3616,22 @@ function MarketingResults({ results, onApprove, onReject, onPublish, loading })
         onClose={() => setDropiModal({ open: false, product: null })}
         product={dropiModal.product}
         addNotification={addNotification}
+        onSelectSupplier={onSetSupplier}
       />
 
+      <WooPublishModal result={publishTarget} onClose={() => setPublishTarget(null)} onPublish={onPublish} />
+
       <div className="space-y-4">
+        {storeSync?.configured && <StoreSyncBar sync={storeSync} onSync={onSyncStore} />}
+
         {/* Filters */}
         <div className="flex items-center gap-2 overflow-x-auto pb-2">
           {[
-            { id: 'all', label: 'Todos', count: results.length },
-            { id: 'pending', label: 'Pendientes', count: results.filter(r => r.estado_aprobacion === 'pendiente').length },
-            { id: 'approved', label: 'Aprobados', count: results.filter(r => r.estado_aprobacion === 'aprobado').length },
-            { id: 'rejected', label: 'Rechazados', count: results.filter(r => r.estado_aprobacion === 'rechazado').length },
+            { id: 'all', label: 'Todos', count: groups.length },
+            { id: 'pending', label: 'Pendientes', count: countStatus('pendiente') },
+            { id: 'approved', label: 'Aprobados', count: countStatus('aprobado') },
+            { id: 'rejected', label: 'Rechazados', count: countStatus('rechazado') },
+            ...(storeSync?.configured ? [{ id: 'drift', label: 'Diferencias en la tienda', count: groups.filter(hasDrift).length }] : [])
           ].map((f) => (
             <button
               key={f.id}
@@ -1376,13 +3646,37 @@ function MarketingResults({ results, onApprove, onReject, onPublish, loading })
               <span className="px-2 py-0.5 rounded-full bg-white dark:bg-surface-900 text-xs">{f.count}</span>
             </button>
           ))}
+          <div className="flex items-center gap-2 ml-auto">
+            <select value={minScore} onChange={(e) => setMinScore(Number(e.target.value))} className="input w-auto text-sm py-2">
+              <option value={0}>Cualquier puntaje</option>
+              <option value={40}>Puntaje 40+</option>
+              <option value={60}>Puntaje 60+</option>
+              <option value={80}>Puntaje 80+</option>
+            </select>
+            <select value={sort} onChange={(e) => setSort(e.target.value)} className="input w-auto text-sm py-2">
+              <option value="score">Mayor oportunidad</option>
+              <option value="score-asc">Menor oportunidad</option>
+              <option value="recent">Orden de análisis</option>
+            </select>
+          </div>
         </div>
 
+        {filteredGroups.length === 0 && (
+          <p className="text-center text-surface-500 py-8">Ningún producto cumple los filtros</p>
+        )}
+
         {/* Results */}
         <div className="grid gap-4">
-          {filteredResults.map((result, index) => (
-            <div key={result.id || index} className="card-hover overflow-hidden">
-              <div className="p-4 cursor-pointer" onClick={() => setExpandedId(expandedId === index ? null : index)}>
+          {filteredGroups.map((group) => {
+            const { versions } = group
+            const result = versions.find(v => v.id === selectedVersions[group.key]) || versions[versions.length - 1]
+            const versionIndex = versions.indexOf(result)
+            const diffFrom = versions.find(v => v.id === diffVersions[group.key])
+            const storeEntry = storeEntries[result.id]
+
+            return (
+            <div key={group.key} className="card-hover overflow-hidden">
+              <div className="p-4 cursor-pointer" onClick={() => setExpandedId(expandedId === group.key ? null : group.key)}>
                 <div className="flex items-start gap-4">
                   <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-primary-500 to-accent-600 flex items-center justify-center">
                     <Sparkles className="w-6 h-6 text-white" />
@@ -1396,58 +3690,186 @@ function MarketingResults({ results, onApprove, onReject, onPublish, loading })
                       }`}>
                         {result.estado_aprobacion || 'pendiente'}
                       </span>
+                      <OpportunityBadge opportunity={result.opportunity} />
                       {result.publicado === 'si' && <span className="badge badge-info">Publicado</span>}
+                      {hasDrift(group) && <span className="badge badge-warning"><AlertCircle className="w-3 h-3" /> Tienda</span>}
+                      {Object.keys(result.edited || {}).length > 0 && <span className="badge badge-neutral">Editado</span>}
+                      {versions.length > 1 && <span className="badge badge-neutral">v{versionIndex + 1} de {versions.length}</span>}
+                      {result.product?.marketplace && <MarketplaceBadge id={result.product.marketplace} country={result.product.country} />}
                     </div>
-                    {result['Gancho (Hook)'] && (
+                    {result.hooks?.length > 0 && (
                       <p className="mt-2 text-sm text-surface-600 dark:text-surface-300 line-clamp-2">
-                        <span className="font-medium" style={{ color: '#98c379' }}>Hook:</span> {result['Gancho (Hook)']}
+                        <span className="font-medium" style={{ color: '#98c379' }}>Hook:</span> {result.hooks[0]}
+                        {result.hooks.length > 1 && <span className="text-surface-400"> (+{result.hooks.length - 1})</span>}
                       </p>
                     )}
                   </div>
-                  <Eye className={`w-5 h-5 transition-transform ${expandedId === index ? 'rotate-180' : ''}`} />
+                  <Eye className={`w-5 h-5 transition-transform ${expandedId === group.key ? 'rotate-180' : ''}`} />
                 </div>
               </div>
 
-              {expandedId === index && (
+              {expandedId === group.key && (
                 <div className="px-4 pb-4 space-y-4 animate-fade-in">
                   <hr />
+
+                  {/* Versiones del análisis del producto */}
+                  {versions.length > 1 && (
+                    <div className="space-y-3">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <History className="w-4 h-4 text-surface-500" />
+                        {versions.map((version, i) => (
+                          <button
+                            key={version.id}
+                            onClick={() => setSelectedVersions(prev => ({ ...prev, [group.key]: version.id }))}
+                            title={version.instruction ? `Instrucción: ${version.instruction}` : undefined}
+                            className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                              version.id === result.id
+                                ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400'
+                                : 'bg-surface-100 dark:bg-surface-800 text-surface-600'
+                            }`}
+                          >
+                            v{i + 1}{version.Fecha && <span className="text-xs font-normal text-surface-500"> · {version.Fecha}</span>}
+                          </button>
+                        ))}
+                        <select
+                          value={diffFrom && diffFrom.id !== result.id ? diffFrom.id : ''}
+                          onChange={(e) => setDiffVersions(prev => ({ ...prev, [group.key]: e.target.value }))}
+                          className="input w-auto text-sm py-1"
+                        >
+                          <option value="">Sin comparar</option>
+                          {versions.map((version, i) => version.id !== result.id && (
+                            <option key={version.id} value={version.id}>Comparar con v{i + 1}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {result.instruction && (
+                        <p className="text-sm text-surface-500">Instrucción: <span className="italic">"{result.instruction}"</span></p>
+                      )}
+                      {diffFrom && diffFrom.id !== result.id && (
+                        <AnalysisDiff
+                          from={diffFrom}
+                          to={result}
+                          fromLabel={`v${versions.indexOf(diffFrom) + 1}`}
+                          toLabel={`v${versionIndex + 1}`}
+                        />
+                      )}
+                    </div>
+                  )}
                   
-                  {/* Puntos de Dolor - Color #fe8181 */}
-                  <div className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(254, 129, 129, 0.15)' }}>
-                    <div className="flex items-center gap-2 mb-2">
-                      <Target className="w-4 h-4" style={{ color: '#fe8181' }} />
-                      <h5 className="font-medium" style={{ color: '#fe8181' }}>Puntos de Dolor</h5>
+                  <PromptVersions prompts={result.prompts} />
+
+                  <OpportunityBreakdown
+                    opportunity={result.opportunity}
+                    supplier={result.supplier}
+                    onChooseSupplier={() => setDropiModal({ open: true, product: result })}
+                  />
+
+                  <StoreStatus entry={storeEntry} />
+
+                  {/* Producto de origen */}
+                  {result.product ? (
+                    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800">
+                      <div className="flex items-center gap-2 mb-2">
+                        <Link2 className="w-4 h-4 text-surface-500" />
+                        <h5 className="font-medium text-surface-700 dark:text-surface-300">Fuente</h5>
+                      </div>
+                      <a href={result.product.url} target="_blank" rel="noreferrer" className="font-mono text-sm text-primary-600 dark:text-primary-400 hover:underline break-all flex items-start gap-1">
+                        {result.product.url} <ExternalLink className="w-3 h-3 mt-1 flex-shrink-0" />
+                      </a>
+                      <div className="flex flex-wrap items-center gap-3 mt-2 text-sm text-surface-500">
+                        <MarketplaceBadge id={result.product.marketplace} country={result.product.country} />
+                        {result.product.rating && (
+                          <span className="flex items-center gap-1">
+                            <Star className="w-4 h-4 text-amber-500" /> {result.product.rating}
+                          </span>
+                        )}
+                        {result.product.date && (
+                          <span className="flex items-center gap-1">
+                            <Clock className="w-4 h-4" /> Scraping: {new Date(result.product.date).toLocaleDateString()}
+                          </span>
+                        )}
+                        <button onClick={() => onOpenProduct(result.product.id)} className="text-primary-600 dark:text-primary-400 hover:underline flex items-center gap-1">
+                          <Eye className="w-4 h-4" /> Ver reseñas
+                        </button>
+                      </div>
                     </div>
-                    <p className="text-sm" style={{ color: '#fe8181' }}>{result['Puntos de Dolor'] || 'Sin datos'}</p>
-                  </div>
+                  ) : (
+                    <p className="text-sm text-surface-500 flex items-center gap-2">
+                      <Link2 className="w-4 h-4" /> Sin producto de origen vinculado
+                    </p>
+                  )}
 
-                  {/* Insights - Color #03b2cb */}
-                  <div className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(3, 178, 203, 0.15)' }}>
-                    <div className="flex items-center gap-2 mb-2">
-                      <Zap className="w-4 h-4" style={{ color: '#03b2cb' }} />
-                      <h5 className="font-medium" style={{ color: '#03b2cb' }}>Insights</h5>
-                    </div>
-                    <p className="text-sm" style={{ color: '#03b2cb' }}>{result['Insights'] || 'Sin datos'}</p>
-                  </div>
+                  {editingId === result.id ? (
+                    <AnalysisEditor
+                      result={result}
+                      saving={saving}
+                      onSave={(patch) => handleSaveEdit(result.id, patch)}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <>
+                      {Object.keys(result.edited || {}).length > 0 && (
+                        <div className="flex items-center justify-between gap-2 flex-wrap text-sm text-surface-500">
+                          <span className="flex items-center gap-1">
+                            <Pencil className="w-4 h-4" /> Editado por {result.editedBy} · {new Date(result.editedAt).toLocaleString('es-CL')}
+                          </span>
+                          <button onClick={() => setCompareId(compareId === result.id ? null : result.id)} className="text-primary-600 dark:text-primary-400 hover:underline">
+                            {compareId === result.id ? 'Ocultar original IA' : 'Comparar con original IA'}
+                          </button>
+                        </div>
+                      )}
 
-                  {/* Hook - Color #98c379 */}
-                  <div className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(152, 195, 121, 0.15)' }}>
-                    <div className="flex items-center gap-2 mb-2">
-                      <Sparkles className="w-4 h-4" style={{ color: '#98c379' }} />
-                      <h5 className="font-medium" style={{ color: '#98c379' }}>Gancho Publicitario</h5>
-                    </div>
-                    <p className="text-sm font-medium" style={{ color: '#98c379' }}>"{result['Gancho (Hook)'] || 'Sin datos'}"</p>
-                  </div>
+                      {/* Puntos de Dolor - Color #fe8181, junto a los números de las reseñas */}
+                      <div className={result.product ? 'grid md:grid-cols-2 gap-4' : ''}>
+                        <AnalysisSection
+                          color="#fe8181"
+                          background="rgba(254, 129, 129, 0.15)"
+                          icon={Target}
+                          title="Puntos de Dolor"
+                          original={compareId === result.id && result.edited?.painPoints && <PainPointList painPoints={result.original.painPoints} />}
+                        >
+                          <PainPointList painPoints={result.painPoints} />
+                        </AnalysisSection>
+                        {result.product && <ReviewInsights productId={result.product.id} />}
+                      </div>
+
+                      {/* Insights - Color #03b2cb */}
+                      <AnalysisSection
+                        color="#03b2cb"
+                        background="rgba(3, 178, 203, 0.15)"
+                        icon={Zap}
+                        title="Insights"
+                        original={compareId === result.id && result.edited?.insights && <InsightList insights={result.original.insights} />}
+                      >
+                        <InsightList insights={result.insights} />
+                      </AnalysisSection>
+
+                      {/* Hook - Color #98c379 */}
+                      <AnalysisSection
+                        color="#98c379"
+                        background="rgba(152, 195, 121, 0.15)"
+                        icon={Sparkles}
+                        title={result.hooks?.length > 1 ? 'Ganchos Publicitarios' : 'Gancho Publicitario'}
+                        original={compareId === result.id && result.edited?.hooks && <HookList hooks={result.original.hooks} />}
+                      >
+                        <HookList hooks={result.hooks} />
+                      </AnalysisSection>
+
+                      {compareId === result.id && <AnalysisEditHistory resultId={result.id} />}
+
+                      <AdVariants result={result} onGenerate={onGenerateAds} />
+                    </>
+                  )}
 
                   <div className="flex flex-wrap gap-2 pt-2">
                     {result.estado_aprobacion !== 'aprobado' && (
-                      <button onClick={() => handleApprove(result.id || index, result)} disabled={loading} className="btn-primary flex-1 sm:flex-none">
+                      <button onClick={() => handleApprove(result.id, result)} disabled={loading} className="btn-primary flex-1 sm:flex-none">
                         <CheckCircle className="w-4 h-4" /> Aprobar
                       </button>
                     )}
                     
                     {result.estado_aprobacion !== 'rechazado' && (
-                      <button onClick={() => onReject(result.id || index)} disabled={loading} className="btn-danger flex-1 sm:flex-none">
+                      <button onClick={() => onReject(result.id)} disabled={loading} className="btn-danger flex-1 sm:flex-none">
                         <XCircle className="w-4 h-4" /> Rechazar
                       </button>
                     )}
@@ -1457,11 +3879,57 @@ function MarketingResults({ results, onApprove, onReject, onPublish, loading })
                         <Store className="w-4 h-4" /> Buscar en Dropi
                       </button>
                     )}
+
+                    {result.estado_aprobacion === 'aprobado' && (
+                      <button onClick={() => setPublishTarget(result)} disabled={loading} className="btn-secondary flex-1 sm:flex-none">
+                        <ShoppingCart className="w-4 h-4" /> {result.publicado === 'si' ? 'Actualizar en WooCommerce' : 'Publicar en WooCommerce'}
+                      </button>
+                    )}
+
+                    {(result.publicado === 'si' || storeEntry?.store?.status === 'publish') && (
+                      <button onClick={() => onUnpublish(result.id)} disabled={loading} className="btn-secondary flex-1 sm:flex-none">
+                        <EyeOff className="w-4 h-4" /> Despublicar
+                      </button>
+                    )}
+
+                    {editingId !== result.id && (
+                      <button onClick={() => setEditingId(result.id)} disabled={loading} className="btn-secondary flex-1 sm:flex-none">
+                        <Pencil className="w-4 h-4" /> Editar
+                      </button>
+                    )}
+
+                    {result.product && regenerate.id !== result.id && (
+                      <button onClick={() => setRegenerate({ id: result.id, instruction: '' })} disabled={loading} className="btn-secondary flex-1 sm:flex-none">
+                        <RefreshCw className="w-4 h-4" /> Re-analizar
+                      </button>
+                    )}
                   </div>
+
+                  {regenerate.id === result.id && (
+                    <div className="p-4 rounded-xl bg-surface-50 dark:bg-surface-800 space-y-3">
+                      <p className="text-sm text-surface-500">
+                        Se vuelve a hacer scraping y análisis solo de este producto. El resultado llega como una versión nueva y las anteriores se conservan.
+                      </p>
+                      <input
+                        value={regenerate.instruction}
+                        onChange={(e) => setRegenerate(prev => ({ ...prev, instruction: e.target.value }))}
+                        placeholder='Instrucción opcional, p. ej. "enfocarse en quienes compran para regalar"'
+                        className="input"
+                        maxLength={500}
+                      />
+                      <div className="flex gap-2">
+                        <button onClick={handleRegenerate} disabled={loading} className="btn-primary">
+                          <RefreshCw className="w-4 h-4" /> Re-analizar
+                        </button>
+                        <button onClick={() => setRegenerate({ id: null, instruction: '' })} className="btn-secondary">Cancelar</button>
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
-          ))}
+            )
+          })}
         </div>
       </div>
     </>
@@ -1477,7 +3945,14 @@ function AppContent() {
   const [products, setProducts] = useState([])
   const [marketingResults, setMarketingResults] = useState([])
   const [scrapingStatus, setScrapingStatus] = useState(null)
+  const [scrapingJobs, setScrapingJobs] = useState({})
+  const [scrapingSummary, setScrapingSummary] = useState(null)
+  const [detailProductId, setDetailProductId] = useState(null)
+  const [storeSync, setStoreSync] = useState(null)
+  
+  const scrapingStatusRef = useRef(null)
   
+  const { user } = useAuth()
   const { notifications, addNotification } = useNotifications()
   const api = useApi()
 
@@ -1488,8 +3963,47 @@ function AppContent() {
   useEffect(() => {
     loadProducts()
     loadMarketingResults()
+    loadStoreSync()
   }, [])
 
+  // Progreso en vivo: el snapshot llega al conectar, también tras recargar la página
+  useEventStream({
+    snapshot: (status) => applyRunState(status),
+    run: (status) => applyRunState(status),
+    job: ({ job, summary }) => {
+      setScrapingJobs(prev => ({ ...prev, [job.productId]: job }))
+      setScrapingSummary(summary)
+    },
+    results: ({ results }) => {
+      setMarketingResults(prev => [...prev, ...results.filter(r => !prev.some(p => p.id === r.id))])
+      addNotification({ type: 'info', message: `${results.length} análisis nuevo(s)` })
+    },
+    analysis: ({ result, user: editor }) => {
+      setMarketingResults(prev => prev.map(r => (r.id === result.id ? { ...result, product: r.product } : r)))
+      if (editor !== user?.username) {
+        addNotification({ type: 'info', message: `${editor} editó el análisis de "${result.Producto}"` })
+      }
+    },
+    publish: (record) => {
+      // Las publicaciones propias ya se notifican al responder la API
+      if (record.user === user?.username) return
+      addNotification({
+        type: record.status === 'error' ? 'error' : 'info',
+        message: `${record.user || 'Otro usuario'} publicó "${record.name || record.reference}" en ${record.source}${record.status === 'error' ? ' (error)' : ''}`
+      })
+    },
+    woo: (state) => setStoreSync(prev => ({ ...prev, ...state })),
+    queue: ({ task }) => {
+      // Solo los desenlaces de reintentos en segundo plano; el primer intento lo responde la API
+      if (task.requestedBy !== user?.username || task.attempts < 2) return
+      if (task.status === 'done') {
+        addNotification({ type: 'success', message: `"${task.name}" se publicó tras ${task.attempts} intentos` })
+      } else if (task.status === 'dead') {
+        addNotification({ type: 'error', message: `No se pudo publicar "${task.name}": ${task.errors[task.errors.length - 1]?.message}` })
+      }
+    }
+  })
+
   const loadProducts = async () => {
     try {
       const data = await api.request('/products')
@@ -1510,13 +4024,31 @@ function AppContent() {
     }
   }
 
+  const loadStoreSync = async () => {
+    try {
+      setStoreSync(await api.request('/woocommerce/sync'))
+    } catch (err) {
+      console.error('Error loading WooCommerce sync:', err)
+    }
+  }
+
+  const handleSyncStore = async () => {
+    try {
+      setStoreSync(await api.request('/woocommerce/sync', { method: 'POST' }))
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al sincronizar con WooCommerce' })
+    }
+  }
+
   const handleAddProduct = async (urls) => {
     try {
-      await api.request('/products/add', { method: 'POST', body: JSON.stringify({ urls }) })
-      addNotification({ type: 'success', message: `${urls.length} producto(s) agregado(s)` })
+      const data = await api.request('/products/add', { method: 'POST', body: JSON.stringify({ urls }) })
+      addNotification({ type: data.summary.added > 0 ? 'success' : 'info', message: data.message })
       loadProducts()
+      return data
     } catch (err) {
       addNotification({ type: 'error', message: err.message || 'Error al agregar productos' })
+      return null
     }
   }
 
@@ -1535,45 +4067,74 @@ function AppContent() {
     setActiveTab('results')
   }
 
-  const handleRunScraping = async () => {
+  const handleTabChange = (tab) => {
+    setDetailProductId(null)
+    setActiveTab(tab)
+  }
+
+  const detailProduct = detailProductId && products.find(p => p.id === detailProductId)
+
+  // Guarda el estado de la última ejecución con el último job de cada producto
+  const applyScrapingStatus = (status) => {
+    const byProduct = {}
+    for (const job of status.jobs || []) {
+      byProduct[job.productId] = job
+    }
+    setScrapingJobs(byProduct)
+    setScrapingSummary(status.summary || null)
+  }
+
+  const updateScrapingStatus = (status) => {
+    scrapingStatusRef.current = status
+    setScrapingStatus(status)
+  }
+
+  // Estado de la ejecución recibido del stream o de /scraping/status
+  const applyRunState = (status) => {
+    applyScrapingStatus(status)
+
+    // Una ejecución ya terminada al conectar no cambia la vista; solo la que está en curso
+    const previous = scrapingStatusRef.current
+    if (status.status === previous || (status.status !== 'processing' && previous !== 'processing')) return
+
+    updateScrapingStatus(status.status)
+    if (status.status === 'completed') {
+      addNotification({ type: 'success', message: `¡Análisis completado! (${status.summary.done} de ${status.summary.total} productos)` })
+      handleScrapingComplete()
+    } else if (status.status === 'error') {
+      addNotification({ type: 'error', message: 'Error en el análisis' })
+    }
+  }
+
+  const refreshScrapingStatus = async () => {
     try {
-      setScrapingStatus('processing')
-      await api.request('/scraping/start', { method: 'POST' })
-      addNotification({ type: 'info', message: 'Análisis iniciado - Esto puede tomar varios minutos' })
-      
-      // Polling para verificar estado (cada 5 segundos)
-      const pollInterval = setInterval(async () => {
-        try {
-          const status = await api.request('/scraping/status')
-          console.log('Polling status:', status)
-          
-          if (status.status === 'completed') {
-            clearInterval(pollInterval)
-            setScrapingStatus('completed')
-            addNotification({ type: 'success', message: `¡Análisis completado!${status.newResults ? ` (${status.newResults} nuevos resultados)` : ''}` })
-            handleScrapingComplete()
-          } else if (status.status === 'error') {
-            clearInterval(pollInterval)
-            setScrapingStatus('error')
-            addNotification({ type: 'error', message: 'Error en el análisis' })
-          }
-        } catch (e) {
-          console.error('Polling error:', e)
-        }
-      }, 5000)
+      applyRunState(await api.request('/scraping/status'))
+    } catch (err) {
+      console.error('Error loading scraping status:', err)
+    }
+  }
 
-      // Guardar referencia para poder cancelar
-      window.scrapingPollInterval = pollInterval
+  const handleRunScraping = async () => {
+    try {
+      updateScrapingStatus('processing')
+      const data = await api.request('/scraping/start', { method: 'POST' })
+      addNotification({ type: 'info', message: `Análisis iniciado: ${data.jobs.length} producto(s) en cola` })
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al iniciar análisis' })
+      updateScrapingStatus('error')
+      // Si ya había una ejecución en curso (iniciada en otra pestaña), mostrar su progreso
+      refreshScrapingStatus()
+    }
+  }
 
-      // Timeout de seguridad (15 minutos)
-      setTimeout(() => {
-        if (window.scrapingPollInterval) {
-          clearInterval(window.scrapingPollInterval)
-        }
-      }, 900000)
+  const handleCancelScraping = async () => {
+    try {
+      const data = await api.request('/scraping/cancel', { method: 'POST' })
+      addNotification({ type: 'info', message: `Análisis cancelado: ${data.cancelled} producto(s) detenido(s)` })
+      updateScrapingStatus('cancelled')
     } catch (err) {
-      addNotification({ type: 'error', message: 'Error al iniciar análisis' })
-      setScrapingStatus('error')
+      addNotification({ type: 'error', message: err.message || 'Error al cancelar el análisis' })
+      refreshScrapingStatus()
     }
   }
 
@@ -1603,14 +4164,84 @@ function AppContent() {
     }
   }
 
-  const handlePublish = async (resultId) => {
+  const handleEditAnalysis = async (resultId, patch) => {
     try {
-      addNotification({ type: 'info', message: 'Publicando en WooCommerce...' })
-      await api.request(`/products/${resultId}/publish`, { method: 'POST' })
-      addNotification({ type: 'success', message: 'Producto publicado' })
-      loadMarketingResults()
+      const data = await api.request(`/marketing/${resultId}`, { method: 'PATCH', body: JSON.stringify(patch) })
+      setMarketingResults(prev => prev.map(r => (r.id === resultId ? data.result : r)))
+      addNotification({ type: 'success', message: data.changes.length > 0 ? 'Cambios guardados' : 'Sin cambios' })
+      return true
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message })
+      return false
+    }
+  }
+
+  const handleGenerateAds = async (resultId, platforms, fresh) => {
+    try {
+      const data = await api.request(`/marketing/${resultId}/ads`, { method: 'POST', body: JSON.stringify({ platforms, fresh }) })
+      setMarketingResults(prev => prev.map(r => (r.id === resultId ? data.result : r)))
+      if (data.errors?.length > 0) {
+        addNotification({ type: 'warning', message: `Anuncios generados, salvo ${data.errors.map(e => e.platform).join(', ')}: ${data.errors[0].error}` })
+      } else {
+        addNotification({ type: 'success', message: 'Anuncios generados' })
+      }
+      return true
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al generar los anuncios' })
+      return false
+    }
+  }
+
+  const handleSetSupplier = async (resultId, supplier) => {
+    try {
+      const data = await api.request(`/marketing/${resultId}/supplier`, { method: 'PUT', body: JSON.stringify({ supplier }) })
+      setMarketingResults(prev => prev.map(r => (r.id === resultId ? data.result : r)))
+      addNotification({ type: 'success', message: supplier ? `Proveedor: ${supplier.name}` : 'Proveedor quitado' })
+      return true
     } catch (err) {
       addNotification({ type: 'error', message: err.message })
+      return false
+    }
+  }
+
+  const handleRegenerateAnalysis = async (resultId, instruction) => {
+    try {
+      await api.request(`/marketing/${resultId}/regenerate`, { method: 'POST', body: JSON.stringify({ instruction }) })
+      updateScrapingStatus('processing')
+      addNotification({ type: 'info', message: 'Re-análisis iniciado: la versión nueva aparecerá al terminar' })
+      return true
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al iniciar el re-análisis' })
+      return false
+    }
+  }
+
+  // Devuelve { success } o { success: false, error } para mostrar el fallo en el modal
+  const handlePublish = async (resultId, fields) => {
+    try {
+      const data = await api.request(`/marketing/${resultId}/publish`, { method: 'POST', body: JSON.stringify(fields) })
+      // Sin respuesta de la tienda la publicación queda en cola; la tarjeta se actualiza al terminar
+      if (data.queued) {
+        addNotification({ type: 'info', message: data.message })
+        return { success: true }
+      }
+      setMarketingResults(prev => prev.map(r => (r.id === resultId ? data.result : r)))
+      addNotification({ type: 'success', message: `${data.message} (#${data.wooProductId})` })
+      return { success: true }
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al publicar en WooCommerce' })
+      return { success: false, error: err.message }
+    }
+  }
+
+  const handleUnpublish = async (resultId) => {
+    if (!confirm('¿Despublicar el producto? Quedará como borrador en WooCommerce.')) return
+    try {
+      const data = await api.request(`/marketing/${resultId}/unpublish`, { method: 'POST' })
+      setMarketingResults(prev => prev.map(r => (r.id === resultId ? data.result : r)))
+      addNotification({ type: 'success', message: data.message })
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message || 'Error al despublicar' })
     }
   }
 
@@ -1618,18 +4249,30 @@ function AppContent() {
     <div className="min-h-screen">
       <Notifications notifications={notifications} />
       
-      <Header darkMode={darkMode} setDarkMode={setDarkMode} activeTab={activeTab} setActiveTab={setActiveTab} />
+      <Header darkMode={darkMode} setDarkMode={setDarkMode} activeTab={activeTab} setActiveTab={handleTabChange} />
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {activeTab === 'products' && (
+        {detailProduct && (
+          <ProductDetail
+            product={detailProduct}
+            analyses={marketingResults.filter(r => r.productId === detailProduct.id)}
+            onBack={() => setDetailProductId(null)}
+          />
+        )}
+
+        {!detailProduct && activeTab === 'products' && (
           <div className="grid lg:grid-cols-2 gap-6">
             <ProductForm onAddProduct={handleAddProduct} loading={api.loading} />
             <ProductList 
               products={products}
               onRunScraping={handleRunScraping}
+              onCancelScraping={handleCancelScraping}
               onRemoveProduct={handleRemoveProduct}
+              onOpenProduct={setDetailProductId}
               scrapingStatus={scrapingStatus}
-              setScrapingStatus={setScrapingStatus}
+              setScrapingStatus={updateScrapingStatus}
+              scrapingJobs={scrapingJobs}
+              scrapingSummary={scrapingSummary}
               loading={api.loading}
               addNotification={addNotification}
               onComplete={handleScrapingComplete}
@@ -1637,7 +4280,7 @@ function AppContent() {
           </div>
         )}
 
-        {activeTab === 'results' && (
+        {!detailProduct && activeTab === 'results' && (
           <div className="space-y-6">
             <div className="flex items-center justify-between">
               <div>
@@ -1651,13 +4294,23 @@ function AppContent() {
             
             <MarketingResults 
               results={marketingResults}
+              storeSync={storeSync}
               onApprove={handleApprove}
               onReject={handleReject}
               onPublish={handlePublish}
+              onUnpublish={handleUnpublish}
+              onSyncStore={handleSyncStore}
+              onEdit={handleEditAnalysis}
+              onRegenerate={handleRegenerateAnalysis}
+              onGenerateAds={handleGenerateAds}
+              onSetSupplier={handleSetSupplier}
+              onOpenProduct={setDetailProductId}
               loading={api.loading}
             />
           </div>
         )}
+
+        {!detailProduct && activeTab === 'history' && <ScrapingHistory />}
       </main>
 
       <footer className="border-t py-6 mt-auto">